@@ -0,0 +1,3403 @@
+// The Express app - middleware and routes. server.js connects to MongoDB
+// and starts listening; tests import the app on its own.
+import express from 'express';
+import session from 'express-session';
+import multer from 'multer';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import fs from 'fs';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+
+// Import models
+import User from './models/User.js';
+import Report from './models/Report.js';
+import Credit from './models/Credit.js';
+import Admin from './models/Admin.js';
+import Worker from './models/Worker.js';
+import Zone from './models/Zone.js';
+import Reward from './models/Reward.js';
+import Redemption from './models/Redemption.js';
+import VoucherCode from './models/VoucherCode.js';
+import CreditRuleSet from './models/CreditRuleSet.js';
+import Campaign from './models/Campaign.js';
+import Achievement from './models/Achievement.js';
+
+// Import zone config
+import { assignZone, getZones, findZone, refreshZones, UNZONED } from './config/zones.js';
+import { isValidBoundary, mergeBoundaries, pointInPolygon, distanceMeters } from './utils/geo.js';
+import { REPORT_STATUSES, REPORT_TRANSITIONS, canTransition } from './config/reportStatus.js';
+import { getDuplicateConfig, OPEN_STATUSES } from './config/duplicates.js';
+import { postCredit, recentTransactions } from './services/ledger.js';
+import { REWARD_CATEGORIES, REWARD_PERKS, REDEMPTION_STATUSES, REDEMPTION_TRANSITIONS, canTransitionRedemption } from './config/rewards.js';
+import { redeemReward, changeRedemptionStatus } from './services/redemptions.js';
+import { MAINTENANCE_TASKS, runMaintenanceTask, rescoreUsers } from './services/maintenance.js';
+import { sendVerificationEmail, verifyEmail, sendPasswordReset, resetPassword, MIN_PASSWORD_LENGTH } from './services/accounts.js';
+import { issueTokens, consumeRefreshToken, revokeRefreshToken, revokeAllTokens, verifyAccessToken, bearerToken } from './services/tokens.js';
+import { ROLES, DEFAULT_PERMISSIONS, can, allowedActions, isSuperAdmin, normalizeRole, zoneScope, withinScope } from './config/permissions.js';
+import { importCodes, poolCounts, poolAlerts, reissueCode, voidCode, revealCode, maskCode } from './services/vouchers.js';
+import { validateReportInput, toGeoPoint, parseMobile, parseCoordinates, WASTE_CATEGORIES } from './utils/validation.js';
+import { requestOtp, verifyOtp } from './services/otp.js';
+import { rateLimit } from './services/rateLimit.js';
+import { lockedError, recordFailedLogin, clearFailedLogins, unlockAccount } from './services/lockout.js';
+import { fingerprintPhoto, assessSubmission } from './services/fraud.js';
+import { awardReportCredits, releaseEscrow, reverseReportCredits, restoreReportCredits } from './services/escrow.js';
+import { FRAUD_SIGNALS } from './config/fraud.js';
+import { getCreditPolicy } from './config/credits.js';
+import { POINT_EVENTS } from './config/creditRules.js';
+import { getActiveRules, publishRules, reportAward, applyCaps, allowedCredits } from './services/creditRules.js';
+import { campaignsFor, campaignMultiplier, campaignAwards, campaignsWithProgress, campaignFieldsError } from './services/campaigns.js';
+import { getStreakConfig } from './config/streaks.js';
+import { recordReportDay, streakMilestones, streakStatus } from './services/streaks.js';
+import { civicDay } from './utils/civicTime.js';
+import { LEADERBOARD_PERIODS, CITY_BOARD, getLeaderboard, setLeaderboardVisibility, renameLeaderboardZone } from './services/leaderboard.js';
+import { evaluateAchievements, nextAchievements, runBackfill, conditionError, METRICS } from './services/achievements.js';
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const app = express();
+
+// ⭐ DEPLOYMENT FIX: Trust proxy for Render
+app.set('trust proxy', 1);
+
+// Create uploads directory
+const uploadsDir = path.join(__dirname, 'uploads');
+if (!fs.existsSync(uploadsDir)) {
+  fs.mkdirSync(uploadsDir, { recursive: true });
+}
+
+// Multer configuration
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => cb(null, 'uploads/'),
+  filename: (req, file, cb) => {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, uniqueSuffix + path.extname(file.originalname));
+  }
+});
+
+const upload = multer({
+  storage: storage,
+  limits: { fileSize: 10 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = /jpeg|jpg|png|gif|webp|pdf/;
+    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+    const mimetype = allowedTypes.test(file.mimetype) || file.mimetype === 'application/pdf';
+    if (mimetype && extname) return cb(null, true);
+    cb(new Error('Only image and PDF files are allowed!'));
+  }
+});
+
+// Remove files multer saved for a request that doesn't keep them
+const discardUploads = (files) => {
+  for (const file of files) fs.rmSync(file.path, { force: true });
+};
+
+// Voucher code CSVs are parsed in memory, never written to uploads/
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() === '.csv' || /csv|text\/plain/.test(file.mimetype)) return cb(null, true);
+    cb(new Error('Only CSV files are allowed!'));
+  }
+});
+
+// Middleware
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
+// Serve static files from root directory (for HTML files at root level)
+app.use(express.static(__dirname));
+
+// Also serve from public folder
+app.use(express.static(path.join(__dirname, 'public')));
+
+app.use('/uploads', express.static('uploads'));
+app.use(express.static('public'));
+app.use(express.static(__dirname));
+
+// ⭐ DEPLOYMENT FIX: Session with production-ready cookies
+app.use(session({
+  secret: process.env.SESSION_SECRET || 'greencredits-secret-key-2025',
+  resave: false,
+  saveUninitialized: false,
+  cookie: {
+    secure: process.env.NODE_ENV === 'production',
+    maxAge: 24 * 60 * 60 * 1000,
+    httpOnly: true,
+    sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax'
+  }
+}));
+
+// Access token claims for the citizen app
+const userClaims = (user) => ({ userId: user._id, email: user.email, kind: 'user', ver: user.tokenVersion });
+
+const userSummary = (user) => ({ id: user._id, name: user.name, email: user.email, emailVerified: user.emailVerified, mobile: user.mobile || null });
+
+// Finish a citizen login: tokens for the app, a session for the web
+async function sendUserLogin(req, res, user, { app }) {
+  if (app) {
+    const tokens = await issueTokens('User', user._id, userClaims(user), { req });
+    return res.json({
+      success: true,
+      // token: kept for app builds that predate refresh tokens
+      token: tokens.accessToken,
+      ...tokens,
+      user: userSummary(user)
+    });
+  }
+
+  req.session.userId = user._id;
+  req.session.userName = user.name;
+  res.json({ success: true, user: userSummary(user) });
+}
+
+// 429s tell the client when to try again
+function sendOtpError(res, result, field = 'error') {
+  if (result.retryAfter) res.set('Retry-After', String(result.retryAfter));
+  res.status(result.status).json({ success: false, [field]: result.error, attemptsLeft: result.attemptsLeft });
+}
+
+// JWT Middleware - a bearer access token sets req.user. Tokens from before
+// the user's last logout-all are refused.
+const authenticateJWT = async (req, res, next) => {
+  const token = bearerToken(req);
+  if (!token) return next();
+
+  try {
+    const claims = verifyAccessToken(token);
+    if (!claims || claims.kind !== 'user') {
+      return res.status(401).json({ success: false, error: 'Invalid or expired token' });
+    }
+
+    const user = await User.findById(claims.userId).select('tokenVersion');
+    if (!user || user.tokenVersion !== claims.ver) {
+      return res.status(401).json({ success: false, error: 'Invalid or expired token' });
+    }
+
+    req.user = claims;
+    next();
+  } catch (error) {
+    console.error('Token check error:', error);
+    res.status(500).json({ success: false, error: 'Authentication failed' });
+  }
+};
+app.get('/admin.html', (req, res, next) => {
+  if (!req.session.adminId) return res.redirect('/admin-login.html');
+  next();
+});
+
+app.get('/admin-login.html', (req, res, next) => {
+  if (req.session.adminId) return res.redirect('/admin.html');
+  next();
+});
+
+
+// Auth middleware
+const requireAuth = (req, res, next) => {
+  if (!req.session.userId && !req.user) {
+    return res.status(401).json({ success: false, error: 'Authentication required' });
+  }
+  next();
+};
+
+// Brute-force protection for every way in: attempts are counted per IP and
+// per account (the email or mobile the request names)
+const loginLimits = (idField, responseField = 'error') => [
+  rateLimit('loginPerIp', req => req.ip, { field: responseField, message: 'Too many login attempts from this network.' }),
+  rateLimit('loginPerAccount', req => String(req.body?.[idField] || '').trim().toLowerCase() || null, { field: responseField, message: 'Too many login attempts for this account.' })
+];
+
+// Each report mints credits, so citizens get a per-hour allowance
+const reportLimit = rateLimit('reportsPerUser', req => String(req.session.userId || req.user?.userId || '') || null, {
+  message: 'Hourly report limit reached - thanks for being so active!'
+});
+
+// Admin routes name the action they perform; config/permissions.js decides
+// which roles and permission flags allow it.
+const authorize = (action) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.session.adminId) {
+        return res.status(401).json({ success: false, error: 'Not authenticated' });
+      }
+
+      const admin = await Admin.findById(req.session.adminId);
+      if (!admin || !admin.isActive) {
+        return res.status(401).json({ success: false, error: 'Not authenticated' });
+      }
+      if (!can(admin, action)) {
+        return res.status(403).json({ success: false, error: 'Access denied' });
+      }
+
+      req.admin = admin;
+      next();
+    } catch (error) {
+      res.status(500).json({ success: false, error: 'Authorization failed' });
+    }
+  };
+};
+
+// Access token claims for the worker app
+const workerClaims = (worker) => ({ workerId: worker._id, kind: 'worker', ver: worker.tokenVersion });
+
+// Finish a worker login (password or OTP): a session for the web dashboard
+// plus tokens for the phone app, which can't rely on cookies
+async function sendWorkerLogin(req, res, worker) {
+  req.session.workerId = worker._id;
+  req.session.workerName = worker.name;
+  req.session.workerZone = worker.assignedZone;
+
+  const tokens = await issueTokens('Worker', worker._id, workerClaims(worker), { req });
+
+  res.json({ 
+    success: true,
+    ...tokens,
+    worker: {
+      id: worker._id,
+      name: worker.name,
+      zone: worker.assignedZone
+    }
+  });
+}
+
+// Same for the worker app: a session (web) or a bearer access token (phone
+// app). Only approved workers get through. Without an action it only
+// checks who the worker is.
+const requireWorker = (action) => {
+  return async (req, res, next) => {
+    try {
+      let workerId = req.session.workerId;
+      let claims = null;
+
+      const token = bearerToken(req);
+      if (!workerId && token) {
+        claims = verifyAccessToken(token);
+        if (!claims || claims.kind !== 'worker') {
+          return res.status(401).json({ success: false, message: 'Invalid or expired token' });
+        }
+        workerId = claims.workerId;
+      }
+
+      if (!workerId) {
+        return res.status(401).json({ success: false, message: 'Not authenticated' });
+      }
+
+      const worker = await Worker.findById(workerId);
+      if (!worker || (claims && claims.ver !== worker.tokenVersion)) {
+        return res.status(401).json({ success: false, message: 'Not authenticated' });
+      }
+      if (action ? !can(worker, action) : worker.status !== 'approved') {
+        return res.status(403).json({ success: false, message: 'Access denied' });
+      }
+
+      req.worker = worker;
+      next();
+    } catch (error) {
+      res.status(500).json({ success: false, message: 'Authorization failed' });
+    }
+  };
+};
+
+// Who made a report status change - stored in report.history
+const adminActor = (admin) => ({ actor: admin._id, actorModel: 'Admin', actorName: admin.name, role: normalizeRole(admin.role) });
+const workerActor = (worker) => ({ actor: worker._id, actorModel: 'Worker', actorName: worker.name, role: 'worker' });
+
+// Illegal transitions and concurrent edits of the same report both answer 409
+const isConflict = (error) => error.status === 409 || error.name === 'VersionError';
+
+const outsideZones = (res) => res.status(403).json({ success: false, error: 'Report is outside your zones' });
+
+const illegalTransition = (res, report, status) => res.status(409).json({
+  success: false,
+  error: `Cannot change report from ${report.status} to ${status}`,
+  allowed: REPORT_TRANSITIONS[report.status] || []
+});
+
+// ============================================
+// USER AUTHENTICATION
+// ============================================
+
+app.post('/api/signup', async (req, res) => {
+  try {
+    const { name, email, password } = req.body;
+
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      return res.json({ success: false, error: 'Email already registered' });
+    }
+
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+      return res.json({ success: false, error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    // Optional; only usable for OTP login once its code is confirmed
+    let pendingMobile = null;
+    if (req.body.mobile) {
+      const parsed = parseMobile(req.body.mobile);
+      if (!parsed.valid) {
+        return res.json({ success: false, error: parsed.error });
+      }
+      if (await User.exists({ mobile: parsed.mobile })) {
+        return res.json({ success: false, error: 'Mobile number already registered' });
+      }
+      pendingMobile = parsed.mobile;
+    }
+
+    const user = new User({ name, email, password, pendingMobile });
+    await user.save();
+
+    // The welcome bonus is posted once the email is verified
+    await Credit.create({ userId: user._id });
+    sendVerificationEmail(user).catch(error => console.error('Verification email error:', error));
+
+    let mobileVerificationSent = false;
+    if (pendingMobile) {
+      const otp = await requestOtp('User', pendingMobile, { ip: req.ip, purpose: 'verify-mobile', subject: user })
+        .catch(error => ({ ok: false, error }));
+      if (!otp.ok) console.error('Signup mobile OTP error:', otp.error);
+      mobileVerificationSent = otp.ok;
+    }
+
+    req.session.userId = user._id;
+    req.session.userName = user.name;
+
+    res.json({ 
+      success: true, 
+      mobileVerificationSent,
+      user: userSummary(user)
+    });
+  } catch (error) {
+    console.error('Signup error:', error);
+    res.json({ success: false, error: 'Registration failed' });
+  }
+});
+
+app.post('/api/login', loginLimits('email'), async (req, res) => {
+  try {
+    const { email, password, mobile } = req.body;
+
+    const user = await User.findOne({ email });
+    if (!user) {
+      return res.json({ success: false, error: 'Invalid credentials' });
+    }
+
+    const locked = lockedError(user);
+    if (locked) {
+      return res.status(423).json({ success: false, error: locked });
+    }
+
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch) {
+      await recordFailedLogin(User, user);
+      return res.json({ success: false, error: 'Invalid credentials' });
+    }
+    await clearFailedLogins(User, user);
+
+    // mobile: true = the phone app asking for tokens
+    await sendUserLogin(req, res, user, { app: Boolean(mobile) });
+  } catch (error) {
+    console.error('Login error:', error);
+    res.json({ success: false, error: 'Login failed' });
+  }
+});
+
+// OTP login: send a code to a verified mobile number...
+app.post('/api/otp/request', loginLimits('mobile'), async (req, res) => {
+  try {
+    const result = await requestOtp('User', req.body.mobile, { ip: req.ip });
+    if (!result.ok) return sendOtpError(res, result);
+
+    res.json({ success: true, message: 'If this number is registered, a code has been sent', expiresInMinutes: result.expiresInMinutes });
+  } catch (error) {
+    console.error('OTP request error:', error);
+    res.status(500).json({ success: false, error: 'Could not send code' });
+  }
+});
+
+// ...and trade it for a login. app: true returns tokens instead of a session.
+app.post('/api/otp/verify', loginLimits('mobile'), async (req, res) => {
+  try {
+    const result = await verifyOtp('User', req.body.mobile, req.body.code);
+    if (!result.ok) return sendOtpError(res, result);
+
+    await sendUserLogin(req, res, result.subject, { app: req.body.app === true });
+  } catch (error) {
+    console.error('OTP verify error:', error);
+    res.status(500).json({ success: false, error: 'Login failed' });
+  }
+});
+
+// Trade a refresh token for a new access + refresh pair. The old refresh
+// token stops working.
+app.post('/api/token/refresh', async (req, res) => {
+  try {
+    const result = await consumeRefreshToken('User', req.body.refreshToken);
+    if (!result.ok) {
+      return res.status(401).json({ success: false, error: result.error });
+    }
+
+    const user = await User.findById(result.record.subject);
+    if (!user) {
+      return res.status(401).json({ success: false, error: 'Account no longer exists' });
+    }
+
+    const tokens = await issueTokens('User', user._id, userClaims(user), { family: result.record.family, req });
+    res.json({ success: true, ...tokens });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({ success: false, error: 'Token refresh failed' });
+  }
+});
+
+// Ends the web session and, for the app, the refresh token sent along
+app.post('/api/logout', async (req, res) => {
+  try {
+    await revokeRefreshToken('User', req.body?.refreshToken);
+  } catch (error) {
+    console.error('Logout error:', error);
+  }
+  req.session.destroy((err) => {
+    if (err) {
+      return res.json({ success: false, error: 'Logout failed' });
+    }
+    res.clearCookie('connect.sid');
+    res.json({ success: true });
+  });
+});
+
+// Sign out on every device: refresh tokens revoked, access tokens invalidated
+app.post('/api/logout-all', authenticateJWT, requireAuth, async (req, res) => {
+  try {
+    const userId = req.session.userId || req.user.userId;
+    await Promise.all([
+      User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } }),
+      revokeAllTokens('User', userId)
+    ]);
+
+    req.session.destroy(() => {
+      res.clearCookie('connect.sid');
+      res.json({ success: true, message: 'Logged out on all devices' });
+    });
+  } catch (error) {
+    console.error('Logout-all error:', error);
+    res.status(500).json({ success: false, error: 'Logout failed' });
+  }
+});
+
+app.get('/api/check-session', async (req, res) => {
+  try {
+    if (req.session.userId) {
+      const user = await User.findById(req.session.userId).select('-password');
+      if (user) {
+        return res.json({ 
+          loggedIn: true, 
+          user: { ...userSummary(user), pendingMobile: user.pendingMobile } 
+        });
+      }
+    }
+    res.json({ loggedIn: false });
+  } catch (error) {
+    res.json({ loggedIn: false });
+  }
+});
+
+// ============================================
+// EMAIL VERIFICATION & PASSWORD RESET
+// ============================================
+
+app.post('/api/verify-email', async (req, res) => {
+  try {
+    const result = await verifyEmail(req.body.token);
+    if (!result.ok) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    // Idempotent - a second click never pays twice. Accounts from before
+    // email verification were already paid at signup.
+    const rules = await getActiveRules();
+    const amount = rules.points.signupBonus;
+    const bonus = amount > 0 && !result.user.signupBonusPaid
+      ? await postCredit({
+        userId: result.user._id,
+        amount,
+        type: 'bonus',
+        description: 'Welcome bonus! 🎉',
+        idempotencyKey: `signup-bonus:${result.user._id}`,
+        ruleVersion: rules.version
+      })
+      : { duplicate: true };
+    if (!bonus.duplicate) {
+      await evaluateAchievements(result.user._id, 'credits');
+    }
+
+    res.json({
+      success: true,
+      alreadyVerified: !result.newlyVerified,
+      bonus: bonus.duplicate ? 0 : amount
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ success: false, error: 'Verification failed' });
+  }
+});
+
+app.post('/api/resend-verification', authenticateJWT, requireAuth, async (req, res) => {
+  try {
+    const user = await User.findById(req.session.userId || req.user.userId);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    if (user.emailVerified) {
+      return res.json({ success: false, error: 'Email is already verified' });
+    }
+
+    await sendVerificationEmail(user);
+    res.json({ success: true, message: `Verification email sent to ${user.email}` });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ success: false, error: 'Could not send verification email' });
+  }
+});
+
+// Same answer whether or not the address has an account
+app.post('/api/forgot-password', loginLimits('email'), async (req, res) => {
+  try {
+    await sendPasswordReset(req.body.email);
+    res.json({ success: true, message: 'If that email is registered, a reset link is on its way' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ success: false, error: 'Could not send reset email' });
+  }
+});
+
+app.post('/api/reset-password', async (req, res) => {
+  try {
+    const result = await resetPassword(req.body.token, req.body.password);
+    if (!result.ok) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+    res.json({ success: true, message: 'Password updated - please log in' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ success: false, error: 'Password reset failed' });
+  }
+});
+
+// ============================================
+// ADMIN AUTHENTICATION
+// ============================================
+
+app.post('/api/admin/login', loginLimits('email'), async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    const admin = await Admin.findOne({ email, isActive: true });
+    if (!admin) {
+      return res.json({ success: false, error: 'Invalid credentials' });
+    }
+
+    const locked = lockedError(admin);
+    if (locked) {
+      return res.status(423).json({ success: false, error: locked });
+    }
+
+    const isMatch = await admin.comparePassword(password);
+    if (!isMatch) {
+      await recordFailedLogin(Admin, admin);
+      return res.json({ success: false, error: 'Invalid credentials' });
+    }
+    await clearFailedLogins(Admin, admin);
+
+    req.session.adminId = admin._id;
+    req.session.adminName = admin.name;
+    req.session.adminRole = normalizeRole(admin.role);
+
+    res.json({ 
+      success: true, 
+      admin: { 
+        id: admin._id, 
+        name: admin.name,
+        role: normalizeRole(admin.role),
+        actions: allowedActions(admin),
+        email: admin.email,
+        department: admin.department,
+        assignedZones: admin.assignedZones || []
+      }
+    });
+  } catch (error) {
+    console.error('Admin login error:', error);
+    res.json({ success: false, error: 'Login failed' });
+  }
+});
+// ========================================
+// SUPER ADMIN SPECIFIC ROUTES
+// ========================================
+
+// Super Admin Login (separate endpoint)
+app.post('/api/super-admin/login', loginLimits('email', 'message'), async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    const admin = await Admin.findOne({ 
+      email, 
+      isActive: true 
+    });
+
+    if (!admin) {
+      return res.status(401).json({ success: false, message: 'Invalid credentials' });
+    }
+
+    const locked = lockedError(admin);
+    if (locked) {
+      return res.status(423).json({ success: false, message: locked });
+    }
+
+    const isMatch = await admin.comparePassword(password);
+    if (!isMatch) {
+      await recordFailedLogin(Admin, admin);
+      return res.status(401).json({ success: false, message: 'Invalid credentials' });
+    }
+    await clearFailedLogins(Admin, admin);
+
+    // Check if super admin - only after the password, so the answer doesn't
+    // reveal which emails belong to officers
+    if (!isSuperAdmin(admin)) {
+      return res.status(403).json({ success: false, message: 'Super Admin access only' });
+    }
+
+    req.session.adminId = admin._id;
+    req.session.adminName = admin.name;
+    req.session.adminRole = normalizeRole(admin.role);
+
+    res.json({
+      success: true,
+      admin: {
+        id: admin._id,
+        name: admin.name,
+        email: admin.email,
+        role: normalizeRole(admin.role)
+      }
+    });
+  } catch (error) {
+    console.error('Super Admin login error:', error);
+    res.status(500).json({ success: false, message: 'Login failed' });
+  }
+});
+
+// Get Super Admin Profile
+app.get('/api/super-admin/me', authorize('view-system'), async (req, res) => {
+  try {
+    const { password, ...admin } = req.admin.toObject();
+    res.json(admin);
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+// Get Super Admin Dashboard Stats
+app.get('/api/super-admin/stats', authorize('view-system'), async (req, res) => {
+  try {
+    const totalReports = await Report.countDocuments();
+    const pendingReports = await Report.countDocuments({ status: 'pending' });
+    const totalOfficers = await Admin.countDocuments({ role: { $in: [ROLES.ZONE_OFFICER, ROLES.MUNICIPALITY_OFFICER] } });
+    const totalWorkers = await Worker.countDocuments({ status: 'approved' });
+    const totalUsers = await User.countDocuments();
+
+    res.json({
+      success: true,
+      totalReports,
+      pendingReports,
+      totalOfficers,
+      totalWorkers,
+      totalUsers
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to fetch stats' });
+  }
+});
+
+// Get All Reports (Super Admin)
+app.get('/api/super-admin/reports', authorize('view-system'), async (req, res) => {
+  try {
+    const reports = await Report.find()
+      .populate('userId', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    res.json({ success: true, reports });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to fetch reports' });
+  }
+});
+
+// Super Admin Logout
+app.post('/api/super-admin/logout', (req, res) => {
+  req.session.destroy((err) => {
+    if (err) return res.json({ success: false });
+    res.clearCookie('connect.sid');
+    res.json({ success: true });
+  });
+});
+
+app.post('/api/admin/logout', (req, res) => {
+  req.session.destroy((err) => {
+    if (err) return res.json({ success: false });
+    res.clearCookie('connect.sid');
+    res.json({ success: true });
+  });
+});
+
+app.get('/api/admin/me', authorize('view-dashboard'), async (req, res) => {
+  try {
+    const { password, ...admin } = req.admin.toObject();
+    res.json({ success: true, admin: { ...admin, role: normalizeRole(admin.role) }, actions: allowedActions(req.admin) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to fetch profile' });
+  }
+});
+
+// ============================================
+// REPORT MANAGEMENT (WITH AUTO ZONE)
+// ============================================
+
+// Closest open report within the duplicate radius (uses the 2dsphere index)
+async function findNearbyOpenReport(point, { since, excludeId } = {}) {
+  const { radiusMeters } = getDuplicateConfig();
+  const query = {
+    location: {
+      $near: {
+        $geometry: toGeoPoint(point),
+        $maxDistance: radiusMeters
+      }
+    },
+    status: { $in: OPEN_STATUSES }
+  };
+  if (since) query.createdAt = { $gte: since };
+  if (excludeId) query._id = { $ne: excludeId };
+
+  return Report.findOne(query);
+}
+
+app.post('/api/report', authenticateJWT, requireAuth, reportLimit, upload.single('photo'), async (req, res) => {
+  try {
+    console.log('📝 Report submission received');
+    const userId = req.session.userId || req.user.userId;
+    const { description, address, wasteCategory, disposalMethod } = req.body;
+
+    const input = validateReportInput(req.body);
+    if (!input.valid) {
+      return res.status(400).json({ success: false, error: input.error });
+    }
+    const { point, category } = input;
+
+    // Before anything is saved, so a missing account can't leave a report
+    // behind without its credits
+    const hasAccount = await Credit.exists({ userId });
+    if (!hasAccount) {
+      return res.json({ success: false, error: 'Credit account not found' });
+    }
+
+    // ⭐ DUPLICATE CHECK - an open report nearby becomes a "+1" instead of a new work item
+    let original = null;
+    if (point) {
+      const { windowHours } = getDuplicateConfig();
+      original = await findNearbyOpenReport(point, {
+        since: new Date(Date.now() - windowHours * 60 * 60 * 1000)
+      });
+    }
+
+    if (original) {
+      const alreadyConfirmed = original.userId.equals(userId) ||
+        original.confirmations.some(c => c.userId?.equals(userId));
+      if (alreadyConfirmed) {
+        return res.status(409).json({
+          success: false,
+          error: `You already reported this spot (Report #${original.reportId})`,
+          duplicateOf: original.reportId
+        });
+      }
+    }
+
+    let qualityScore = 0;
+    if (req.file) qualityScore += 30;
+    if (point) qualityScore += 30;
+    if (description && description.length > 20) qualityScore += 20;
+    if (wasteCategory) qualityScore += 10;
+    if (disposalMethod) qualityScore += 10;
+
+    // ⭐ AUTO-ASSIGN ZONE (GPS polygon first, address keywords as fallback)
+    const assignedZone = original
+      ? original.assignedZone
+      : assignZone({ lat: point?.lat, lng: point?.lng, address });
+
+    // Confirmations don't join campaigns - the original report already did
+    const campaigns = original ? [] : await campaignsFor({ zone: assignedZone, category });
+
+    // Fraud scoring - flagged reports have their credits held until verified
+    const photoHash = await fingerprintPhoto(req.file);
+    const fraud = await assessSubmission({ userId, point, photoHash });
+
+    // ⭐ ATOMIC IDS - counters collection, safe under concurrent submissions
+    const { reportId, reportCode } = await Report.allocateIds(assignedZone);
+
+    const report = new Report({
+      userId,
+      reportId,
+      reportCode,
+      description,
+      photo: req.file ? `/uploads/${req.file.filename}` : undefined,
+      location: toGeoPoint(point),
+      address: address || '',
+      assignedZone, // ⭐ AUTO-ASSIGNED
+      category,
+      disposalMethod: disposalMethod || undefined,
+      qualityScore,
+      photoHash,
+      fraud,
+      campaigns: campaigns.map(c => c._id),
+      status: original ? 'duplicate' : 'pending',
+      duplicateOf: original ? original._id : undefined,
+      history: [{
+        actor: userId,
+        actorModel: 'User',
+        role: 'citizen',
+        from: null,
+        to: original ? 'duplicate' : 'pending',
+        notes: original ? `Confirms report #${original.reportId}` : 'Report submitted'
+      }]
+    });
+
+    await report.save();
+    console.log('✅ Report saved:', reportId, 'Zone:', assignedZone, original ? `(duplicate of #${original.reportId})` : '');
+
+    if (original) {
+      // $push rather than save() so a concurrent status change isn't clobbered
+      await Report.updateOne({ _id: original._id }, {
+        $push: {
+          confirmations: {
+            userId,
+            report: report._id,
+            photo: report.photo
+          }
+        }
+      });
+    }
+
+    // Only the day's first report moves the streak and earns its multiplier
+    const streak = await recordReportDay(userId, report.createdAt);
+
+    // Credits from the current rules - confirmations earn a reduced amount
+    const rules = await getActiveRules();
+    const award = reportAward(rules, {
+      category,
+      qualityScore,
+      duplicate: Boolean(original),
+      streak: streak.firstToday ? streak.streak : 0,
+      campaignMultiplier: campaignMultiplier(campaigns, 'submission')
+    });
+    const { streakMultiplier } = award;
+    const today = civicDay(report.createdAt, getStreakConfig().timeZone);
+    const { earned: creditsEarned, streakBonus, capped } = applyCaps(award,
+      await allowedCredits(rules, userId, today, award.earned + award.streakBonus));
+    await Report.updateOne({ _id: report._id }, {
+      $set: { creditAward: { amount: creditsEarned + streakBonus, ruleVersion: rules.version, capped } }
+    });
+
+    // Under the on-verification policy credits wait for an officer - unless
+    // this confirms a report that has already been verified
+    const holdForPolicy = getCreditPolicy().payout === 'on-verification' && !original?.verifiedAt;
+
+    const campaignBonuses = await campaignAwards(report, campaigns, 'submission', rules.version);
+    const milestones = streak.firstToday ? streakMilestones(rules, streak.streak) : [];
+
+    const { held } = await awardReportCredits(report, [
+      {
+        idempotencyKey: `report:${reportId}:submitted`,
+        type: 'earned',
+        amount: creditsEarned,
+        description: original
+          ? `+1 confirmation on Report #${original.reportId}`
+          : `Report #${reportId} - ${assignedZone}`,
+        ruleVersion: rules.version
+      },
+      {
+        idempotencyKey: `report:${reportId}:streak`,
+        type: 'bonus',
+        amount: streakBonus,
+        description: `🔥 ${streak.streak}-day streak! (${streakMultiplier}X)`,
+        ruleVersion: rules.version
+      },
+      ...milestones.map(milestone => ({
+        idempotencyKey: `report:${reportId}:streak:${milestone.event}`,
+        type: 'bonus',
+        amount: milestone.amount,
+        description: `🏅 ${milestone.days}-day streak milestone!`,
+        ruleVersion: rules.version
+      })),
+      ...campaignBonuses
+    ], { hold: fraud.flagged || holdForPolicy, reason: fraud.flagged ? 'fraud' : 'policy' });
+
+    if (fraud.flagged) {
+      console.warn(`🚩 Report #${reportId} flagged (score ${fraud.score}): ${fraud.signals.map(s => s.code).join(', ')}`);
+    }
+
+    await Credit.updateOne({ userId }, { $inc: { reportCount: original ? 0 : 1 } });
+
+    const newBadges = await evaluateAchievements(userId, 'report');
+
+    const campaignBonus = campaignBonuses.reduce((sum, bonus) => sum + bonus.amount, 0);
+    const milestoneBonus = milestones.reduce((sum, milestone) => sum + milestone.amount, 0);
+    const totalEarned = creditsEarned + streakBonus + milestoneBonus + campaignBonus;
+    const earnedLine = (held
+      ? `${held} credits pending until an officer verifies this report`
+      : `Earned ${totalEarned} credits`) + (capped ? ' (daily credit limit reached)' : '');
+
+    res.json({
+      success: true,
+      reportId,
+      reportCode,
+      duplicate: Boolean(original),
+      duplicateOf: original ? original.reportId : undefined,
+      assignedZone, // ⭐ Return zone
+      creditsEarned: totalEarned,
+      creditsHeld: held,
+      baseCredits: creditsEarned,
+      streakBonus,
+      streak: streak.streak,
+      streakMultiplier,
+      longestStreak: streak.longestStreak,
+      streakMilestoneBonus: milestoneBonus,
+      streakFreezesUsed: streak.freezesUsed,
+      qualityScore,
+      campaigns: campaigns.map(c => c.name),
+      campaignBonus,
+      creditsCapped: capped,
+      newBadges,
+      message: original
+        ? `Thanks! This spot was already reported (Report #${original.reportId}) - your report was added as a confirmation.\n${earnedLine}`
+        : `Report submitted! ${assignedZone === UNZONED ? 'Awaiting manual zone assignment' : `Assigned to ${assignedZone}`}\n${earnedLine}${streakBonus > 0 && !held ? ` (${streakMultiplier}X streak!)` : ''}`
+    });
+  } catch (error) {
+    console.error('❌ Report submission error:', error);
+    res.status(500).json({ success: false, error: error.message || 'Failed to submit report' });
+  }
+});
+
+app.get('/api/reports', authenticateJWT, requireAuth, async (req, res) => {
+  try {
+    const userId = req.session.userId || req.user.userId;
+    const reports = await Report.find({ userId }).sort({ createdAt: -1 });
+    res.json({ success: true, reports });
+  } catch (error) {
+    res.json({ success: false, error: 'Failed to fetch reports' });
+  }
+});
+
+// Continuing in next message...
+// ============================================
+// CREDITS & LEADERBOARD
+// ============================================
+
+app.get('/api/credits', authenticateJWT, requireAuth, async (req, res) => {
+  try {
+    const userId = req.session.userId || req.user.userId;
+    const creditAccount = await Credit.findOne({ userId });
+
+    if (!creditAccount) {
+      return res.json({ success: false, error: 'Credit account not found' });
+    }
+
+    const rules = await getActiveRules();
+    const nextBadges = await nextAchievements(userId, creditAccount.badges.map(b => b.key));
+
+    res.json({
+      success: true,
+      credits: {
+        total: creditAccount.totalCredits,
+        available: creditAccount.availableCredits,
+        pending: creditAccount.pendingCredits || 0,
+        owed: creditAccount.debts.reduce((sum, debt) => sum + debt.amount, 0),
+        reportsSubmitted: creditAccount.reportCount,
+        reportsVerified: creditAccount.reportsVerified
+      },
+      badges: creditAccount.badges,
+      nextBadges,
+      // What the current rules pay, for the "how to earn" list
+      earning: {
+        points: rules.points,
+        highQualityScore: rules.highQualityScore,
+        categoryMultipliers: rules.categoryMultipliers
+      },
+      transactions: (await recentTransactions(userId, 10)).map(t => ({
+        type: t.type,
+        amount: t.amount,
+        description: t.description,
+        timestamp: t.createdAt
+      }))
+    });
+  } catch (error) {
+    console.error('Credits fetch error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch credits' });
+  }
+});
+
+// Campaigns running where the citizen reports (or is now, if lat/lng are
+// given), with their progress towards each goal
+app.get('/api/campaigns', authenticateJWT, requireAuth, async (req, res) => {
+  try {
+    const userId = req.session.userId || req.user.userId;
+    const zones = new Set(await Report.distinct('assignedZone', {
+      userId,
+      createdAt: { $gte: new Date(Date.now() - 90 * 24 * 60 * 60 * 1000) }
+    }));
+
+    const coords = parseCoordinates(req.query.lat, req.query.lng);
+    if (coords.valid && coords.point) zones.add(assignZone(coords.point));
+    zones.delete(UNZONED);
+
+    const campaigns = await campaignsWithProgress(userId, [...zones]);
+    res.json({ success: true, zones: [...zones], campaigns });
+  } catch (error) {
+    console.error('Campaigns error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch campaigns' });
+  }
+});
+
+// ?period=week|month|all &zone=<zone name>. Signed-in callers also get
+// their own rank, even outside the top 10.
+app.get('/api/leaderboard', authenticateJWT, async (req, res) => {
+  try {
+    const period = req.query.period || 'all';
+    if (!LEADERBOARD_PERIODS.includes(period)) {
+      return res.status(400).json({ success: false, error: `Period must be one of: ${LEADERBOARD_PERIODS.join(', ')}` });
+    }
+
+    const zone = req.query.zone ? findZone(req.query.zone) : null;
+    if (req.query.zone && !zone) {
+      return res.status(400).json({ success: false, error: 'Unknown zone' });
+    }
+
+    const userId = req.session.userId || req.user?.userId || null;
+    const { leaderboard, me } = await getLeaderboard({ period, zone: zone ? zone.name : CITY_BOARD, userId });
+
+    res.json({
+      success: true,
+      period,
+      zone: zone ? zone.name : null,
+      leaderboard,
+      me,
+      periods: LEADERBOARD_PERIODS,
+      zones: getZones().map(z => z.name)
+    });
+  } catch (error) {
+    console.error('Leaderboard error:', error);
+    res.json({ success: false, error: 'Failed to fetch leaderboard' });
+  }
+});
+
+app.get('/api/user-profile', authenticateJWT, requireAuth, async (req, res) => {
+  try {
+    const userId = req.session.userId || req.user.userId;
+    const user = await User.findById(userId).select('-password');
+
+    if (!user) {
+      return res.json({ success: false, error: 'User not found' });
+    }
+
+    res.json({
+      success: true,
+      user: {
+        name: user.name,
+        email: user.email,
+        mobile: user.mobile || null,
+        pendingMobile: user.pendingMobile,
+        ...streakStatus(user),
+        lastReportDate: user.lastReportDate || null,
+        leaderboardOptOut: Boolean(user.leaderboardOptOut)
+      }
+    });
+  } catch (error) {
+    console.error('Profile fetch error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch profile' });
+  }
+});
+
+// Show or hide the citizen on public leaderboards
+app.put('/api/user-profile/leaderboard', authenticateJWT, requireAuth, async (req, res) => {
+  try {
+    const userId = req.session.userId || req.user.userId;
+    const optOut = Boolean(req.body.optOut);
+
+    await User.updateOne({ _id: userId }, { $set: { leaderboardOptOut: optOut } });
+    await setLeaderboardVisibility(userId, optOut);
+
+    res.json({ success: true, leaderboardOptOut: optOut });
+  } catch (error) {
+    console.error('Leaderboard visibility error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update leaderboard visibility' });
+  }
+});
+
+// Add or change the citizen's mobile number. It only counts once the SMS
+// code is confirmed below.
+app.post('/api/user-profile/mobile', authenticateJWT, requireAuth, async (req, res) => {
+  try {
+    const parsed = parseMobile(req.body.mobile);
+    if (!parsed.valid) {
+      return res.status(400).json({ success: false, error: parsed.error });
+    }
+
+    const user = await User.findById(req.session.userId || req.user.userId);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    if (await User.exists({ mobile: parsed.mobile, _id: { $ne: user._id } })) {
+      return res.status(409).json({ success: false, error: 'Mobile number already registered' });
+    }
+
+    const result = await requestOtp('User', parsed.mobile, { ip: req.ip, purpose: 'verify-mobile', subject: user });
+    if (!result.ok) return sendOtpError(res, result);
+
+    user.pendingMobile = parsed.mobile;
+    await user.save();
+    res.json({ success: true, message: `Code sent to ${parsed.mobile}`, expiresInMinutes: result.expiresInMinutes });
+  } catch (error) {
+    console.error('Mobile update error:', error);
+    res.status(500).json({ success: false, error: 'Could not send code' });
+  }
+});
+
+app.post('/api/user-profile/mobile/verify', authenticateJWT, requireAuth, async (req, res) => {
+  try {
+    const user = await User.findById(req.session.userId || req.user.userId);
+    if (!user?.pendingMobile) {
+      return res.status(400).json({ success: false, error: 'No mobile number waiting for verification' });
+    }
+
+    const result = await verifyOtp('User', user.pendingMobile, req.body.code, { purpose: 'verify-mobile', subject: user });
+    if (!result.ok) return sendOtpError(res, result);
+
+    user.mobile = result.mobile;
+    user.pendingMobile = null;
+    try {
+      await user.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({ success: false, error: 'Mobile number already registered' });
+      }
+      throw error;
+    }
+
+    res.json({ success: true, mobile: user.mobile });
+  } catch (error) {
+    console.error('Mobile verify error:', error);
+    res.status(500).json({ success: false, error: 'Verification failed' });
+  }
+});
+
+// Active catalog for the rewards store
+app.get('/api/rewards', async (req, res) => {
+  try {
+    const rewards = await Reward.find({ isActive: true })
+      .select('key name category cost icon description stock codePool perk')
+      .sort({ category: 1, cost: 1 })
+      .lean();
+
+    // Voucher rewards can't sell more than the codes left in their pool
+    const countsFor = await poolCounts(rewards.filter(r => r.codePool).map(r => r._id));
+    for (const reward of rewards) {
+      if (!reward.codePool) continue;
+      const codesLeft = countsFor(reward._id).available;
+      reward.stock = reward.stock === null ? codesLeft : Math.min(reward.stock, codesLeft);
+    }
+
+    res.json({ success: true, rewards });
+  } catch (error) {
+    console.error('Rewards fetch error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch rewards' });
+  }
+});
+
+// Cost, name and stock are looked up server-side - only rewardId is read
+app.post('/api/redeem', authenticateJWT, requireAuth, async (req, res) => {
+  try {
+    const userId = req.session.userId || req.user.userId;
+    const { rewardId } = req.body;
+
+    if (!rewardId) {
+      return res.status(400).json({ success: false, error: 'rewardId is required' });
+    }
+
+    const creditAccount = await Credit.findOne({ userId });
+
+    if (!creditAccount) {
+      return res.json({ success: false, error: 'Credit account not found' });
+    }
+
+    const result = await redeemReward({
+      userId,
+      rewardKey: rewardId,
+      // A retried request with the same key won't charge twice
+      idempotencyKey: `redeem:${userId}:${req.get('Idempotency-Key') || req.body.idempotencyKey || new mongoose.Types.ObjectId()}`
+    });
+
+    if (!result.ok) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    if (!result.duplicate) {
+      await evaluateAchievements(userId, 'redemption');
+    }
+
+    const updated = await Credit.findOne({ userId });
+
+    res.json({ 
+      success: true, 
+      newBalance: updated.availableCredits,
+      redemption: result.redemption,
+      message: result.duplicate ? 'Reward already redeemed' : 'Reward redeemed successfully!'
+    });
+  } catch (error) {
+    console.error('Redemption error:', error);
+    res.status(500).json({ success: false, error: 'Redemption failed' });
+  }
+});
+
+// Citizen's own redemption history. Voucher codes are masked until revealed.
+app.get('/api/redemptions', authenticateJWT, requireAuth, async (req, res) => {
+  try {
+    const userId = req.session.userId || req.user.userId;
+    const redemptions = await Redemption.find({ userId })
+      .select('-idempotencyKey -debitEntry -refundEntry -history.by')
+      .populate('voucherCode', 'last4 status revealedAt')
+      .sort({ createdAt: -1 })
+      .limit(50)
+      .lean();
+
+    res.json({
+      success: true,
+      redemptions: redemptions.map(({ voucherCode, ...redemption }) => ({
+        ...redemption,
+        voucher: voucherCode ? { masked: maskCode(voucherCode.last4), revealed: Boolean(voucherCode.revealedAt) } : null
+      }))
+    });
+  } catch (error) {
+    console.error('Redemption history error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch redemptions' });
+  }
+});
+
+app.post('/api/redemptions/:id/reveal', authenticateJWT, requireAuth, async (req, res) => {
+  try {
+    const userId = req.session.userId || req.user.userId;
+    const redemption = await Redemption.findOne({ _id: req.params.id, userId });
+    const voucher = redemption && await revealCode(redemption);
+
+    if (!voucher) {
+      return res.status(404).json({ success: false, error: 'No voucher code for this redemption' });
+    }
+
+    res.json({ success: true, code: voucher.code });
+  } catch (error) {
+    console.error('Reveal voucher error:', error);
+    res.status(500).json({ success: false, error: 'Failed to reveal voucher code' });
+  }
+});
+
+// ============================================
+// ADMIN ROUTES (ZONE-FILTERED)
+// ============================================
+
+app.get('/api/admin/reports', authorize('view-reports'), async (req, res) => {
+  try {
+    const admin = req.admin;
+
+    let query = {};
+
+    // Zone officers see only their zones
+    const zones = zoneScope(admin);
+    if (zones) {
+      query.assignedZone = { $in: zones };
+    }
+
+    const reports = await Report.find(query)
+      .populate('userId', 'name email')
+      .populate('assignedTo', 'name phone')
+      .sort({ createdAt: -1 });
+
+    res.json({ success: true, reports, role: normalizeRole(admin.role), actions: allowedActions(admin), transitions: REPORT_TRANSITIONS });
+  } catch (error) {
+    res.json({ success: false, error: 'Failed to fetch reports' });
+  }
+});
+
+app.post('/api/admin/reports/:id/status', authorize('update-report-status'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, notes } = req.body;
+
+    if (!REPORT_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: 'Invalid status' });
+    }
+
+    // These go through the worker's proof upload and the officer review
+    if (status === 'awaiting-verification' || status === 'resolved') {
+      return res.status(409).json({ success: false, error: 'Resolution needs cleanup photos and an officer review' });
+    }
+    if (status === 'duplicate') {
+      return res.status(409).json({ success: false, error: 'Use the merge tool to mark a duplicate' });
+    }
+
+    const admin = req.admin;
+    const report = await Report.findById(id);
+    if (!report) {
+      return res.json({ success: false, error: 'Report not found' });
+    }
+
+    if (!withinScope(admin, report.assignedZone)) {
+      return outsideZones(res);
+    }
+
+    if (!report.canTransitionTo(status)) {
+      return illegalTransition(res, report, status);
+    }
+
+    const oldStatus = report.status;
+    const wasVerified = Boolean(report.verifiedAt);
+    report.transitionTo(status, { ...adminActor(admin), notes });
+    if (notes) report.adminNotes = notes;
+
+    // Un-merge: detach from the report it was folded into
+    if (oldStatus === 'duplicate' && report.duplicateOf) {
+      await Report.updateOne({ _id: report.duplicateOf }, { $pull: { confirmations: { report: report._id } } });
+      report.duplicateOf = undefined;
+    }
+
+    await report.save();
+
+    // Held credits are paid once the report is verified. Rejection drops
+    // them and takes back what was already paid - for the confirmations
+    // folded into this report too - and reopening puts it all back.
+    if (status === 'verified') {
+      await releaseEscrow(report._id);
+      if (report.fraud?.review?.status === 'pending') {
+        await Report.updateOne(
+          { _id: report._id, 'fraud.review.status': 'pending' },
+          { $set: { 'fraud.review': { status: 'cleared', by: admin._id, at: new Date(), notes: 'Report verified' } } }
+        );
+      }
+      const confirmations = await Report.find({ duplicateOf: report._id, 'escrow.status': 'held', 'escrow.reason': 'policy' }).select('_id');
+      for (const confirmation of confirmations) {
+        await releaseEscrow(confirmation._id);
+      }
+    }
+    if (status === 'rejected') {
+      if (report.fraud?.review?.status === 'pending') {
+        await Report.updateOne(
+          { _id: report._id, 'fraud.review.status': 'pending' },
+          { $set: { 'fraud.review': { status: 'confirmed', by: admin._id, at: new Date(), notes: 'Report rejected' } } }
+        );
+      }
+      const { reversed, shortfall } = await reverseReportCredits(report);
+      if (shortfall) {
+        console.warn(`⚠️ Report #${report.reportId} rejected: reversed ${reversed} credits, ${shortfall} already spent and now owed`);
+      }
+    }
+    if (oldStatus === 'rejected' && status === 'pending') {
+      await restoreReportCredits(report);
+    }
+
+    // Reopened reports only earn the verification bonus once
+    const rules = await getActiveRules();
+    if (oldStatus === 'pending' && status === 'verified' && !wasVerified) {
+      // Campaigns the report joined still pay after they end, unless cancelled
+      const campaigns = report.campaigns?.length
+        ? await Campaign.find({ _id: { $in: report.campaigns }, isActive: true }).lean()
+        : [];
+      await awardReportCredits(report, [
+        {
+          idempotencyKey: `report:${report.reportId}:verified`,
+          type: 'bonus',
+          amount: Math.round(rules.points.reportVerified * campaignMultiplier(campaigns, 'verification')),
+          description: `Report #${report.reportId} verified by admin`,
+          ruleVersion: rules.version
+        },
+        ...await campaignAwards(report, campaigns, 'verification', rules.version)
+      ]);
+      await Credit.updateOne({ userId: report.userId }, { $inc: { reportsVerified: 1 } });
+      await evaluateAchievements(report.userId, 'verification');
+    }
+
+    res.json({ success: true, message: 'Report updated successfully', status: report.status });
+  } catch (error) {
+    if (isConflict(error)) {
+      return res.status(409).json({ success: false, error: 'Report was changed by someone else - reload and try again' });
+    }
+    res.json({ success: false, error: 'Failed to update report' });
+  }
+});
+
+app.get('/api/admin/reports/:id/history', authorize('view-reports'), async (req, res) => {
+  try {
+    const admin = req.admin;
+    const report = await Report.findById(req.params.id).select('reportId status assignedZone history');
+
+    if (!report) {
+      return res.status(404).json({ success: false, error: 'Report not found' });
+    }
+
+    if (!withinScope(admin, report.assignedZone)) {
+      return outsideZones(res);
+    }
+
+    res.json({
+      success: true,
+      reportId: report.reportId,
+      status: report.status,
+      allowed: REPORT_TRANSITIONS[report.status] || [],
+      history: report.history
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to fetch history' });
+  }
+});
+
+// Pay out once a cleanup is signed off. Reopened reports don't pay twice.
+async function rewardResolution(report) {
+  await Worker.findByIdAndUpdate(report.assignedTo, {
+    $inc: { totalReportsCompleted: 1 }
+  });
+
+  const rules = await getActiveRules();
+  if (rules.points.cleanupResolved > 0) {
+    const { duplicate } = await postCredit({
+      userId: report.userId,
+      amount: rules.points.cleanupResolved,
+      type: 'bonus',
+      description: `Report #${report.reportId} resolved by cleanup team`,
+      idempotencyKey: `report:${report.reportId}:resolved`,
+      reference: { kind: 'Report', id: report._id },
+      ruleVersion: rules.version
+    });
+    if (!duplicate) {
+      await Credit.updateOne({ userId: report.userId }, { $inc: { reportsVerified: 1 } });
+    }
+  }
+
+  await evaluateAchievements(report.userId, 'resolution');
+}
+
+// Officer compares before/after photos and accepts or sends the work back
+app.post('/api/admin/reports/:id/review', authorize('review-cleanup'), async (req, res) => {
+  try {
+    const { decision, notes } = req.body;
+
+    if (!['accept', 'send-back'].includes(decision)) {
+      return res.status(400).json({ success: false, error: 'Decision must be accept or send-back' });
+    }
+    if (decision === 'send-back' && !notes) {
+      return res.status(400).json({ success: false, error: 'Tell the worker what still needs doing' });
+    }
+
+    const admin = req.admin;
+    const report = await Report.findById(req.params.id);
+    if (!report) {
+      return res.status(404).json({ success: false, error: 'Report not found' });
+    }
+
+    if (!withinScope(admin, report.assignedZone)) {
+      return outsideZones(res);
+    }
+
+    const target = decision === 'accept' ? 'resolved' : 'in-progress';
+    if (report.status !== 'awaiting-verification') {
+      return illegalTransition(res, report, target);
+    }
+
+    const firstResolution = !report.history.some(entry => entry.to === 'resolved');
+
+    report.review = {
+      by: admin._id,
+      at: new Date(),
+      decision: decision === 'accept' ? 'accepted' : 'sent-back',
+      notes
+    };
+    report.transitionTo(target, {
+      ...adminActor(admin),
+      notes: notes || (decision === 'accept' ? 'Cleanup verified' : 'Sent back to worker')
+    });
+    if (notes) report.adminNotes = notes;
+    await report.save();
+
+    if (decision === 'accept' && firstResolution) {
+      await rewardResolution(report);
+    }
+
+    res.json({
+      success: true,
+      message: decision === 'accept' ? 'Cleanup accepted - report resolved' : 'Report sent back to worker',
+      status: report.status
+    });
+  } catch (error) {
+    if (isConflict(error)) {
+      return res.status(409).json({ success: false, error: 'Report was changed by someone else - reload and try again' });
+    }
+    console.error('Review error:', error);
+    res.status(500).json({ success: false, error: 'Failed to review report' });
+  }
+});
+
+// Open reports near this one - candidates for the merge tool
+app.get('/api/admin/reports/:id/nearby', authorize('view-reports'), async (req, res) => {
+  try {
+    const report = await Report.findById(req.params.id);
+    if (!report) {
+      return res.status(404).json({ success: false, error: 'Report not found' });
+    }
+    if (!withinScope(req.admin, report.assignedZone)) {
+      return outsideZones(res);
+    }
+
+    const coords = report.location?.coordinates;
+    if (!coords) {
+      return res.json({ success: true, reports: [], radiusMeters: getDuplicateConfig().radiusMeters });
+    }
+
+    const { radiusMeters } = getDuplicateConfig();
+    const zones = zoneScope(req.admin);
+    const reports = await Report.find({
+      location: {
+        $near: {
+          $geometry: report.location,
+          $maxDistance: radiusMeters * 4
+        }
+      },
+      status: { $in: OPEN_STATUSES },
+      _id: { $ne: report._id },
+      ...(zones ? { assignedZone: { $in: zones } } : {})
+    })
+    .limit(10)
+    .select('reportId description address status assignedZone photo createdAt confirmations location');
+
+    res.json({ success: true, reports, radiusMeters: radiusMeters * 4 });
+  } catch (error) {
+    console.error('Nearby reports error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch nearby reports' });
+  }
+});
+
+// Fold a duplicate that slipped through into the original report
+app.post('/api/admin/reports/:id/merge', authorize('merge-reports'), async (req, res) => {
+  try {
+    const { targetId, notes } = req.body;
+
+    if (!targetId || targetId === req.params.id) {
+      return res.status(400).json({ success: false, error: 'Pick a different report to merge into' });
+    }
+
+    const admin = req.admin;
+    const [source, target] = await Promise.all([
+      Report.findById(req.params.id),
+      Report.findById(targetId)
+    ]);
+    if (!source || !target) {
+      return res.status(404).json({ success: false, error: 'Report not found' });
+    }
+
+    if (!withinScope(admin, source.assignedZone) || !withinScope(admin, target.assignedZone)) {
+      return res.status(403).json({ success: false, error: 'Both reports must be in your zones' });
+    }
+
+    if (!OPEN_STATUSES.includes(target.status)) {
+      return res.status(409).json({ success: false, error: `Report #${target.reportId} is ${target.status} and can't take confirmations` });
+    }
+    if (!source.canTransitionTo('duplicate')) {
+      return illegalTransition(res, source, 'duplicate');
+    }
+
+    source.transitionTo('duplicate', {
+      ...adminActor(admin),
+      notes: notes || `Merged into report #${target.reportId}`
+    });
+    source.duplicateOf = target._id;
+
+    // The source's own confirmations move along with it
+    const moved = [
+      { userId: source.userId, report: source._id, photo: source.photo, createdAt: source.createdAt },
+      ...source.confirmations
+    ].filter(c => !c.userId?.equals(target.userId));
+    source.confirmations = [];
+    await source.save();
+
+    await Report.updateOne({ _id: target._id }, { $push: { confirmations: { $each: moved } } });
+    await Report.updateMany({ duplicateOf: source._id }, { $set: { duplicateOf: target._id } });
+
+    console.log(`🔗 Report #${source.reportId} merged into #${target.reportId} by ${admin.email}`);
+
+    res.json({ success: true, message: `Report #${source.reportId} merged into #${target.reportId}` });
+  } catch (error) {
+    if (isConflict(error)) {
+      return res.status(409).json({ success: false, error: 'Report was changed by someone else - reload and try again' });
+    }
+    console.error('Merge report error:', error);
+    res.status(500).json({ success: false, error: 'Failed to merge report' });
+  }
+});
+
+app.get('/api/admin/stats', authorize('view-dashboard'), async (req, res) => {
+  try {
+    let query = {};
+    const zones = zoneScope(req.admin);
+    if (zones) {
+      query.assignedZone = { $in: zones };
+    }
+
+    const totalReports = await Report.countDocuments(query);
+    const pendingReports = await Report.countDocuments({ ...query, status: 'pending' });
+    const resolvedReports = await Report.countDocuments({ ...query, status: 'resolved' });
+    const totalUsers = await User.countDocuments();
+
+    // Zone breakdown
+    const zoneStats = await Report.aggregate([
+      { $match: query.assignedZone ? query : {} },
+      { $group: {
+        _id: '$assignedZone',
+        total: { $sum: 1 },
+        pending: { $sum: { $cond: [{ $eq: ['$status', 'pending'] }, 1, 0] } },
+        resolved: { $sum: { $cond: [{ $eq: ['$status', 'resolved'] }, 1, 0] } }
+      }}
+    ]);
+
+    res.json({
+      success: true,
+      stats: { 
+        totalReports, 
+        totalUsers, 
+        pendingReports, 
+        resolvedReports,
+        zoneStats
+      }
+    });
+  } catch (error) {
+    res.json({ success: false, error: 'Failed to fetch stats' });
+  }
+});
+
+app.post('/api/admin/reports/:id/assign', authorize('assign-work'), async (req, res) => {
+  try {
+    const { workerId } = req.body;
+
+    const report = await Report.findById(req.params.id);
+    if (!report) {
+      return res.json({ success: false, error: 'Report not found' });
+    }
+
+    if (!withinScope(req.admin, report.assignedZone)) {
+      return outsideZones(res);
+    }
+
+    const worker = await Worker.findById(workerId);
+    if (!worker || worker.status !== 'approved') {
+      return res.json({ success: false, error: 'Worker not found' });
+    }
+
+    // Only a super admin may send a worker outside their own zone
+    if (worker.assignedZone !== report.assignedZone && !isSuperAdmin(req.admin)) {
+      return res.status(403).json({
+        success: false,
+        error: `${worker.name} works in ${worker.assignedZone || 'no zone'}, this report is in ${report.assignedZone}`
+      });
+    }
+
+    if (!report.canTransitionTo('in-progress')) {
+      return illegalTransition(res, report, 'in-progress');
+    }
+
+    report.assignedTo = worker._id;
+    report.transitionTo('in-progress', { ...adminActor(req.admin), notes: `Assigned to ${worker.name}` });
+    await report.save();
+
+    res.json({ success: true, message: 'Report assigned successfully' });
+  } catch (error) {
+    if (isConflict(error)) {
+      return res.status(409).json({ success: false, error: 'Report was changed by someone else - reload and try again' });
+    }
+    res.json({ success: false, error: 'Failed to assign report' });
+  }
+});
+
+// ============================================
+// FRAUD REVIEW QUEUE
+// ============================================
+
+// Flagged reports awaiting review, grouped by citizen with the evidence
+app.get('/api/admin/fraud/queue', authorize('review-fraud'), async (req, res) => {
+  try {
+    const query = { 'fraud.flagged': true, 'fraud.review.status': 'pending' };
+    const zones = zoneScope(req.admin);
+    if (zones) query.assignedZone = { $in: zones };
+
+    const reports = await Report.find(query)
+      .select('reportId reportCode userId description photo location address assignedZone status fraud escrow createdAt')
+      .populate('userId', 'name email mobile')
+      .populate('fraud.signals.relatedReports', 'reportId photo status location userId createdAt')
+      .sort({ createdAt: -1 })
+      .limit(500)
+      .lean();
+
+    const users = new Map();
+    for (const report of reports) {
+      if (!report.userId) continue;
+      const key = report.userId._id.toString();
+      if (!users.has(key)) {
+        users.set(key, { user: report.userId, flaggedReports: 0, heldCredits: 0, maxScore: 0, reports: [] });
+      }
+      const entry = users.get(key);
+      entry.flaggedReports += 1;
+      entry.maxScore = Math.max(entry.maxScore, report.fraud.score);
+      if (report.escrow?.status === 'held') {
+        entry.heldCredits += report.escrow.credits.reduce((sum, credit) => sum + credit.amount, 0);
+      }
+      entry.reports.push({
+        ...report,
+        userId: undefined,
+        signals: report.fraud.signals.map(signal => ({ ...signal, label: FRAUD_SIGNALS[signal.code]?.label }))
+      });
+    }
+
+    // Track record alongside the flags
+    const userIds = [...users.values()].map(entry => entry.user._id);
+    const records = await Report.aggregate([
+      { $match: { userId: { $in: userIds } } },
+      { $group: { _id: '$userId', total: { $sum: 1 }, rejected: { $sum: { $cond: [{ $eq: ['$status', 'rejected'] }, 1, 0] } } } }
+    ]);
+    for (const record of records) {
+      const entry = users.get(record._id.toString());
+      if (entry) entry.record = { totalReports: record.total, rejectedReports: record.rejected };
+    }
+
+    const queue = [...users.values()].sort((a, b) => b.maxScore - a.maxScore || b.flaggedReports - a.flaggedReports);
+    res.json({ success: true, queue });
+  } catch (error) {
+    console.error('Fraud queue error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load review queue' });
+  }
+});
+
+const REJECTABLE_STATUSES = REPORT_STATUSES.filter(status => canTransition(status, 'rejected'));
+
+// clear: not fraud - held credits are paid out, or under the
+// on-verification policy wait for verification like any other report
+// confirm: fraud - held credits are dropped, paid ones reversed and the
+// report rejected
+app.post('/api/admin/fraud/reports/:id/review', authorize('review-fraud'), async (req, res) => {
+  try {
+    const { decision, notes } = req.body;
+    if (!['clear', 'confirm'].includes(decision)) {
+      return res.status(400).json({ success: false, error: 'Decision must be clear or confirm' });
+    }
+
+    const existing = await Report.findById(req.params.id).select('status assignedZone fraud');
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Report not found' });
+    }
+    if (!withinScope(req.admin, existing.assignedZone)) {
+      return outsideZones(res);
+    }
+    if (decision === 'confirm' && !existing.canTransitionTo('rejected')) {
+      return illegalTransition(res, existing, 'rejected');
+    }
+
+    // Only one reviewer's decision counts, and a confirmation only while
+    // the report can still be rejected
+    const claim = { _id: existing._id, 'fraud.review.status': 'pending' };
+    if (decision === 'confirm') claim.status = { $in: REJECTABLE_STATUSES };
+    const reviewed = await Report.findOneAndUpdate(
+      claim,
+      { $set: { 'fraud.review': { status: decision === 'clear' ? 'cleared' : 'confirmed', by: req.admin._id, at: new Date(), notes } } },
+      { new: true }
+    );
+    if (!reviewed) {
+      return res.status(409).json({ success: false, error: 'Report is not waiting for review' });
+    }
+
+    if (decision === 'clear') {
+      // Under the on-verification policy the credits still wait for an
+      // officer to verify the report (or the one it confirms)
+      const original = reviewed.duplicateOf ? await Report.findById(reviewed.duplicateOf).select('verifiedAt') : null;
+      const verified = Boolean(reviewed.verifiedAt || original?.verifiedAt);
+      if (getCreditPolicy().payout === 'on-verification' && !verified) {
+        await Report.updateOne({ _id: reviewed._id, 'escrow.status': 'held' }, { $set: { 'escrow.reason': 'policy' } });
+        return res.json({ success: true, message: 'Cleared - held credits are paid out once the report is verified' });
+      }
+
+      const { released } = await releaseEscrow(reviewed._id);
+      return res.json({ success: true, message: `Cleared - ${released} held credits paid out` });
+    }
+
+    reviewed.transitionTo('rejected', { ...adminActor(req.admin), notes: `Fraud confirmed${notes ? `: ${notes}` : ''}` });
+    await reviewed.save();
+    const { forfeited, reversed } = await reverseReportCredits(reviewed);
+    res.json({ success: true, message: `Fraud confirmed - ${forfeited} held credits dropped, ${reversed} paid credits reversed` });
+  } catch (error) {
+    if (isConflict(error)) {
+      return res.status(409).json({ success: false, error: 'Report was changed by someone else - reload and try again' });
+    }
+    console.error('Fraud review error:', error);
+    res.status(500).json({ success: false, error: 'Failed to save review' });
+  }
+});
+
+// ============================================
+// SUPER ADMIN - OFFICER MANAGEMENT (MONGODB)
+// ============================================
+
+const OFFICER_ROLES = [ROLES.ZONE_OFFICER, ROLES.MUNICIPALITY_OFFICER];
+
+// Officers below super admin may only manage zone officers
+const canManageRole = (admin, role) => isSuperAdmin(admin) || role === ROLES.ZONE_OFFICER;
+
+app.post('/api/super-admin/create-officer', authorize('manage-officers'), async (req, res) => {
+  try {
+    const { name, email, password, phone, assignedZones } = req.body;
+    const role = normalizeRole(req.body.role) || ROLES.ZONE_OFFICER;
+
+    if (!OFFICER_ROLES.includes(role)) {
+      return res.json({ success: false, message: 'Role must be zone_officer or municipality_officer' });
+    }
+    if (!canManageRole(req.admin, role)) {
+      return res.status(403).json({ success: false, message: 'Only Super Admin can create municipality officers' });
+    }
+
+    const existing = await Admin.findOne({ email });
+    if (existing) {
+      return res.json({ success: false, message: 'Email already exists' });
+    }
+
+    const zones = (assignedZones || []).map(findZone);
+    if (zones.some(zone => !zone)) {
+      return res.json({ success: false, message: 'Unknown zone in assignedZones' });
+    }
+
+    const officer = new Admin({
+      name,
+      email,
+      password,
+      phone: phone || '',
+      role,
+      department: 'Municipal Department',
+      assignedZones: zones.map(zone => zone.name),
+      isActive: true,
+      permissions: DEFAULT_PERMISSIONS[role]
+    });
+
+    await officer.save();
+
+    res.json({ 
+      success: true, 
+      message: 'Officer created successfully',
+      officer: {
+        name: officer.name,
+        email: officer.email,
+        role: officer.role,
+        zones: officer.assignedZones
+      }
+    });
+  } catch (error) {
+    console.error('Create officer error:', error);
+    res.json({ success: false, message: 'Failed to create officer' });
+  }
+});
+
+app.get('/api/super-admin/officers', authorize('manage-officers'), async (req, res) => {
+  try {
+    const officers = await Admin.find({ role: { $in: OFFICER_ROLES } })
+      .select('-password')
+      .sort({ createdAt: -1 });
+
+    res.json({ success: true, officers });
+  } catch (error) {
+    res.json({ success: false, error: 'Failed to fetch officers' });
+  }
+});
+
+app.delete('/api/super-admin/officers/:id', authorize('manage-officers'), async (req, res) => {
+  try {
+    const officer = await Admin.findById(req.params.id);
+    if (!officer || !OFFICER_ROLES.includes(normalizeRole(officer.role))) {
+      return res.status(404).json({ success: false, message: 'Officer not found' });
+    }
+    if (officer._id.equals(req.admin._id) || !canManageRole(req.admin, normalizeRole(officer.role))) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+
+    await officer.deleteOne();
+    res.json({ success: true, message: 'Officer deleted' });
+  } catch (error) {
+    res.json({ success: false, message: 'Failed to delete officer' });
+  }
+});
+
+// ============================================
+// LOCKED ACCOUNTS
+// ============================================
+
+const LOCKABLE = { user: User, worker: Worker, admin: Admin };
+
+// Accounts currently locked by failed logins. Admins only appear for those
+// who may manage their role.
+app.get('/api/admin/locked-accounts', authorize('unlock-accounts'), async (req, res) => {
+  try {
+    const locked = { lockedUntil: { $gt: new Date() } };
+    const [users, workers, admins] = await Promise.all([
+      User.find(locked).select('name email mobile lockedUntil').lean(),
+      Worker.find(locked).select('name mobile assignedZone lockedUntil').lean(),
+      Admin.find(locked).select('name email role lockedUntil').lean()
+    ]);
+
+    res.json({
+      success: true,
+      users,
+      workers,
+      admins: admins.filter(admin => canManageRole(req.admin, normalizeRole(admin.role)))
+    });
+  } catch (error) {
+    console.error('Locked accounts error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch locked accounts' });
+  }
+});
+
+app.post('/api/admin/locked-accounts/:kind/:id/unlock', authorize('unlock-accounts'), async (req, res) => {
+  try {
+    const Model = LOCKABLE[req.params.kind];
+    if (!Model) {
+      return res.status(400).json({ success: false, error: 'Kind must be user, worker or admin' });
+    }
+
+    if (Model === Admin) {
+      const target = await Admin.findById(req.params.id).select('role');
+      if (target && !canManageRole(req.admin, normalizeRole(target.role))) {
+        return res.status(403).json({ success: false, error: 'Access denied' });
+      }
+    }
+
+    const account = await unlockAccount(Model, req.params.id);
+    if (!account) {
+      return res.status(404).json({ success: false, error: 'Account not found' });
+    }
+
+    console.log(`🔓 ${Model.modelName} ${account._id} unlocked by ${req.admin.email}`);
+    res.json({ success: true, message: `${account.name} unlocked` });
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    res.status(500).json({ success: false, error: 'Failed to unlock account' });
+  }
+});
+
+// ============================================
+// ZONES API (MongoDB-based)
+// ============================================
+
+app.get('/api/zones', (req, res) => {
+  const zones = getZones().map(zone => ({
+    id: zone.name,
+    code: zone.code,
+    name: zone.name,
+    color: zone.color,
+    areas: zone.areas,
+    boundary: zone.boundary
+  }));
+
+  res.json({ success: true, zones });
+});
+
+// ============================================
+// SUPER ADMIN - ZONE MANAGEMENT
+// ============================================
+
+// Zone names are stored denormalized on reports, workers, officers,
+// campaigns and leaderboard scores
+async function renameZoneReferences(oldName, newName) {
+  const [reports, workers, officers, campaigns] = await Promise.all([
+    Report.updateMany({ assignedZone: oldName }, { $set: { assignedZone: newName } }),
+    Worker.updateMany({ assignedZone: oldName }, { $set: { assignedZone: newName } }),
+    Admin.updateMany({ assignedZones: oldName }, { $set: { 'assignedZones.$[zone]': newName } }, {
+      arrayFilters: [{ zone: oldName }]
+    }),
+    Campaign.updateMany({ zones: oldName }, { $set: { 'zones.$[zone]': newName } }, {
+      arrayFilters: [{ zone: oldName }]
+    })
+  ]);
+
+  // An officer or campaign that covered both zones of a merge now has a
+  // duplicate entry
+  await Promise.all([
+    Admin.updateMany({ assignedZones: newName }, [
+      { $set: { assignedZones: { $setUnion: ['$assignedZones', []] } } }
+    ]),
+    Campaign.updateMany({ zones: newName }, [
+      { $set: { zones: { $setUnion: ['$zones', []] } } }
+    ])
+  ]);
+
+  // After the reports, so credits scored meanwhile already land on newName
+  const leaderboards = await renameLeaderboardZone(oldName, newName);
+
+  return {
+    reports: reports.modifiedCount,
+    workers: workers.modifiedCount,
+    officers: officers.modifiedCount,
+    campaigns: campaigns.modifiedCount,
+    leaderboards
+  };
+}
+
+async function nextZoneCode() {
+  const zones = await Zone.find().select('code').lean();
+  const max = zones.reduce((highest, zone) => {
+    const n = parseInt(String(zone.code).replace(/\D/g, ''), 10);
+    return Number.isFinite(n) && n > highest ? n : highest;
+  }, 0);
+  return `ZONE-${max + 1}`;
+}
+
+const toList = (value) => {
+  if (Array.isArray(value)) return value.map(v => String(v).trim()).filter(Boolean);
+  if (typeof value === 'string') return value.split(',').map(v => v.trim()).filter(Boolean);
+  return [];
+};
+
+app.get('/api/super-admin/zones', authorize('manage-zones'), async (req, res) => {
+  try {
+    const zones = await Zone.find().sort({ code: 1 }).lean();
+
+    const [reportCounts, workerCounts] = await Promise.all([
+      Report.aggregate([{ $group: { _id: '$assignedZone', count: { $sum: 1 } } }]),
+      Worker.aggregate([{ $match: { status: 'approved' } }, { $group: { _id: '$assignedZone', count: { $sum: 1 } } }])
+    ]);
+    const countFor = (rows, name) => rows.find(r => r._id === name)?.count || 0;
+
+    res.json({
+      success: true,
+      zones: zones.map(zone => ({
+        ...zone,
+        reportCount: countFor(reportCounts, zone.name),
+        workerCount: countFor(workerCounts, zone.name)
+      })),
+      unzonedReports: countFor(reportCounts, UNZONED)
+    });
+  } catch (error) {
+    console.error('List zones error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch zones' });
+  }
+});
+
+app.post('/api/super-admin/zones', authorize('manage-zones'), async (req, res) => {
+  try {
+    const { name, code, color, areas, keywords, population, area_km2, boundary } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ success: false, error: 'Zone name is required' });
+    }
+    if (name.trim().toLowerCase() === UNZONED) {
+      return res.status(400).json({ success: false, error: `"${UNZONED}" is reserved` });
+    }
+    if (boundary && !isValidBoundary(boundary)) {
+      return res.status(400).json({ success: false, error: 'Boundary must be a valid GeoJSON Polygon or MultiPolygon' });
+    }
+
+    const existing = await Zone.findOne({ $or: [{ name: name.trim() }, ...(code ? [{ code: code.toUpperCase() }] : [])] });
+    if (existing) {
+      return res.status(409).json({ success: false, error: 'A zone with this name or code already exists' });
+    }
+
+    const zone = await Zone.create({
+      name: name.trim(),
+      code: code || await nextZoneCode(),
+      color,
+      areas: toList(areas),
+      keywords: toList(keywords).map(k => k.toLowerCase()),
+      population,
+      area_km2,
+      boundary
+    });
+
+    await refreshZones();
+    console.log(`🗺️  Zone created: ${zone.name} by ${req.admin.email}`);
+
+    res.json({ success: true, message: 'Zone created', zone });
+  } catch (error) {
+    console.error('Create zone error:', error);
+    res.status(500).json({ success: false, error: 'Failed to create zone' });
+  }
+});
+
+// Update a zone. Renaming cascades to reports, workers, officers, campaigns
+// and leaderboards.
+app.put('/api/super-admin/zones/:id', authorize('manage-zones'), async (req, res) => {
+  try {
+    const zone = await Zone.findById(req.params.id);
+    if (!zone) {
+      return res.status(404).json({ success: false, error: 'Zone not found' });
+    }
+
+    const { name, color, areas, keywords, population, area_km2, boundary, isActive } = req.body;
+
+    if (boundary !== undefined && boundary !== null && !isValidBoundary(boundary)) {
+      return res.status(400).json({ success: false, error: 'Boundary must be a valid GeoJSON Polygon or MultiPolygon' });
+    }
+
+    const oldName = zone.name;
+    const newName = name !== undefined ? String(name).trim() : oldName;
+
+    if (!newName) {
+      return res.status(400).json({ success: false, error: 'Zone name is required' });
+    }
+    if (newName !== oldName) {
+      if (newName.toLowerCase() === UNZONED) {
+        return res.status(400).json({ success: false, error: `"${UNZONED}" is reserved` });
+      }
+      const clash = await Zone.findOne({ name: newName, _id: { $ne: zone._id } });
+      if (clash) {
+        return res.status(409).json({ success: false, error: 'A zone with this name already exists' });
+      }
+    }
+
+    zone.name = newName;
+    if (color !== undefined) zone.color = color;
+    if (areas !== undefined) zone.areas = toList(areas);
+    if (keywords !== undefined) zone.keywords = toList(keywords).map(k => k.toLowerCase());
+    if (population !== undefined) zone.population = population;
+    if (area_km2 !== undefined) zone.area_km2 = area_km2;
+    if (boundary !== undefined) zone.boundary = boundary || undefined;
+    if (isActive !== undefined) zone.isActive = Boolean(isActive);
+    await zone.save();
+
+    let cascaded = null;
+    if (newName !== oldName) {
+      cascaded = await renameZoneReferences(oldName, newName);
+      console.log(`🗺️  Zone renamed: ${oldName} → ${newName} by ${req.admin.email}`, cascaded);
+    }
+
+    await refreshZones();
+
+    res.json({ success: true, message: 'Zone updated', zone, cascaded });
+  } catch (error) {
+    console.error('Update zone error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update zone' });
+  }
+});
+
+// Merge this zone into another: everything moves to the target, boundaries are unioned
+app.post('/api/super-admin/zones/:id/merge', authorize('manage-zones'), async (req, res) => {
+  try {
+    const { targetZoneId } = req.body;
+
+    if (targetZoneId === req.params.id) {
+      return res.status(400).json({ success: false, error: 'Cannot merge a zone into itself' });
+    }
+
+    const [source, target] = await Promise.all([
+      Zone.findById(req.params.id),
+      Zone.findById(targetZoneId)
+    ]);
+    if (!source || !target) {
+      return res.status(404).json({ success: false, error: 'Zone not found' });
+    }
+
+    target.areas = [...new Set([...target.areas, ...source.areas])];
+    target.keywords = [...new Set([...target.keywords, ...source.keywords])];
+    target.boundary = mergeBoundaries(target.boundary, source.boundary);
+    if (source.population || target.population) {
+      target.population = (target.population || 0) + (source.population || 0);
+    }
+    if (source.area_km2 || target.area_km2) {
+      target.area_km2 = (target.area_km2 || 0) + (source.area_km2 || 0);
+    }
+    await target.save();
+
+    const cascaded = await renameZoneReferences(source.name, target.name);
+    await source.deleteOne();
+    await refreshZones();
+
+    console.log(`🗺️  Zone merged: ${source.name} → ${target.name} by ${req.admin.email}`, cascaded);
+
+    res.json({ success: true, message: `${source.name} merged into ${target.name}`, zone: target, cascaded });
+  } catch (error) {
+    console.error('Merge zone error:', error);
+    res.status(500).json({ success: false, error: 'Failed to merge zone' });
+  }
+});
+
+// Split: carve a new zone out of this one. Reports whose GPS point falls in
+// the new boundary move over, taking their leaderboard points with them,
+// and campaigns aimed at the old zone target both; workers and officers
+// stay until reassigned.
+app.post('/api/super-admin/zones/:id/split', authorize('manage-zones'), async (req, res) => {
+  try {
+    const { name, code, color, areas, keywords, boundary, remainingBoundary } = req.body;
+
+    const source = await Zone.findById(req.params.id);
+    if (!source) {
+      return res.status(404).json({ success: false, error: 'Zone not found' });
+    }
+    if (!name || !name.trim() || name.trim().toLowerCase() === UNZONED) {
+      return res.status(400).json({ success: false, error: 'A name for the new zone is required' });
+    }
+    if (!isValidBoundary(boundary)) {
+      return res.status(400).json({ success: false, error: 'The new zone needs a valid GeoJSON boundary' });
+    }
+    if (remainingBoundary && !isValidBoundary(remainingBoundary)) {
+      return res.status(400).json({ success: false, error: 'remainingBoundary must be a valid GeoJSON Polygon or MultiPolygon' });
+    }
+    if (await Zone.findOne({ name: name.trim() })) {
+      return res.status(409).json({ success: false, error: 'A zone with this name already exists' });
+    }
+
+    const newZone = await Zone.create({
+      name: name.trim(),
+      code: code || await nextZoneCode(),
+      color,
+      areas: toList(areas),
+      keywords: toList(keywords).map(k => k.toLowerCase()),
+      boundary
+    });
+
+    // Move the split-off areas/keywords out of the source zone
+    source.areas = source.areas.filter(a => !newZone.areas.includes(a));
+    source.keywords = source.keywords.filter(k => !newZone.keywords.includes(k));
+    if (remainingBoundary) source.boundary = remainingBoundary;
+    await source.save();
+
+    const reports = await Report.find({
+      assignedZone: source.name,
+      'location.coordinates': { $exists: true }
+    }).select('_id userId location');
+
+    const moved = reports.filter(r => pointInPolygon(r.location.coordinates[1], r.location.coordinates[0], boundary));
+    const movedIds = moved.map(r => r._id);
+
+    let leaderboards = 0;
+    if (movedIds.length) {
+      await Report.updateMany({ _id: { $in: movedIds } }, { $set: { assignedZone: newZone.name } });
+      // Credits are scored on the zone of their report, so rescore its citizens
+      const citizens = [...new Map(moved.filter(r => r.userId).map(r => [r.userId.toString(), r.userId])).values()];
+      await rescoreUsers(citizens);
+      leaderboards = citizens.length;
+    }
+    const campaigns = await Campaign.updateMany({ zones: source.name }, { $addToSet: { zones: newZone.name } });
+    const cascaded = { reports: movedIds.length, campaigns: campaigns.modifiedCount, leaderboards };
+
+    await refreshZones();
+    console.log(`🗺️  Zone split: ${newZone.name} from ${source.name} by ${req.admin.email}`, cascaded);
+
+    res.json({
+      success: true,
+      message: `${newZone.name} split from ${source.name}`,
+      zone: newZone,
+      source,
+      reportsMoved: movedIds.length,
+      cascaded
+    });
+  } catch (error) {
+    console.error('Split zone error:', error);
+    res.status(500).json({ success: false, error: 'Failed to split zone' });
+  }
+});
+
+app.delete('/api/super-admin/zones/:id', authorize('manage-zones'), async (req, res) => {
+  try {
+    const zone = await Zone.findById(req.params.id);
+    if (!zone) {
+      return res.status(404).json({ success: false, error: 'Zone not found' });
+    }
+
+    const [reports, workers, officers] = await Promise.all([
+      Report.countDocuments({ assignedZone: zone.name }),
+      Worker.countDocuments({ assignedZone: zone.name }),
+      Admin.countDocuments({ assignedZones: zone.name })
+    ]);
+
+    if (reports || workers || officers) {
+      return res.status(409).json({
+        success: false,
+        error: 'Zone is still in use - merge it into another zone instead',
+        usage: { reports, workers, officers }
+      });
+    }
+
+    await zone.deleteOne();
+    await refreshZones();
+    console.log(`🗺️  Zone deleted: ${zone.name} by ${req.admin.email}`);
+
+    res.json({ success: true, message: 'Zone deleted' });
+  } catch (error) {
+    console.error('Delete zone error:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete zone' });
+  }
+});
+
+// ============================================
+// SUPER ADMIN - REWARDS & REDEMPTIONS
+// ============================================
+
+// Fields an admin may set on a reward. stock: number, or null/'' for unlimited.
+function rewardFields(body) {
+  const fields = {};
+  for (const key of ['name', 'icon', 'description']) {
+    if (body[key] !== undefined) fields[key] = String(body[key]).trim();
+  }
+  if (body.category !== undefined) fields.category = body.category;
+  if (body.cost !== undefined) fields.cost = Number(body.cost);
+  if (body.stock !== undefined) fields.stock = body.stock === null || body.stock === '' ? null : Number(body.stock);
+  if (body.codePool !== undefined) fields.codePool = Boolean(body.codePool);
+  if (body.perk !== undefined) fields.perk = body.perk || null;
+  if (body.lowPoolThreshold !== undefined) fields.lowPoolThreshold = Number(body.lowPoolThreshold);
+  if (body.isActive !== undefined) fields.isActive = Boolean(body.isActive);
+  return fields;
+}
+
+function rewardFieldsError(fields) {
+  if (fields.category !== undefined && !REWARD_CATEGORIES.includes(fields.category)) {
+    return `Category must be one of: ${REWARD_CATEGORIES.join(', ')}`;
+  }
+  if (fields.cost !== undefined && !(Number.isInteger(fields.cost) && fields.cost >= 0)) {
+    return 'Cost must be a whole number of credits';
+  }
+  if (fields.stock !== undefined && fields.stock !== null && !(Number.isInteger(fields.stock) && fields.stock >= 0)) {
+    return 'Stock must be a whole number, or empty for unlimited';
+  }
+  if (fields.lowPoolThreshold !== undefined && !(Number.isInteger(fields.lowPoolThreshold) && fields.lowPoolThreshold >= 0)) {
+    return 'Low-pool threshold must be a whole number';
+  }
+  if (fields.perk && !REWARD_PERKS.includes(fields.perk)) {
+    return `Perk must be one of: ${REWARD_PERKS.join(', ')}`;
+  }
+  if (fields.perk && fields.codePool) return 'A perk reward cannot issue voucher codes';
+  if (fields.name !== undefined && !fields.name) return 'Reward name is required';
+  return null;
+}
+
+app.get('/api/super-admin/rewards', authorize('manage-rewards'), async (req, res) => {
+  try {
+    const rewards = await Reward.find().sort({ category: 1, cost: 1 }).lean();
+    const [counts, codesFor] = await Promise.all([
+      Redemption.aggregate([
+        { $match: { status: { $ne: 'cancelled' } } },
+        { $group: { _id: '$reward', count: { $sum: 1 } } }
+      ]),
+      poolCounts()
+    ]);
+
+    res.json({
+      success: true,
+      rewards: rewards.map(reward => ({
+        ...reward,
+        redeemedCount: counts.find(c => c._id.equals(reward._id))?.count || 0,
+        codes: reward.codePool ? codesFor(reward._id) : null
+      }))
+    });
+  } catch (error) {
+    console.error('List rewards error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch rewards' });
+  }
+});
+
+app.post('/api/super-admin/rewards', authorize('manage-rewards'), async (req, res) => {
+  try {
+    const key = String(req.body.key || '').trim().toLowerCase();
+    const fields = rewardFields(req.body);
+
+    if (!/^[a-z0-9-]+$/.test(key)) {
+      return res.status(400).json({ success: false, error: 'Key must be lowercase letters, digits or dashes' });
+    }
+    if (!fields.name || fields.category === undefined || fields.cost === undefined) {
+      return res.status(400).json({ success: false, error: 'Name, category and cost are required' });
+    }
+    const invalid = rewardFieldsError(fields);
+    if (invalid) {
+      return res.status(400).json({ success: false, error: invalid });
+    }
+
+    if (await Reward.exists({ key })) {
+      return res.status(409).json({ success: false, error: 'A reward with this key already exists' });
+    }
+
+    const reward = await Reward.create({ key, ...fields });
+    console.log(`🎁 Reward created: ${reward.key} by ${req.admin.email}`);
+
+    res.json({ success: true, message: 'Reward created', reward });
+  } catch (error) {
+    console.error('Create reward error:', error);
+    res.status(500).json({ success: false, error: 'Failed to create reward' });
+  }
+});
+
+// Edit price, stock or details. Existing redemptions keep their snapshot.
+app.put('/api/super-admin/rewards/:id', authorize('manage-rewards'), async (req, res) => {
+  try {
+    const fields = rewardFields(req.body);
+    const invalid = rewardFieldsError(fields);
+    if (invalid) {
+      return res.status(400).json({ success: false, error: invalid });
+    }
+
+    const reward = await Reward.findByIdAndUpdate(req.params.id, { $set: fields }, { new: true, runValidators: true });
+    if (!reward) {
+      return res.status(404).json({ success: false, error: 'Reward not found' });
+    }
+
+    console.log(`🎁 Reward updated: ${reward.key} by ${req.admin.email}`);
+    res.json({ success: true, message: 'Reward updated', reward });
+  } catch (error) {
+    console.error('Update reward error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update reward' });
+  }
+});
+
+// Rewards that were ever redeemed can only be deactivated
+app.delete('/api/super-admin/rewards/:id', authorize('manage-rewards'), async (req, res) => {
+  try {
+    const reward = await Reward.findById(req.params.id);
+    if (!reward) {
+      return res.status(404).json({ success: false, error: 'Reward not found' });
+    }
+
+    if (await Redemption.exists({ reward: reward._id })) {
+      return res.status(409).json({ success: false, error: 'This reward has redemptions - deactivate it instead' });
+    }
+
+    await Promise.all([reward.deleteOne(), VoucherCode.deleteMany({ reward: reward._id })]);
+    console.log(`🎁 Reward deleted: ${reward.key} by ${req.admin.email}`);
+
+    res.json({ success: true, message: 'Reward deleted' });
+  } catch (error) {
+    console.error('Delete reward error:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete reward' });
+  }
+});
+
+app.get('/api/super-admin/redemptions', authorize('manage-redemptions'), async (req, res) => {
+  try {
+    const { status } = req.query;
+    const query = status && status !== 'all' ? { status } : {};
+
+    const redemptions = await Redemption.find(query)
+      .populate('userId', 'name email')
+      .populate('voucherCode', 'last4 status')
+      .sort({ createdAt: -1 })
+      .limit(200)
+      .lean();
+
+    res.json({ success: true, redemptions, statuses: REDEMPTION_STATUSES });
+  } catch (error) {
+    console.error('List redemptions error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch redemptions' });
+  }
+});
+
+// Upload a CSV of voucher codes (first column) into a reward's pool
+app.post('/api/super-admin/rewards/:id/codes', authorize('manage-rewards'), csvUpload.single('file'), async (req, res) => {
+  try {
+    const reward = await Reward.findById(req.params.id);
+    if (!reward) {
+      return res.status(404).json({ success: false, error: 'Reward not found' });
+    }
+    if (!reward.codePool) {
+      return res.status(400).json({ success: false, error: 'Enable voucher codes on this reward first' });
+    }
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: 'CSV file is required' });
+    }
+
+    const result = await importCodes(reward, req.file.buffer.toString('utf8'), { admin: req.admin });
+    console.log(`🎟️  ${result.added} voucher code(s) added to ${reward.key} by ${req.admin.email}`);
+
+    res.json({
+      success: true,
+      message: `${result.added} code(s) added${result.skipped ? `, ${result.skipped} already known` : ''}`,
+      ...result
+    });
+  } catch (error) {
+    console.error('Voucher upload error:', error);
+    res.status(500).json({ success: false, error: 'Failed to upload voucher codes' });
+  }
+});
+
+app.get('/api/super-admin/rewards/:id/codes', authorize('manage-rewards'), async (req, res) => {
+  try {
+    const reward = await Reward.findById(req.params.id).lean();
+    if (!reward) {
+      return res.status(404).json({ success: false, error: 'Reward not found' });
+    }
+
+    const { status } = req.query;
+    const [codes, countsFor] = await Promise.all([
+      VoucherCode.find({ reward: reward._id, ...(status ? { status } : {}) })
+        .populate('userId', 'name email')
+        .sort({ updatedAt: -1 })
+        .limit(200)
+        .lean(),
+      poolCounts([reward._id])
+    ]);
+
+    res.json({
+      success: true,
+      counts: countsFor(reward._id),
+      codes: codes.map(code => ({ ...code, masked: maskCode(code.last4) }))
+    });
+  } catch (error) {
+    console.error('List voucher codes error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch voucher codes' });
+  }
+});
+
+app.get('/api/super-admin/voucher-alerts', authorize('manage-rewards'), async (req, res) => {
+  try {
+    res.json({ success: true, alerts: await poolAlerts() });
+  } catch (error) {
+    console.error('Voucher alerts error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch voucher alerts' });
+  }
+});
+
+// Void a code. If it was issued, its redemption gets a fresh one from the pool.
+app.post('/api/super-admin/voucher-codes/:id/void', authorize('manage-rewards'), async (req, res) => {
+  try {
+    const code = await VoucherCode.findById(req.params.id);
+    if (!code) {
+      return res.status(404).json({ success: false, error: 'Voucher code not found' });
+    }
+
+    const result = await voidCode(code, { admin: req.admin, reason: req.body.reason });
+    if (!result.ok) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    console.log(`🎟️  Voucher code ${maskCode(code.last4)} voided by ${req.admin.email}`);
+    res.json({
+      success: true,
+      message: result.replacement ? 'Code voided and a new one issued' : 'Code voided',
+      replacement: result.replacement ? maskCode(result.replacement.last4) : null
+    });
+  } catch (error) {
+    if (isConflict(error)) {
+      return res.status(409).json({ success: false, error: 'Redemption was changed by someone else - reload and try again' });
+    }
+    console.error('Void voucher error:', error);
+    res.status(500).json({ success: false, error: 'Failed to void voucher code' });
+  }
+});
+
+// Issue a new code for a redemption, voiding the current one if it has one
+app.post('/api/super-admin/redemptions/:id/reissue', authorize('manage-redemptions'), async (req, res) => {
+  try {
+    const redemption = await Redemption.findById(req.params.id);
+    if (!redemption) {
+      return res.status(404).json({ success: false, error: 'Redemption not found' });
+    }
+    if (redemption.status === 'cancelled') {
+      return res.status(409).json({ success: false, error: 'Redemption was cancelled' });
+    }
+
+    const result = await reissueCode(redemption, { admin: req.admin, reason: req.body.reason });
+    if (!result.ok) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    console.log(`🎟️  Voucher reissued for redemption ${redemption._id} by ${req.admin.email}`);
+    res.json({ success: true, message: 'New voucher code issued', replacement: maskCode(result.replacement.last4) });
+  } catch (error) {
+    if (isConflict(error)) {
+      return res.status(409).json({ success: false, error: 'Redemption was changed by someone else - reload and try again' });
+    }
+    console.error('Reissue voucher error:', error);
+    res.status(500).json({ success: false, error: 'Failed to reissue voucher code' });
+  }
+});
+
+// Approve, fulfil or cancel. Cancelling refunds the citizen.
+app.post('/api/super-admin/redemptions/:id/status', authorize('manage-redemptions'), async (req, res) => {
+  try {
+    const { status, notes } = req.body;
+
+    if (!REDEMPTION_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: 'Invalid status' });
+    }
+
+    const redemption = await Redemption.findById(req.params.id);
+    if (!redemption) {
+      return res.status(404).json({ success: false, error: 'Redemption not found' });
+    }
+
+    if (!canTransitionRedemption(redemption.status, status)) {
+      return res.status(409).json({
+        success: false,
+        error: `Cannot change redemption from ${redemption.status} to ${status}`,
+        allowed: REDEMPTION_TRANSITIONS[redemption.status]
+      });
+    }
+
+    await changeRedemptionStatus(redemption, status, { admin: req.admin, notes });
+    console.log(`🎁 Redemption ${redemption._id} → ${status} by ${req.admin.email}`);
+
+    res.json({ success: true, message: `Redemption ${status}`, redemption });
+  } catch (error) {
+    if (isConflict(error)) {
+      return res.status(409).json({ success: false, error: 'Redemption was changed by someone else - reload and try again' });
+    }
+    console.error('Redemption status error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update redemption' });
+  }
+});
+
+// ============================================
+// SUPER ADMIN - CREDIT RULES
+// ============================================
+
+// Active rules plus the version history
+app.get('/api/super-admin/credit-rules', authorize('manage-credit-rules'), async (req, res) => {
+  try {
+    const [rules, versions] = await Promise.all([
+      CreditRuleSet.findOne().sort({ version: -1 }).lean(),
+      CreditRuleSet.find()
+        .select('version notes createdBy createdAt')
+        .populate('createdBy', 'name email')
+        .sort({ version: -1 })
+        .limit(50)
+        .lean()
+    ]);
+
+    res.json({ success: true, rules, versions, events: POINT_EVENTS, categories: WASTE_CATEGORIES });
+  } catch (error) {
+    console.error('Credit rules error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch credit rules' });
+  }
+});
+
+app.get('/api/super-admin/credit-rules/:version', authorize('manage-credit-rules'), async (req, res) => {
+  try {
+    const rules = await CreditRuleSet.findOne({ version: Number(req.params.version) }).lean();
+    if (!rules) {
+      return res.status(404).json({ success: false, error: 'Rule version not found' });
+    }
+    res.json({ success: true, rules });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to fetch credit rules' });
+  }
+});
+
+// Publish a new version. Awards already made keep the version they used.
+app.post('/api/super-admin/credit-rules', authorize('manage-credit-rules'), async (req, res) => {
+  try {
+    const { rules, baseVersion, notes } = req.body;
+    const result = await publishRules(rules, { baseVersion, notes, adminId: req.admin._id });
+    if (!result.ok) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    console.log(`📐 Credit rules v${result.ruleSet.version} published by ${req.admin.email}`);
+    res.json({ success: true, message: `Credit rules v${result.ruleSet.version} published`, rules: result.ruleSet });
+  } catch (error) {
+    console.error('Publish credit rules error:', error);
+    res.status(500).json({ success: false, error: 'Failed to publish credit rules' });
+  }
+});
+
+// ============================================
+// SUPER ADMIN - CAMPAIGNS
+// ============================================
+
+const listField = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+  .map(item => String(item).trim())
+  .filter(Boolean);
+
+const numberOr = (value, fallback) => (value === undefined || value === null || value === '' ? fallback : Number(value));
+
+// Fields an admin may set on a campaign. Zones and categories left empty
+// mean every zone / category.
+function campaignFields(body) {
+  const goal = body.goal && numberOr(body.goal.reports, 0) > 0
+    ? {
+      reports: Number(body.goal.reports),
+      countStatus: body.goal.countStatus === 'verified' ? 'verified' : 'submitted',
+      bonus: numberOr(body.goal.bonus, 0)
+    }
+    : undefined;
+
+  return {
+    name: String(body.name || '').trim(),
+    description: body.description || '',
+    icon: body.icon || '📣',
+    startsAt: new Date(body.startsAt),
+    endsAt: new Date(body.endsAt),
+    zones: listField(body.zones),
+    categories: listField(body.categories),
+    stages: listField(body.stages ?? 'submission'),
+    multiplier: numberOr(body.multiplier, 1),
+    flatBonus: numberOr(body.flatBonus, 0),
+    goal,
+    isActive: body.isActive === undefined ? true : Boolean(body.isActive)
+  };
+}
+
+function campaignError(fields) {
+  const unknown = fields.zones.find(zone => !findZone(zone));
+  if (unknown) return `Unknown zone: ${unknown}`;
+  // Store the canonical zone names reports carry
+  fields.zones = fields.zones.map(zone => findZone(zone).name);
+  return campaignFieldsError(fields);
+}
+
+app.get('/api/super-admin/campaigns', authorize('manage-campaigns'), async (req, res) => {
+  try {
+    const campaigns = await Campaign.find().sort({ startsAt: -1 }).lean();
+    const joined = await Report.aggregate([
+      { $match: { campaigns: { $in: campaigns.map(c => c._id) } } },
+      { $unwind: '$campaigns' },
+      { $group: { _id: '$campaigns', reports: { $sum: 1 }, citizens: { $addToSet: '$userId' } } }
+    ]);
+
+    res.json({
+      success: true,
+      campaigns: campaigns.map(campaign => {
+        const stats = joined.find(j => j._id.equals(campaign._id));
+        return { ...campaign, reports: stats?.reports || 0, citizens: stats?.citizens.length || 0 };
+      }),
+      zones: getZones().map(zone => zone.name),
+      categories: WASTE_CATEGORIES
+    });
+  } catch (error) {
+    console.error('List campaigns error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch campaigns' });
+  }
+});
+
+app.post('/api/super-admin/campaigns', authorize('manage-campaigns'), async (req, res) => {
+  try {
+    const fields = campaignFields(req.body);
+    const invalid = campaignError(fields);
+    if (invalid) {
+      return res.status(400).json({ success: false, error: invalid });
+    }
+
+    const campaign = await Campaign.create({ ...fields, createdBy: req.admin._id });
+    console.log(`📣 Campaign created: ${campaign.name} by ${req.admin.email}`);
+
+    res.json({ success: true, message: 'Campaign created', campaign });
+  } catch (error) {
+    console.error('Create campaign error:', error);
+    res.status(500).json({ success: false, error: 'Failed to create campaign' });
+  }
+});
+
+// Changes apply to reports from now on; awards already made stand
+app.put('/api/super-admin/campaigns/:id', authorize('manage-campaigns'), async (req, res) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id).lean();
+    if (!campaign) {
+      return res.status(404).json({ success: false, error: 'Campaign not found' });
+    }
+
+    const fields = campaignFields({ ...campaign, ...req.body });
+    const invalid = campaignError(fields);
+    if (invalid) {
+      return res.status(400).json({ success: false, error: invalid });
+    }
+
+    const { goal, ...rest } = fields;
+    const update = goal ? { $set: fields } : { $set: rest, $unset: { goal: 1 } };
+    const updated = await Campaign.findByIdAndUpdate(campaign._id, update, { new: true, runValidators: true });
+
+    console.log(`📣 Campaign updated: ${updated.name} by ${req.admin.email}`);
+    res.json({ success: true, message: 'Campaign updated', campaign: updated });
+  } catch (error) {
+    console.error('Update campaign error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update campaign' });
+  }
+});
+
+// Campaigns that reports have joined can only be deactivated
+app.delete('/api/super-admin/campaigns/:id', authorize('manage-campaigns'), async (req, res) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ success: false, error: 'Campaign not found' });
+    }
+
+    if (await Report.exists({ campaigns: campaign._id })) {
+      return res.status(409).json({ success: false, error: 'Reports have joined this campaign - deactivate it instead' });
+    }
+
+    await campaign.deleteOne();
+    console.log(`📣 Campaign deleted: ${campaign.name} by ${req.admin.email}`);
+
+    res.json({ success: true, message: 'Campaign deleted' });
+  } catch (error) {
+    console.error('Delete campaign error:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete campaign' });
+  }
+});
+
+// ============================================
+// SUPER ADMIN - ACHIEVEMENTS
+// ============================================
+
+// Fields an admin may set on an achievement; the key is fixed once created
+function achievementFields(body) {
+  const fields = {};
+  if (body.name !== undefined) fields.name = String(body.name).trim();
+  if (body.icon !== undefined) fields.icon = body.icon || '🏅';
+  if (body.description !== undefined) fields.description = body.description;
+  if (body.condition !== undefined) fields.condition = body.condition;
+  if (body.bonus !== undefined) fields.bonus = numberOr(body.bonus, 0);
+  if (body.isActive !== undefined) fields.isActive = Boolean(body.isActive);
+  return fields;
+}
+
+function achievementError(fields) {
+  if (fields.name === '') return 'Name is required';
+  if (fields.bonus !== undefined && !(fields.bonus >= 0)) return 'Bonus must be 0 or more';
+  if (fields.condition !== undefined) return conditionError(fields.condition);
+  return null;
+}
+
+// Backfills run in the background; the dashboard polls their status
+const startBackfill = (achievement) => runBackfill(achievement._id)
+  .catch(error => console.error(`❌ Backfill of ${achievement.key} error:`, error));
+
+app.get('/api/super-admin/achievements', authorize('manage-achievements'), async (req, res) => {
+  try {
+    const achievements = await Achievement.find().sort({ createdAt: 1 }).lean();
+    const earned = await Credit.aggregate([
+      { $unwind: '$badges' },
+      { $group: { _id: '$badges.key', citizens: { $sum: 1 } } }
+    ]);
+
+    res.json({
+      success: true,
+      achievements: achievements.map(achievement => ({
+        ...achievement,
+        earnedBy: earned.find(e => e._id === achievement.key)?.citizens || 0
+      })),
+      metrics: Object.fromEntries(Object.entries(METRICS).map(([name, metric]) => [name, metric.where || []])),
+      categories: WASTE_CATEGORIES
+    });
+  } catch (error) {
+    console.error('List achievements error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch achievements' });
+  }
+});
+
+app.post('/api/super-admin/achievements', authorize('manage-achievements'), async (req, res) => {
+  try {
+    const key = String(req.body.key || '').trim().toLowerCase();
+    if (!/^[a-z0-9_]+$/.test(key)) {
+      return res.status(400).json({ success: false, error: 'Key must be letters, numbers and underscores' });
+    }
+
+    const fields = { name: '', ...achievementFields(req.body) };
+    const invalid = achievementError(fields) || (fields.condition === undefined && 'Condition is required');
+    if (invalid) {
+      return res.status(400).json({ success: false, error: invalid });
+    }
+
+    const achievement = await Achievement.create({ ...fields, key, createdBy: req.admin._id });
+    console.log(`🏅 Achievement created: ${achievement.key} by ${req.admin.email}`);
+    startBackfill(achievement);
+
+    res.json({ success: true, message: 'Achievement created - awarding it to citizens who already qualify', achievement });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, error: 'An achievement with that key already exists' });
+    }
+    console.error('Create achievement error:', error);
+    res.status(500).json({ success: false, error: 'Failed to create achievement' });
+  }
+});
+
+// Badges already earned stay earned. A new or re-enabled condition is
+// backfilled so citizens who meet it now get it without another event.
+app.put('/api/super-admin/achievements/:id', authorize('manage-achievements'), async (req, res) => {
+  try {
+    const achievement = await Achievement.findById(req.params.id).lean();
+    if (!achievement) {
+      return res.status(404).json({ success: false, error: 'Achievement not found' });
+    }
+
+    const fields = achievementFields(req.body);
+    const invalid = achievementError(fields);
+    if (invalid) {
+      return res.status(400).json({ success: false, error: invalid });
+    }
+
+    const rerun = fields.condition !== undefined || (fields.isActive && !achievement.isActive);
+    const update = rerun ? { ...fields, 'backfill.status': 'pending' } : fields;
+    const updated = await Achievement.findByIdAndUpdate(achievement._id, { $set: update }, { new: true, runValidators: true });
+
+    console.log(`🏅 Achievement updated: ${updated.key} by ${req.admin.email}`);
+    if (rerun) startBackfill(updated);
+
+    res.json({ success: true, message: 'Achievement updated', achievement: updated });
+  } catch (error) {
+    console.error('Update achievement error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update achievement' });
+  }
+});
+
+// Rerun a finished or failed backfill
+app.post('/api/super-admin/achievements/:id/backfill', authorize('manage-achievements'), async (req, res) => {
+  try {
+    const achievement = await Achievement.findOneAndUpdate(
+      { _id: req.params.id, isActive: true, 'backfill.status': { $in: ['done', 'failed'] } },
+      { $set: { 'backfill.status': 'pending' }, $unset: { 'backfill.error': 1 } },
+      { new: true }
+    );
+    if (!achievement) {
+      const exists = await Achievement.exists({ _id: req.params.id });
+      return exists
+        ? res.status(409).json({ success: false, error: 'Backfill is already queued or running, or the achievement is inactive' })
+        : res.status(404).json({ success: false, error: 'Achievement not found' });
+    }
+
+    startBackfill(achievement);
+    res.json({ success: true, message: 'Backfill started' });
+  } catch (error) {
+    console.error('Backfill achievement error:', error);
+    res.status(500).json({ success: false, error: 'Failed to start backfill' });
+  }
+});
+
+// ============================================
+// WORKER APIS (MongoDB)
+// ============================================
+
+app.post('/api/worker/register', upload.fields([
+  { name: 'photo', maxCount: 1 },
+  { name: 'idProof', maxCount: 1 }
+]), async (req, res) => {
+  try {
+    const { name, aadhaar, email, address, password } = req.body;
+    const requestedZone = req.body.assignedZone || req.body.preferredZone;
+    const zone = findZone(requestedZone);
+
+    if (requestedZone && !zone) {
+      return res.json({ success: false, message: 'Unknown zone' });
+    }
+
+    const parsedMobile = parseMobile(req.body.mobile);
+    if (!parsedMobile.valid) {
+      return res.json({ success: false, message: parsedMobile.error });
+    }
+    const { mobile } = parsedMobile;
+
+    const existingWorker = await Worker.findOne({ mobile });
+    if (existingWorker) {
+      return res.json({ success: false, message: 'Mobile already registered' });
+    }
+
+    const photo = req.files['photo'] ? `/uploads/${req.files['photo'][0].filename}` : null;
+    const idProof = req.files['idProof'] ? `/uploads/${req.files['idProof'][0].filename}` : null;
+
+    const worker = new Worker({
+      name,
+      mobile,
+      aadhaar: aadhaar || '',
+      email: email || '',
+      address: address || '',
+      assignedZone: zone ? zone.name : '',
+      // No password chosen: nothing guessable, the worker logs in by OTP
+      password: password || crypto.randomBytes(24).toString('base64url'),
+      photo,
+      idProof,
+      status: 'pending'
+    });
+
+    await worker.save();
+
+    res.json({ 
+      success: true, 
+      message: 'Registration successful! Wait for approval.',
+      applicationId: worker._id
+    });
+  } catch (error) {
+    console.error('Worker registration error:', error);
+    res.json({ success: false, message: 'Registration failed' });
+  }
+});
+
+app.post('/api/worker/login', loginLimits('mobile', 'message'), async (req, res) => {
+  try {
+    const { mobile, password } = req.body;
+    const parsedMobile = parseMobile(mobile);
+
+    // Older records may hold the number as typed
+    const worker = await Worker.findOne({ mobile: parsedMobile.valid ? parsedMobile.mobile : mobile, status: 'approved' });
+
+    if (!worker) {
+      return res.json({ success: false, message: 'Invalid credentials or not approved' });
+    }
+
+    const locked = lockedError(worker);
+    if (locked) {
+      return res.status(423).json({ success: false, message: locked });
+    }
+
+    const isMatch = await worker.comparePassword(password);
+    if (!isMatch) {
+      await recordFailedLogin(Worker, worker);
+      return res.json({ success: false, message: 'Invalid credentials' });
+    }
+    await clearFailedLogins(Worker, worker);
+
+    await sendWorkerLogin(req, res, worker);
+  } catch (error) {
+    console.error('Worker login error:', error);
+    res.json({ success: false, message: 'Login failed' });
+  }
+});
+
+app.post('/api/worker/otp/request', loginLimits('mobile', 'message'), async (req, res) => {
+  try {
+    const result = await requestOtp('Worker', req.body.mobile, { ip: req.ip });
+    if (!result.ok) return sendOtpError(res, result, 'message');
+
+    res.json({ success: true, message: 'If this number belongs to an approved worker, a code has been sent', expiresInMinutes: result.expiresInMinutes });
+  } catch (error) {
+    console.error('Worker OTP request error:', error);
+    res.status(500).json({ success: false, message: 'Could not send code' });
+  }
+});
+
+app.post('/api/worker/otp/verify', loginLimits('mobile', 'message'), async (req, res) => {
+  try {
+    const result = await verifyOtp('Worker', req.body.mobile, req.body.code);
+    if (!result.ok) return sendOtpError(res, result, 'message');
+
+    await sendWorkerLogin(req, res, result.subject);
+  } catch (error) {
+    console.error('Worker OTP verify error:', error);
+    res.status(500).json({ success: false, message: 'Login failed' });
+  }
+});
+
+// Trade a refresh token for a new access + refresh pair. The old refresh
+// token stops working.
+app.post('/api/worker/token/refresh', async (req, res) => {
+  try {
+    const result = await consumeRefreshToken('Worker', req.body.refreshToken);
+    if (!result.ok) {
+      return res.status(401).json({ success: false, message: result.error });
+    }
+
+    const worker = await Worker.findById(result.record.subject);
+    if (!worker || worker.status !== 'approved') {
+      return res.status(401).json({ success: false, message: 'Account is no longer active' });
+    }
+
+    const tokens = await issueTokens('Worker', worker._id, workerClaims(worker), { family: result.record.family, req });
+    res.json({ success: true, ...tokens });
+  } catch (error) {
+    console.error('Worker token refresh error:', error);
+    res.status(500).json({ success: false, message: 'Token refresh failed' });
+  }
+});
+
+// Ends the web session and, for the app, the refresh token sent along
+app.post('/api/worker/logout', async (req, res) => {
+  try {
+    await revokeRefreshToken('Worker', req.body?.refreshToken);
+  } catch (error) {
+    console.error('Worker logout error:', error);
+  }
+  req.session.destroy();
+  res.json({ success: true });
+});
+
+// Sign out on every device: refresh tokens revoked, access tokens invalidated
+app.post('/api/worker/logout-all', requireWorker(), async (req, res) => {
+  try {
+    await Promise.all([
+      Worker.updateOne({ _id: req.worker._id }, { $inc: { tokenVersion: 1 } }),
+      revokeAllTokens('Worker', req.worker._id)
+    ]);
+    req.session.destroy();
+    res.json({ success: true, message: 'Logged out on all devices' });
+  } catch (error) {
+    console.error('Worker logout-all error:', error);
+    res.status(500).json({ success: false, message: 'Logout failed' });
+  }
+});
+
+app.get('/api/worker/check-auth', requireWorker(), (req, res) => {
+  res.json({ 
+    success: true, 
+    worker: {
+      id: req.worker._id,
+      name: req.worker.name,
+      zone: req.worker.assignedZone
+    }
+  });
+});
+
+// Get Worker Applications
+app.get('/api/admin/worker-applications', authorize('view-workers'), async (req, res) => {
+  try {
+    let query = { status: 'pending' };
+
+    const zones = zoneScope(req.admin);
+    if (zones) {
+      query.assignedZone = { $in: zones };
+    }
+
+    const applications = await Worker.find(query).sort({ appliedDate: -1 });
+    res.json({ success: true, applications });
+  } catch (error) {
+    res.json({ success: false, error: 'Failed to fetch applications' });
+  }
+});
+
+app.post('/api/admin/worker-applications/:id/approve', authorize('approve-worker'), async (req, res) => {
+  try {
+    const { assignedZone } = req.body;
+
+    const worker = await Worker.findById(req.params.id);
+    if (!worker) {
+      return res.json({ success: false, message: 'Worker not found' });
+    }
+
+    const zone = assignedZone ? findZone(assignedZone) : null;
+    if (assignedZone && !zone) {
+      return res.json({ success: false, message: 'Unknown zone' });
+    }
+
+    // Both the zone applied for and the zone being granted must be the officer's
+    if (!withinScope(req.admin, worker.assignedZone) || (zone && !withinScope(req.admin, zone.name))) {
+      return res.status(403).json({ success: false, message: 'Worker is outside your zones' });
+    }
+
+    worker.status = 'approved';
+    worker.assignedZone = zone ? zone.name : worker.assignedZone;
+    worker.approvedDate = new Date();
+    worker.approvedBy = req.admin._id;
+
+    await worker.save();
+
+    res.json({ success: true, message: 'Worker approved' });
+  } catch (error) {
+    res.json({ success: false, message: 'Failed to approve' });
+  }
+});
+
+app.post('/api/admin/worker-applications/:id/reject', authorize('approve-worker'), async (req, res) => {
+  try {
+    const worker = await Worker.findById(req.params.id);
+    if (!worker) {
+      return res.json({ success: false, message: 'Worker not found' });
+    }
+
+    if (!withinScope(req.admin, worker.assignedZone)) {
+      return res.status(403).json({ success: false, message: 'Worker is outside your zones' });
+    }
+
+    worker.status = 'rejected';
+    await worker.save();
+
+    res.json({ success: true, message: 'Worker rejected' });
+  } catch (error) {
+    res.json({ success: false, message: 'Failed to reject' });
+  }
+});
+
+app.get('/api/admin/workers', authorize('view-workers'), async (req, res) => {
+  try {
+    let query = { status: 'approved' };
+
+    const zones = zoneScope(req.admin);
+    if (zones) {
+      query.assignedZone = { $in: zones };
+    }
+
+    const workers = await Worker.find(query)
+      .select('-password')
+      .sort({ name: 1 });
+
+    res.json({ success: true, workers });
+  } catch (error) {
+    res.json({ success: false, error: 'Failed to fetch workers' });
+  }
+});
+
+// Continuing to Part 3...
+// ============================================
+// WORKER DASHBOARD
+// ============================================
+
+app.get('/api/worker/reports', requireWorker('worker:view-assignments'), async (req, res) => {
+  try {
+    const worker = req.worker;
+    const zone = worker.assignedZone;
+
+    // Get reports in worker's zone
+    // Only verified reports are ready for pickup
+    const reports = await Report.find({ 
+      assignedZone: zone,
+      status: { $in: ['verified', 'in-progress', 'awaiting-verification'] }
+    })
+    .populate('userId', 'name email')
+    .sort({ createdAt: -1 });
+
+    const stats = {
+      pending: reports.filter(r => r.status === 'verified').length,
+      inProgress: reports.filter(r => r.status === 'in-progress').length,
+      awaitingVerification: reports.filter(r => r.status === 'awaiting-verification').length,
+      completed: worker.totalReportsCompleted
+    };
+
+    res.json({ 
+      success: true, 
+      reports, 
+      stats, 
+      worker: { 
+        name: worker.name, 
+        zone: worker.assignedZone 
+      } 
+    });
+  } catch (error) {
+    res.json({ success: false, error: 'Failed to fetch reports' });
+  }
+});
+
+app.post('/api/worker/reports/:id/accept', requireWorker('worker:accept-report'), async (req, res) => {
+  try {
+    const worker = req.worker;
+    const report = await Report.findById(req.params.id);
+    if (!report) {
+      return res.json({ success: false, message: 'Report not found' });
+    }
+
+    if (report.assignedZone !== worker.assignedZone) {
+      return res.status(403).json({ success: false, message: 'This report is outside your zone' });
+    }
+
+    if (report.status !== 'verified') {
+      return illegalTransition(res, report, 'in-progress');
+    }
+
+    report.assignedTo = worker._id;
+    report.transitionTo('in-progress', { ...workerActor(worker), notes: 'Accepted by worker' });
+    await report.save();
+
+    res.json({ success: true, message: 'Report accepted' });
+  } catch (error) {
+    if (isConflict(error)) {
+      return res.status(409).json({ success: false, message: 'Report was just taken by someone else' });
+    }
+    res.json({ success: false, error: 'Failed to accept report' });
+  }
+});
+
+// Worker submits proof of cleanup - the report waits for officer sign-off
+app.post('/api/worker/reports/:id/complete', requireWorker('worker:complete-report'), upload.array('photos', 5), async (req, res) => {
+  const files = req.files || [];
+  let kept = [];
+  try {
+    const { notes } = req.body;
+    const worker = req.worker;
+    const report = await Report.findById(req.params.id);
+
+    if (!report) {
+      return res.json({ success: false, message: 'Report not found' });
+    }
+
+    if (!report.assignedTo || !report.assignedTo.equals(worker._id)) {
+      return res.status(403).json({ success: false, message: 'This report is not assigned to you' });
+    }
+
+    if (!report.canTransitionTo('awaiting-verification')) {
+      return illegalTransition(res, report, 'awaiting-verification');
+    }
+
+    const photos = files.filter(file => file.mimetype.startsWith('image/'));
+    if (photos.length === 0) {
+      return res.status(400).json({ success: false, message: 'Upload at least one after photo' });
+    }
+
+    const coords = parseCoordinates(req.body.lat, req.body.lng);
+    if (!coords.valid) {
+      return res.status(400).json({ success: false, message: coords.error });
+    }
+    if (!coords.point) {
+      return res.status(400).json({ success: false, message: 'Photos must be geotagged - turn on location' });
+    }
+
+    const reported = report.location?.coordinates;
+    const distance = reported
+      ? Math.round(distanceMeters(coords.point, { lat: reported[1], lng: reported[0] }))
+      : undefined;
+
+    report.cleanupPhotos = photos.map(file => ({
+      url: `/uploads/${file.filename}`,
+      location: toGeoPoint(coords.point),
+      distanceMeters: distance
+    }));
+    report.workerNotes = notes || '';
+    report.review = undefined;
+    report.transitionTo('awaiting-verification', {
+      ...workerActor(worker),
+      notes: notes || 'Cleanup submitted for verification'
+    });
+    await report.save();
+    kept = photos;
+
+    res.json({
+      success: true,
+      message: 'Submitted for officer verification',
+      distanceMeters: distance
+    });
+  } catch (error) {
+    if (isConflict(error)) {
+      return res.status(409).json({ success: false, message: 'Report was changed by someone else' });
+    }
+    res.json({ success: false, error: 'Failed to complete report' });
+  } finally {
+    // Only the photos saved as proof stay on disk - not other file types,
+    // and nothing from a refused request
+    discardUploads(files.filter(file => !kept.includes(file)));
+  }
+});
+
+// ============================================
+// MAINTENANCE (SUPER ADMIN, OFF BY DEFAULT)
+// ============================================
+
+// Prefer the CLI (npm run seed:demo / npm run fix:zones). These routes only
+// exist for hosts without a shell and answer 404 unless
+// ENABLE_MAINTENANCE_ROUTES=true.
+const maintenanceEnabled = (req, res, next) => {
+  if (process.env.ENABLE_MAINTENANCE_ROUTES !== 'true') {
+    return res.status(404).json({ success: false, error: 'Not found' });
+  }
+  next();
+};
+
+app.post('/api/super-admin/maintenance/:task', maintenanceEnabled, authorize('run-maintenance'), async (req, res) => {
+  try {
+    const { task } = req.params;
+    if (!MAINTENANCE_TASKS[task]) {
+      return res.status(404).json({ success: false, error: 'Unknown maintenance task' });
+    }
+
+    const result = await runMaintenanceTask(task, `${req.admin.email} (${req.ip})`);
+    res.json({ success: true, task, result });
+  } catch (error) {
+    console.error('Maintenance error:', error);
+    res.status(500).json({ success: false, error: 'Maintenance task failed' });
+  }
+});
+
+export default app;
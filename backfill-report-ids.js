@@ -0,0 +1,70 @@
+// backfill-report-ids.js
+// Seeds the counters collection from existing reports and gives every
+// report a numeric reportId and a per-zone reportCode (GND-Z3-000123).
+// Safe to run more than once.
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Report, { zonePrefix, formatReportCode } from './models/Report.js';
+import Counter from './models/Counter.js';
+import { ensureZonesSeeded } from './config/zones.js';
+
+dotenv.config();
+
+async function backfillReportIds() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ MongoDB Connected');
+
+    await ensureZonesSeeded();
+    await Report.syncCounters();
+
+    // 1. Existing codes push their zone counters forward
+    const coded = await Report.find({ reportCode: { $exists: true, $ne: null } }).select('reportCode').lean();
+    const highest = {};
+    for (const { reportCode } of coded) {
+      const match = /^GND-([A-Z0-9]+)-(\d+)$/.exec(reportCode);
+      if (match) highest[match[1]] = Math.max(highest[match[1]] || 0, parseInt(match[2], 10));
+    }
+    for (const [prefix, seq] of Object.entries(highest)) {
+      await Counter.ensureAtLeast(`reportCode:${prefix}`, seq);
+    }
+
+    // 2. Reports that never got a numeric id
+    const missingIds = await Report.find({ $or: [{ reportId: { $exists: false } }, { reportId: null }] })
+      .sort({ createdAt: 1 })
+      .select('_id');
+
+    console.log(`\n🔢 Assigning reportId to ${missingIds.length} reports...`);
+    for (const report of missingIds) {
+      const reportId = await Counter.next('reportId');
+      await Report.updateOne({ _id: report._id }, { $set: { reportId } });
+      console.log(`✅ ${report._id} → #${reportId}`);
+    }
+
+    // 3. Per-zone codes, oldest first
+    const missingCodes = await Report.find({ $or: [{ reportCode: { $exists: false } }, { reportCode: null }] })
+      .sort({ createdAt: 1 })
+      .select('_id reportId assignedZone');
+
+    console.log(`\n🏷️  Assigning reportCode to ${missingCodes.length} reports...`);
+    for (const report of missingCodes) {
+      const seq = await Counter.next(`reportCode:${zonePrefix(report.assignedZone)}`);
+      const reportCode = formatReportCode(report.assignedZone, seq);
+      await Report.updateOne({ _id: report._id }, { $set: { reportCode } });
+      console.log(`✅ #${report.reportId} → ${reportCode}`);
+    }
+
+    const counters = await Counter.find().sort({ _id: 1 }).lean();
+    console.log('\n📊 COUNTERS:');
+    counters.forEach(c => console.log(`   ${c._id}: ${c.seq}`));
+
+    console.log('\n🎉 SUCCESS! Backfill complete\n');
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Error:', error);
+    process.exit(1);
+  }
+}
+
+backfillReportIds();
@@ -0,0 +1,39 @@
+import Achievement from '../models/Achievement.js';
+
+// Seed achievements - inserted on start when their key is missing, then
+// backfilled for citizens who already qualify. After that super admins add
+// more from the dashboard. The first six are the original badges.
+export const ACHIEVEMENTS_CATALOG = [
+  { key: 'first_report', name: 'First Step', icon: '🌱', description: 'Submit your first report', condition: { metric: 'reportCount', gte: 1 } },
+  { key: 'eco_warrior', name: 'Eco Warrior', icon: '♻️', description: 'Submit 10 reports', condition: { metric: 'reportCount', gte: 10 } },
+  { key: 'green_champion', name: 'Green Champion', icon: '🏆', description: 'Submit 50 reports', condition: { metric: 'reportCount', gte: 50 } },
+  { key: 'planet_hero', name: 'Planet Hero', icon: '🌍', description: 'Submit 100 reports', condition: { metric: 'reportCount', gte: 100 } },
+  { key: 'credit_collector', name: 'Credit Collector', icon: '💰', description: 'Earn 500 credits', condition: { metric: 'totalCredits', gte: 500 } },
+  { key: 'elite_guardian', name: 'Elite Guardian', icon: '👑', description: 'Earn 1000 credits', condition: { metric: 'totalCredits', gte: 1000 } },
+  { key: 'unstoppable', name: 'Unstoppable', icon: '🔥', description: 'Keep a 30-day reporting streak', condition: { metric: 'longestStreak', gte: 30 } },
+  { key: 'city_explorer', name: 'City Explorer', icon: '🧭', description: 'Report in every zone of the city', condition: { metric: 'distinctZones', gte: 'allZones' } },
+  { key: 'ewaste_expert', name: 'E-Waste Expert', icon: '⚡', description: '10 verified e-waste reports', condition: { metric: 'reports', where: { category: 'ewaste', verified: true }, gte: 10 } },
+  { key: 'fast_track', name: 'Fast Track', icon: '⏱️', description: 'A report of yours cleaned up within 24 hours', condition: { metric: 'reports', where: { resolvedWithinHours: 24 }, gte: 1 } },
+  { key: 'treat_yourself', name: 'Treat Yourself', icon: '🎁', description: 'Redeem your first reward', condition: { metric: 'redemptions', gte: 1 } },
+  {
+    key: 'civic_hero',
+    name: 'Civic Hero',
+    icon: '🦸',
+    description: '25 verified reports across at least 3 zones',
+    condition: { all: [{ metric: 'reports', where: { verified: true }, gte: 25 }, { metric: 'distinctZones', gte: 3 }] }
+  }
+];
+
+// Insert missing seeds; each new one is queued for backfill
+export async function ensureAchievementsSeeded() {
+  let added = 0;
+  for (const achievement of ACHIEVEMENTS_CATALOG) {
+    const result = await Achievement.updateOne(
+      { key: achievement.key },
+      { $setOnInsert: achievement },
+      { upsert: true }
+    );
+    added += result.upsertedCount;
+  }
+  if (added) console.log(`🏅 Seeded ${added} achievements`);
+}
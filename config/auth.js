@@ -0,0 +1,27 @@
+// Token settings. Read at call time so values from .env (loaded after
+// imports) apply.
+
+// Only ever used outside production - see assertTokenConfig()
+const DEV_JWT_SECRET = 'jwt-secret-key';
+
+const isProduction = () => process.env.NODE_ENV === 'production';
+
+export function getTokenConfig() {
+  return {
+    secret: process.env.JWT_SECRET || (isProduction() ? undefined : DEV_JWT_SECRET),
+    accessTtl: process.env.ACCESS_TOKEN_TTL || '15m',
+    refreshTtlDays: Number(process.env.REFRESH_TOKEN_DAYS) || 30,
+    verifyEmailTtl: process.env.VERIFY_EMAIL_TTL || '24h',
+    passwordResetTtl: process.env.PASSWORD_RESET_TTL || '1h'
+  };
+}
+
+// Called once at startup. Production must have a real signing secret.
+export function assertTokenConfig() {
+  if (!isProduction()) return;
+
+  const secret = process.env.JWT_SECRET;
+  if (!secret || secret === DEV_JWT_SECRET || secret.length < 32) {
+    throw new Error('JWT_SECRET must be set to a random string of at least 32 characters in production');
+  }
+}
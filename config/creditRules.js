@@ -0,0 +1,59 @@
+import CreditRuleSet from '../models/CreditRuleSet.js';
+
+// Seed rules - published as version 1 on first start. After that super
+// admins edit them from the dashboard and each save becomes a new version.
+export const DEFAULT_CREDIT_RULES = {
+  points: {
+    reportSubmitted: 10,
+    duplicateConfirmation: 3,
+    highQualityReport: 30,
+    reportVerified: 20,
+    cleanupResolved: 20,
+    signupBonus: 50,
+    weeklyStreak: 25,
+    monthlyMilestone: 100
+  },
+  highQualityScore: 80,
+  categoryMultipliers: {
+    plastic: 1,
+    paper: 1,
+    metal: 1,
+    glass: 1,
+    organic: 1,
+    ewaste: 1.5,
+    hazardous: 2,
+    construction: 1.5,
+    other: 0.5
+  },
+  // Highest tier the streak reaches applies
+  streakTiers: [
+    { days: 7, multiplier: 3 },
+    { days: 3, multiplier: 2 }
+  ],
+  caps: {
+    perReport: null,
+    perUserPerDay: 500
+  }
+};
+
+export const POINT_EVENTS = {
+  reportSubmitted: 'Report submitted',
+  duplicateConfirmation: 'Confirming an existing report',
+  highQualityReport: 'High-quality report bonus',
+  reportVerified: 'Report verified by an officer',
+  cleanupResolved: 'Report cleaned up and resolved',
+  signupBonus: 'Welcome bonus (email verified)',
+  weeklyStreak: 'Every 7 days of reporting streak',
+  monthlyMilestone: 'Every 30 days of reporting streak'
+};
+
+export async function ensureCreditRulesSeeded() {
+  if (await CreditRuleSet.exists({})) return;
+  try {
+    await CreditRuleSet.create({ version: 1, ...DEFAULT_CREDIT_RULES, notes: 'Initial rules' });
+    console.log('📐 Seeded credit rules v1');
+  } catch (error) {
+    // Another instance seeded first
+    if (error.code !== 11000) throw error;
+  }
+}
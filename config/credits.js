@@ -0,0 +1,13 @@
+// When report credits become spendable. Read at call time so values from
+// .env (loaded after imports) apply.
+// immediate: submission credits are paid straight away
+// on-verification: they are held on the report until an officer verifies it
+// Either way, rejecting a report takes back whatever it earned.
+export const CREDIT_POLICIES = ['immediate', 'on-verification'];
+
+export function getCreditPolicy() {
+  const policy = process.env.REPORT_CREDIT_POLICY;
+  return {
+    payout: CREDIT_POLICIES.includes(policy) ? policy : 'immediate'
+  };
+}
@@ -0,0 +1,11 @@
+// Duplicate / nearby report detection settings.
+// Read at call time so values from .env (loaded after imports) apply.
+export function getDuplicateConfig() {
+  return {
+    radiusMeters: Number(process.env.DUPLICATE_RADIUS_METERS) || 50,
+    windowHours: Number(process.env.DUPLICATE_WINDOW_HOURS) || 72
+  };
+}
+
+// Reports still waiting for (or undergoing) cleanup
+export const OPEN_STATUSES = ['pending', 'verified', 'in-progress', 'awaiting-verification'];
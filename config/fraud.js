@@ -0,0 +1,28 @@
+// Fraud scoring for report submissions. Read at call time so values from
+// .env (loaded after imports) apply.
+// Each signal that fires adds its weight to the report's score; at or above
+// holdScore the report's credits are held in escrow until it is verified.
+export const FRAUD_SIGNALS = {
+  'repeat-photo': { weight: 50, label: 'Photo already used on another report' },
+  'reused-coordinates': { weight: 25, label: 'Same GPS spot as several earlier reports' },
+  'burst': { weight: 20, label: 'Many reports in a short time' },
+  'rejection-ratio': { weight: 30, label: 'Most earlier reports were rejected' }
+};
+
+export function getFraudConfig() {
+  return {
+    holdScore: Number(process.env.FRAUD_HOLD_SCORE) || 50,
+    // Perceptual hashes this many bits apart or closer are the same picture
+    photoMaxDistance: Number(process.env.FRAUD_PHOTO_DISTANCE) || 6,
+    photoLookbackDays: 90,
+    // The user's own earlier reports within this radius
+    coordinateRadiusMeters: Number(process.env.FRAUD_COORD_RADIUS_METERS) || 15,
+    coordinateLookbackDays: 30,
+    coordinateRepeats: 2,
+    burstWindowMinutes: 30,
+    burstReports: Number(process.env.FRAUD_BURST_REPORTS) || 4,
+    // Only judged once the user has this many decided reports
+    rejectionMinReports: 5,
+    rejectionRatio: 0.5
+  };
+}
@@ -0,0 +1,13 @@
+// Outgoing mail settings. Read at call time so values from .env (loaded
+// after imports) apply.
+// transport: console (log the message), file (write it to outboxDir) or the
+//   name of a transport added with registerTransport() in services/mailer.js
+export function getMailConfig() {
+  return {
+    transport: process.env.MAIL_TRANSPORT || 'console',
+    from: process.env.MAIL_FROM || 'GreenCredits <no-reply@greencredits.local>',
+    outboxDir: process.env.MAIL_OUTBOX_DIR || 'mail-outbox',
+    // Base for links in emails
+    appUrl: (process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '')
+  };
+}
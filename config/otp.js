@@ -0,0 +1,16 @@
+// One-time login codes sent by SMS. Read at call time so values from .env
+// (loaded after imports) apply.
+// smsProvider: console (log the message), file (write it to outboxDir) or
+//   the name of a provider added with registerSmsProvider() in services/sms.js
+export function getOtpConfig() {
+  return {
+    length: 6,
+    ttlMinutes: Number(process.env.OTP_TTL_MINUTES) || 5,
+    // Wrong guesses allowed per code before a new one must be requested
+    maxAttempts: Number(process.env.OTP_MAX_ATTEMPTS) || 5,
+    resendSeconds: Number(process.env.OTP_RESEND_SECONDS) || 60,
+    maxPerHour: Number(process.env.OTP_MAX_PER_HOUR) || 5,
+    smsProvider: process.env.SMS_PROVIDER || 'console',
+    outboxDir: process.env.SMS_OUTBOX_DIR || 'sms-outbox'
+  };
+}
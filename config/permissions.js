@@ -0,0 +1,110 @@
+// Who may do what. Every admin and worker route names one of the ACTIONS
+// below and is checked with can() - routes never compare role strings.
+
+export const ROLES = {
+  SUPER_ADMIN: 'super_admin',
+  MUNICIPALITY_OFFICER: 'municipality_officer',
+  ZONE_OFFICER: 'zone_officer',
+  WORKER: 'worker'
+};
+
+// Spellings found in older Admin documents
+const ROLE_ALIASES = {
+  superadmin: ROLES.SUPER_ADMIN,
+  'super-admin': ROLES.SUPER_ADMIN,
+  zoneofficer: ROLES.ZONE_OFFICER,
+  'zone-officer': ROLES.ZONE_OFFICER,
+  admin: ROLES.MUNICIPALITY_OFFICER,
+  municipalityofficer: ROLES.MUNICIPALITY_OFFICER
+};
+
+export const ADMIN_ROLES = [ROLES.SUPER_ADMIN, ROLES.MUNICIPALITY_OFFICER, ROLES.ZONE_OFFICER];
+
+export const LEGACY_ROLES = Object.keys(ROLE_ALIASES);
+
+export function normalizeRole(role) {
+  if (!role) return role;
+  const key = String(role).trim().toLowerCase();
+  return ROLE_ALIASES[key] || key;
+}
+
+// Permission flags a new officer starts with (Admin.permissions)
+export const DEFAULT_PERMISSIONS = {
+  [ROLES.SUPER_ADMIN]: { canApproveWorkers: true, canAssignWork: true, canViewReports: true, canManageOfficers: true },
+  [ROLES.MUNICIPALITY_OFFICER]: { canApproveWorkers: true, canAssignWork: true, canViewReports: true, canManageOfficers: false },
+  [ROLES.ZONE_OFFICER]: { canApproveWorkers: true, canAssignWork: true, canViewReports: true, canManageOfficers: false }
+};
+
+const OFFICERS = [ROLES.MUNICIPALITY_OFFICER, ROLES.ZONE_OFFICER];
+
+// action -> roles allowed, plus the Admin.permissions flag those roles also
+// need. Super admins may do everything outside the worker app.
+export const POLICY = {
+  'view-dashboard': { roles: OFFICERS },
+  'view-reports': { roles: OFFICERS, permission: 'canViewReports' },
+  'update-report-status': { roles: OFFICERS, permission: 'canViewReports' },
+  'review-cleanup': { roles: OFFICERS, permission: 'canViewReports' },
+  'merge-reports': { roles: OFFICERS, permission: 'canViewReports' },
+  'review-fraud': { roles: OFFICERS, permission: 'canViewReports' },
+  'assign-work': { roles: OFFICERS, permission: 'canAssignWork' },
+  'view-workers': { roles: OFFICERS },
+  'approve-worker': { roles: OFFICERS, permission: 'canApproveWorkers' },
+  'manage-officers': { roles: [ROLES.MUNICIPALITY_OFFICER], permission: 'canManageOfficers' },
+  'manage-redemptions': { roles: [ROLES.MUNICIPALITY_OFFICER] },
+  'unlock-accounts': { roles: [ROLES.MUNICIPALITY_OFFICER] },
+  'view-system': { roles: [] },
+  'manage-zones': { roles: [] },
+  'manage-rewards': { roles: [] },
+  'manage-credit-rules': { roles: [] },
+  'manage-campaigns': { roles: [] },
+  'manage-achievements': { roles: [] },
+  'run-maintenance': { roles: [] },
+  'worker:view-assignments': { roles: [ROLES.WORKER] },
+  'worker:accept-report': { roles: [ROLES.WORKER] },
+  'worker:complete-report': { roles: [ROLES.WORKER] }
+};
+
+export const ACTIONS = Object.keys(POLICY);
+
+// Workers carry no role field of their own
+export function roleOf(actor) {
+  if (!actor) return null;
+  return actor.role ? normalizeRole(actor.role) : ROLES.WORKER;
+}
+
+export function isSuperAdmin(actor) {
+  return roleOf(actor) === ROLES.SUPER_ADMIN;
+}
+
+// Deactivated admins and unapproved workers can do nothing
+function isEnabled(actor) {
+  if (roleOf(actor) === ROLES.WORKER) return actor.status === 'approved';
+  return actor.isActive !== false;
+}
+
+export function can(actor, action) {
+  const rule = POLICY[action];
+  if (!actor || !rule || !isEnabled(actor)) return false;
+
+  const role = roleOf(actor);
+  // Worker app actions belong to workers alone
+  if (role === ROLES.SUPER_ADMIN) return !rule.roles.includes(ROLES.WORKER);
+  if (!rule.roles.includes(role)) return false;
+  return !rule.permission || actor.permissions?.[rule.permission] === true;
+}
+
+export function allowedActions(actor) {
+  return ACTIONS.filter(action => can(actor, action));
+}
+
+// Zones an admin may see and act in; null = every zone. A zone officer
+// without assigned zones gets none.
+export function zoneScope(admin) {
+  if (roleOf(admin) !== ROLES.ZONE_OFFICER) return null;
+  return admin.assignedZones || [];
+}
+
+export function withinScope(admin, zoneName) {
+  const zones = zoneScope(admin);
+  return !zones || zones.includes(zoneName);
+}
@@ -0,0 +1,17 @@
+// Request limits and login lockout. Read at call time so values from .env
+// (loaded after imports) apply.
+// store: memory (per process) or mongo (shared by every instance)
+export function getRateLimitConfig() {
+  return {
+    store: process.env.RATE_LIMIT_STORE || 'memory',
+    // Login attempts from one IP, any account
+    loginPerIp: { limit: Number(process.env.LOGIN_LIMIT_PER_IP) || 20, windowMinutes: 15 },
+    // Login attempts against one email / mobile, from anywhere
+    loginPerAccount: { limit: Number(process.env.LOGIN_LIMIT_PER_ACCOUNT) || 10, windowMinutes: 15 },
+    // Wrong passwords in a row before the account is locked
+    maxFailedLogins: Number(process.env.LOGIN_MAX_FAILURES) || 5,
+    lockMinutes: Number(process.env.LOGIN_LOCK_MINUTES) || 30,
+    // Report submissions per citizen - each one mints credits
+    reportsPerUser: { limit: Number(process.env.REPORTS_PER_HOUR) || 10, windowMinutes: 60 }
+  };
+}
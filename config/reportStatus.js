@@ -0,0 +1,16 @@
+// Report lifecycle: which status changes are allowed from each state
+export const REPORT_STATUSES = ['pending', 'verified', 'in-progress', 'awaiting-verification', 'resolved', 'rejected', 'duplicate'];
+
+export const REPORT_TRANSITIONS = {
+  'pending': ['verified', 'rejected', 'duplicate'],
+  'verified': ['in-progress', 'rejected', 'duplicate'],
+  'in-progress': ['awaiting-verification', 'verified', 'rejected'],  // verified = released back to the queue
+  'awaiting-verification': ['resolved', 'in-progress'],              // officer accepts or sends back
+  'resolved': ['in-progress'],                                       // reopen
+  'rejected': ['pending'],                                           // reopen
+  'duplicate': ['pending']                                           // un-merge
+};
+
+export function canTransition(from, to) {
+  return (REPORT_TRANSITIONS[from] || []).includes(to);
+}
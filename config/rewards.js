@@ -0,0 +1,59 @@
+import Reward from '../models/Reward.js';
+
+export const REWARD_CATEGORIES = ['vouchers', 'products', 'donations', 'services', 'perks'];
+
+// In-app perks, granted the moment they're redeemed (services/redemptions.js)
+export const REWARD_PERKS = ['streak-freeze'];
+
+// Seed catalog - copied into the Reward collection on first start. After that
+// the super admin manages rewards and stock from the dashboard.
+// stock: units left, null = unlimited
+// codePool: vouchers are issued from uploaded codes (see services/vouchers.js)
+// perk: one of REWARD_PERKS
+export const REWARDS_CATALOG = [
+  { key: 'amazon50', name: '₹50 Amazon Voucher', category: 'vouchers', cost: 500, icon: '🛒', description: 'Amazon gift card worth ₹50', stock: null, codePool: true },
+  { key: 'flipkart100', name: '₹100 Flipkart Voucher', category: 'vouchers', cost: 1000, icon: '🛍️', description: 'Flipkart gift voucher', stock: null, codePool: true },
+  { key: 'zomato200', name: '₹200 Zomato Voucher', category: 'vouchers', cost: 2000, icon: '🍔', description: 'Zomato food voucher', stock: 25, codePool: true },
+  { key: 'tshirt', name: 'GreenCredits T-Shirt', category: 'products', cost: 1500, icon: '👕', description: 'Premium eco-friendly cotton t-shirt', stock: 50 },
+  { key: 'bottle', name: 'Steel Water Bottle', category: 'products', cost: 800, icon: '🍶', description: 'Reusable steel water bottle', stock: 100 },
+  { key: 'bag', name: 'Eco Jute Bag', category: 'products', cost: 600, icon: '👜', description: 'Reusable jute shopping bag', stock: null },
+  { key: 'tree', name: 'Plant 5 Trees', category: 'donations', cost: 500, icon: '🌳', description: 'Plant 5 trees in your name', stock: null },
+  { key: 'cleanup', name: 'Fund Beach Cleanup', category: 'donations', cost: 1000, icon: '🏖️', description: 'Support coastal cleanup drive', stock: null },
+  { key: 'ngo', name: 'Donate to NGO', category: 'donations', cost: 2000, icon: '❤️', description: 'Support environmental NGOs', stock: null },
+  { key: 'cleaning', name: 'Free Home Waste Pickup', category: 'services', cost: 0, icon: '🚛', description: 'One-time free waste pickup service', stock: 20 },
+  { key: 'consultation', name: 'Waste Management Consultation', category: 'services', cost: 1200, icon: '👨‍🏫', description: '1-hour expert consultation', stock: 10 },
+  { key: 'streak_freeze', name: 'Streak Freeze', category: 'perks', cost: 150, icon: '🧊', description: 'Covers one missed day so your reporting streak survives', stock: null, perk: 'streak-freeze' }
+];
+
+// pending: credits taken, waiting for an admin (voucher rewards skip
+//   straight to fulfilled once a code is issued)
+// approved: admin accepted, being arranged
+// fulfilled: delivered to the citizen
+// cancelled: credits refunded and stock returned
+export const REDEMPTION_STATUSES = ['pending', 'approved', 'fulfilled', 'cancelled'];
+
+export const REDEMPTION_TRANSITIONS = {
+  pending: ['approved', 'cancelled'],
+  approved: ['fulfilled', 'cancelled'],
+  fulfilled: [],
+  cancelled: []
+};
+
+export function canTransitionRedemption(from, to) {
+  return (REDEMPTION_TRANSITIONS[from] || []).includes(to);
+}
+
+export async function ensureRewardsSeeded() {
+  const count = await Reward.countDocuments();
+  if (count === 0) {
+    await Reward.insertMany(REWARDS_CATALOG);
+    console.log(`🎁 Seeded ${REWARDS_CATALOG.length} rewards`);
+    return;
+  }
+
+  // Perks need code behind them, so they're added to existing stores too
+  for (const reward of REWARDS_CATALOG.filter(r => r.perk)) {
+    const result = await Reward.updateOne({ key: reward.key }, { $setOnInsert: reward }, { upsert: true });
+    if (result.upsertedCount) console.log(`🎁 Added ${reward.name} to the rewards store`);
+  }
+}
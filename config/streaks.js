@@ -0,0 +1,23 @@
+import { isValidTimeZone } from '../utils/civicTime.js';
+
+// Daily reporting streaks. Read at call time so values from .env (loaded
+// after imports) apply.
+// timeZone: where a "day" starts and ends for streaks and daily caps
+// maxFreezes: streak freezes a citizen can hold at once. Each one covers
+//   a single missed day and is bought from the rewards store.
+export const DEFAULT_CIVIC_TIME_ZONE = 'Asia/Kolkata';
+
+// Milestone bonuses, paid on the day the streak reaches a multiple of these
+export const STREAK_MILESTONES = [
+  { every: 7, points: 'weeklyStreak' },
+  { every: 30, points: 'monthlyMilestone' }
+];
+
+export function getStreakConfig() {
+  const timeZone = process.env.CIVIC_TIME_ZONE;
+  const maxFreezes = Number(process.env.STREAK_MAX_FREEZES);
+  return {
+    timeZone: timeZone && isValidTimeZone(timeZone) ? timeZone : DEFAULT_CIVIC_TIME_ZONE,
+    maxFreezes: Number.isInteger(maxFreezes) && maxFreezes >= 0 ? maxFreezes : 2
+  };
+}
@@ -1,53 +1,149 @@
-// Zone configuration for Gonda
+import Zone from '../models/Zone.js';
+import { pointInPolygon, boxRing } from '../utils/geo.js';
+
+// Reports that can't be placed in any zone
+export const UNZONED = 'unzoned';
+
+// Seed configuration for Gonda - copied into the Zone collection on first
+// start. After that the database is the source of truth (super admin editor).
+// boundary: GeoJSON Polygon or MultiPolygon ([lng, lat] order)
 export const ZONE_CONFIG = {
   'Zone 1 - North Gonda': {
+    code: 'ZONE-1',
+    color: '#3b82f6',
+    population: 25000,
+    area_km2: 8.5,
     areas: ['Station Road', 'Civil Lines', 'Railway Colony', 'Nehru Nagar', 'Gandhi Nagar'],
-    keywords: ['station', 'civil lines', 'railway', 'nehru', 'gandhi nagar', 'north']
+    keywords: ['station', 'civil lines', 'railway', 'nehru', 'gandhi nagar', 'north'],
+    boundary: {
+      type: 'Polygon',
+      coordinates: [boxRing(27.15, 81.88, 27.22, 82.05)]
+    }
   },
   'Zone 2 - South Gonda': {
+    code: 'ZONE-2',
+    color: '#10b981',
+    population: 30000,
+    area_km2: 10.2,
     areas: ['Colonelganj', 'Mankapur', 'Katra', 'Shahar Kotwali'],
-    keywords: ['colonelganj', 'mankapur', 'katra', 'kotwali', 'south']
+    keywords: ['colonelganj', 'mankapur', 'katra', 'kotwali', 'south'],
+    // City strip plus the outlying Colonelganj and Mankapur wards
+    boundary: {
+      type: 'MultiPolygon',
+      coordinates: [
+        [boxRing(27.05, 81.88, 27.10, 82.05)],
+        [boxRing(27.11, 81.68, 27.15, 81.73)],
+        [boxRing(27.03, 82.20, 27.07, 82.25)]
+      ]
+    }
   },
   'Zone 3 - East Gonda': {
+    code: 'ZONE-3',
+    color: '#f59e0b',
+    population: 22000,
+    area_km2: 7.8,
     areas: ['Paraspur', 'Itiathok', 'Wazirganj Road', 'Tarabganj'],
-    keywords: ['paraspur', 'itiathok', 'wazirganj', 'tarabganj', 'east']
+    keywords: ['paraspur', 'itiathok', 'wazirganj', 'tarabganj', 'east'],
+    boundary: {
+      type: 'Polygon',
+      coordinates: [boxRing(27.10, 81.98, 27.15, 82.05)]
+    }
   },
   'Zone 4 - West Gonda': {
+    code: 'ZONE-4',
+    color: '#ef4444',
+    population: 28000,
+    area_km2: 9.5,
     areas: ['Bahraich Road', 'Wazirganj', 'Jhilahi', 'Nawabganj Road'],
-    keywords: ['bahraich', 'jhilahi', 'nawabganj', 'west']
+    keywords: ['bahraich', 'jhilahi', 'nawabganj', 'west'],
+    boundary: {
+      type: 'Polygon',
+      coordinates: [boxRing(27.10, 81.88, 27.15, 81.95)]
+    }
   },
   'Zone 5 - Central Gonda': {
+    code: 'ZONE-5',
+    color: '#8b5cf6',
+    population: 35000,
+    area_km2: 6.5,
     areas: ['City Center', 'Sadar Bazaar', 'Collectorate', 'Old City'],
-    keywords: ['city center', 'sadar', 'collectorate', 'old city', 'center', 'central']
+    keywords: ['city center', 'sadar', 'collectorate', 'old city', 'center', 'central'],
+    boundary: {
+      type: 'Polygon',
+      coordinates: [boxRing(27.10, 81.95, 27.15, 81.98)]
+    }
   }
 };
 
-// Auto-detect zone from address
-export function detectZone(address) {
-  if (!address) return 'Zone 5 - Central Gonda';
+const seedZones = () => Object.entries(ZONE_CONFIG).map(([name, config]) => ({ name, ...config }));
+
+// In-memory copy of the active zones, refreshed from MongoDB
+let activeZones = seedZones();
+
+export function getZones() {
+  return activeZones;
+}
+
+// Look a zone up by its name or code (e.g. "ZONE-3")
+export function findZone(value) {
+  if (!value) return null;
+  const needle = String(value).trim().toLowerCase();
+  return activeZones.find(zone =>
+    zone.name.toLowerCase() === needle || zone.code?.toLowerCase() === needle
+  ) || null;
+}
+
+// Reload the cache - call after any zone write
+export async function refreshZones() {
+  const zones = await Zone.find({ isActive: true }).sort({ code: 1 }).lean();
+  activeZones = zones;
+  return activeZones;
+}
+
+// First start: copy ZONE_CONFIG into the Zone collection
+export async function ensureZonesSeeded() {
+  const count = await Zone.countDocuments();
+  if (count === 0) {
+    await Zone.insertMany(seedZones());
+    console.log(`🗺️  Seeded ${Object.keys(ZONE_CONFIG).length} zones`);
+  }
+  return refreshZones();
+}
+
+// Auto-detect zone from address keywords
+export function detectZone(address, zones = activeZones) {
+  if (!address) return UNZONED;
   
   const addressLower = address.toLowerCase();
   
-  for (const [zoneName, config] of Object.entries(ZONE_CONFIG)) {
-    for (const keyword of config.keywords) {
-      if (addressLower.includes(keyword)) {
-        return zoneName;
+  for (const zone of zones) {
+    for (const keyword of zone.keywords || []) {
+      if (addressLower.includes(keyword.toLowerCase())) {
+        return zone.name;
       }
     }
   }
   
-  return 'Zone 5 - Central Gonda'; // Default
+  return UNZONED;
 }
 
-// Auto-detect zone from GPS coordinates
-export function detectZoneFromCoordinates(lat, lng) {
-  if (!lat || !lng) return null;
-  
-  // Gonda approximate boundaries
-  if (lat > 27.15) return 'Zone 1 - North Gonda';
-  if (lat < 27.10) return 'Zone 2 - South Gonda';
-  if (lng > 81.98) return 'Zone 3 - East Gonda';
-  if (lng < 81.95) return 'Zone 4 - West Gonda';
-  
-  return 'Zone 5 - Central Gonda';
+// Auto-detect zone from GPS coordinates (point-in-polygon)
+export function detectZoneFromCoordinates(lat, lng, zones = activeZones) {
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+
+  for (const zone of zones) {
+    if (pointInPolygon(lat, lng, zone.boundary)) {
+      return zone.name;
+    }
+  }
+
+  return UNZONED;
+}
+
+// GPS wins when present; address keywords are only a fallback
+export function assignZone({ lat, lng, address } = {}, zones = activeZones) {
+  const gpsZone = detectZoneFromCoordinates(lat, lng, zones);
+  if (gpsZone) return gpsZone;
+
+  return detectZone(address, zones);
 }
@@ -0,0 +1,45 @@
+// maintenance.js
+// Maintenance tasks that used to be open GET endpoints.
+//
+//   node maintenance.js seed-demo-accounts   create missing demo admins/workers
+//   node maintenance.js fix-zones            re-detect zones for unzoned reports
+//   node maintenance.js rebuild-leaderboards recompute leaderboards from the ledger
+import os from 'os';
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { MAINTENANCE_TASKS, runMaintenanceTask } from './services/maintenance.js';
+
+dotenv.config();
+
+const task = process.argv[2];
+
+async function main() {
+  if (!MAINTENANCE_TASKS[task]) {
+    console.error(`Usage: node maintenance.js <${Object.keys(MAINTENANCE_TASKS).join('|')}>`);
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ MongoDB Connected');
+
+    const result = await runMaintenanceTask(task, `cli:${os.userInfo().username}@${os.hostname()}`);
+
+    if (task === 'seed-demo-accounts') {
+      console.log(`\n✅ Created: ${result.created.join(', ') || 'nothing'}`);
+      console.log(`⏭️  Already there: ${result.skipped.join(', ') || 'nothing'}\n`);
+    } else if (task === 'rebuild-leaderboards') {
+      console.log(`\n🏆 ${result.entries} ledger entries → ${result.scores} leaderboard scores\n`);
+    } else {
+      result.details.forEach(d => console.log(`  #${d.id} → ${d.zone}`));
+      console.log(`\n🎉 ${result.fixed} of ${result.checked} reports now have a zone\n`);
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Maintenance error:', error);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,104 @@
+// migrate-credit-ledger.js
+// Copies the old embedded Credit.transactions arrays into the
+// CreditTransaction ledger, then removes the arrays. If the copied history
+// doesn't add up to the balance users currently see, an opening
+// adjustment is posted so nobody's spendable credits change. Users whose
+// history holds the welcome bonus signup used to pay are flagged so
+// verifying their email doesn't pay it again.
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Credit from './models/Credit.js';
+import User from './models/User.js';
+import CreditTransaction from './models/CreditTransaction.js';
+import { SYSTEM_ACCOUNTS, userAccount, ledgerBalance } from './services/ledger.js';
+
+dotenv.config();
+
+const LEGACY_TYPES = ['earned', 'bonus', 'redeemed'];
+// What signup paid before the bonus moved to email verification
+const LEGACY_SIGNUP_BONUS = 'Welcome bonus! 🎉';
+
+async function migrateCreditLedger() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ MongoDB Connected');
+
+    // Raw collection - the model no longer declares `transactions`
+    const accounts = await Credit.collection.find({ transactions: { $exists: true } }).toArray();
+
+    console.log(`\n🔧 Migrating ${accounts.length} credit accounts...\n`);
+
+    let copied = 0;
+    let adjusted = 0;
+
+    for (const account of accounts) {
+      const entries = (account.transactions || []).map(tx => {
+        const amount = Number(tx.amount) || 0;
+        return {
+          userId: account.userId,
+          type: LEGACY_TYPES.includes(tx.type) ? tx.type : 'adjustment',
+          amount,
+          debitAccount: amount >= 0 ? SYSTEM_ACCOUNTS.REWARDS : userAccount(account.userId),
+          creditAccount: amount >= 0 ? userAccount(account.userId) : SYSTEM_ACCOUNTS.REDEMPTIONS,
+          description: tx.description,
+          idempotencyKey: `legacy:${account._id}:${tx._id}`,
+          createdAt: tx.timestamp || new Date()
+        };
+      }).filter(entry => entry.amount !== 0);
+
+      if (entries.length) {
+        // ordered:false so a re-run skips entries copied last time
+        await CreditTransaction.insertMany(entries, { ordered: false }).catch(error => {
+          if (error.code !== 11000 && !error.writeErrors) throw error;
+        });
+        copied += entries.length;
+      }
+
+      const ledger = await ledgerBalance(account.userId);
+      const drift = (account.availableCredits || 0) - ledger.available;
+
+      if (drift !== 0) {
+        await CreditTransaction.create({
+          userId: account.userId,
+          type: 'adjustment',
+          amount: drift,
+          debitAccount: drift > 0 ? SYSTEM_ACCOUNTS.REWARDS : userAccount(account.userId),
+          creditAccount: drift > 0 ? userAccount(account.userId) : SYSTEM_ACCOUNTS.REDEMPTIONS,
+          description: 'Opening balance adjustment (ledger migration)',
+          idempotencyKey: `legacy-opening:${account._id}`
+        }).catch(error => {
+          if (error.code !== 11000) throw error;
+        });
+        adjusted++;
+        console.log(`⚠️  ${account.userId}: available ${account.availableCredits}, history ${ledger.available} → adjustment ${drift}`);
+      }
+
+      await Credit.collection.updateOne({ _id: account._id }, { $unset: { transactions: '' } });
+      console.log(`✅ ${account.userId}: ${entries.length} transactions`);
+    }
+
+    // The history is the only record of who was paid at signup. Covers
+    // ledgers copied by earlier runs too.
+    const paidAtSignup = await CreditTransaction.distinct('userId', {
+      type: 'bonus',
+      idempotencyKey: /^legacy:/,
+      description: LEGACY_SIGNUP_BONUS
+    });
+    const flagged = await User.updateMany(
+      { _id: { $in: paidAtSignup }, signupBonusPaid: { $ne: true } },
+      { $set: { signupBonusPaid: true } }
+    );
+    console.log(`🎁 ${flagged.modifiedCount} users marked as paid a welcome bonus at signup`);
+
+    console.log(`\n🎉 SUCCESS! Copied ${copied} transactions, ${adjusted} opening adjustments\n`);
+    console.log('👉 Run `npm run reconcile:credits` to check the result\n');
+
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Error:', error);
+    process.exit(1);
+  }
+}
+
+migrateCreditLedger();
@@ -0,0 +1,87 @@
+// migrate-report-fields.js
+// Moves legacy report fields (photoUrl, lat/lng, wasteCategory) into the
+// declared schema fields and clears the [0,0] placeholder locations.
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Report from './models/Report.js';
+import { parseCoordinates, parseWasteCategory, toGeoPoint } from './utils/validation.js';
+
+dotenv.config();
+
+const LEGACY_FIELDS = ['photoUrl', 'lat', 'lng', 'wasteCategory'];
+
+async function migrateReportFields() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ MongoDB Connected');
+
+    // Raw collection access - the model would strip the legacy fields
+    const reports = await Report.collection.find({
+      $or: [
+        ...LEGACY_FIELDS.map(field => ({ [field]: { $exists: true } })),
+        { 'location.coordinates': [0, 0] },
+        { 'location.coordinates': { $exists: false }, 'location.type': { $exists: true } }
+      ]
+    }).toArray();
+
+    console.log(`\n🔧 Migrating ${reports.length} reports...\n`);
+
+    let migrated = 0;
+    let skipped = 0;
+
+    for (const doc of reports) {
+      const $set = {};
+      const $unset = {};
+
+      if (doc.photoUrl && !doc.photo) {
+        $set.photo = doc.photoUrl;
+      }
+
+      const coords = parseCoordinates(doc.lat, doc.lng);
+      if (coords.valid && coords.point) {
+        $set.location = toGeoPoint(coords.point);
+      } else {
+        if (!coords.valid) {
+          console.log(`⚠️  Report #${doc.reportId}: ${coords.error} (${doc.lat}, ${doc.lng})`);
+        }
+        const existing = doc.location?.coordinates;
+        if (!existing || (existing[0] === 0 && existing[1] === 0)) {
+          $unset.location = '';
+        }
+      }
+
+      if (doc.wasteCategory && (!doc.category || doc.category === 'other')) {
+        const category = parseWasteCategory(doc.wasteCategory);
+        if (category.valid) $set.category = category.category;
+      }
+
+      for (const field of LEGACY_FIELDS) {
+        if (field in doc) $unset[field] = '';
+      }
+
+      const update = {};
+      if (Object.keys($set).length) update.$set = $set;
+      if (Object.keys($unset).length) update.$unset = $unset;
+
+      if (!Object.keys(update).length) {
+        skipped++;
+        continue;
+      }
+
+      await Report.collection.updateOne({ _id: doc._id }, update);
+      migrated++;
+
+      console.log(`✅ Report #${doc.reportId} → ${Object.keys({ ...$set, ...$unset }).join(', ')}`);
+    }
+
+    console.log(`\n🎉 SUCCESS! Migrated ${migrated} reports (${skipped} unchanged)\n`);
+
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Error:', error);
+    process.exit(1);
+  }
+}
+
+migrateReportFields();
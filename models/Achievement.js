@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+// A badge citizens unlock when its condition holds. Conditions are data -
+// see services/achievements.js for the metrics they can use - so new
+// achievements need no deploy. Earned ones are kept on Credit.badges.
+const achievementSchema = new mongoose.Schema({
+  // Stable id, stored on Credit.badges
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  icon: {
+    type: String,
+    default: '🏅'
+  },
+  description: String,
+  // { all: [...] } | { any: [...] } | { metric, where?, gte? | lte? }
+  condition: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Credits paid once when unlocked
+  bonus: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Awarding to citizens who already qualified when it was added
+  backfill: {
+    status: {
+      type: String,
+      enum: ['pending', 'running', 'done', 'failed'],
+      default: 'pending'
+    },
+    processed: { type: Number, default: 0 },
+    awarded: { type: Number, default: 0 },
+    startedAt: Date,
+    finishedAt: Date,
+    error: String
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('Achievement', achievementSchema);
@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { ADMIN_ROLES, normalizeRole, LEGACY_ROLES } from '../config/permissions.js';
 
 const adminSchema = new mongoose.Schema({
   name: {
@@ -17,9 +18,11 @@ const adminSchema = new mongoose.Schema({
     required: true
   },
   phone: String,
+  // Older spellings (superadmin, zoneofficer, admin) are normalized on write
   role: {
     type: String,
-    enum: ['superadmin', 'super_admin', 'zone_officer', 'zoneofficer', 'admin'],
+    enum: ADMIN_ROLES,
+    set: normalizeRole,
     required: true
   },
   department: String,
@@ -34,6 +37,15 @@ const adminSchema = new mongoose.Schema({
     canViewReports: { type: Boolean, default: true },
     canManageOfficers: { type: Boolean, default: false }
   },
+  // Wrong passwords in a row; reaching the limit sets lockedUntil (services/lockout.js)
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -58,6 +70,17 @@ adminSchema.pre('save', async function(next) {
   }
 });
 
+// Rewrite legacy role spellings still stored in the database. Safe to run
+// on every start.
+adminSchema.statics.normalizeRoles = async function() {
+  const legacy = await this.find({ role: { $in: LEGACY_ROLES } }).select('role').lean();
+  for (const admin of legacy) {
+    await this.updateOne({ _id: admin._id }, { $set: { role: normalizeRole(admin.role) } });
+  }
+  if (legacy.length) console.log(`👮 Normalized ${legacy.length} admin role(s)`);
+  return legacy.length;
+};
+
 // ⭐⭐⭐ CRITICAL: Compare password method ⭐⭐⭐
 adminSchema.methods.comparePassword = async function(candidatePassword) {
   try {
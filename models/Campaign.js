@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+import { WASTE_CATEGORIES } from '../utils/validation.js';
+
+// A time-bound drive, e.g. "Swachh week in Zone 2" or "Plastic-free
+// October". Reports submitted in the window that match its zones and
+// categories earn its bonus (see services/campaigns.js).
+const campaignSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  icon: {
+    type: String,
+    default: '📣'
+  },
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  endsAt: {
+    type: Date,
+    required: true
+  },
+  // Empty = every zone / every category
+  zones: [String],
+  categories: [{
+    type: String,
+    enum: WASTE_CATEGORIES
+  }],
+  // Which awards the bonus applies to: the submission credits, the
+  // verification bonus, or both
+  stages: {
+    type: [{ type: String, enum: ['submission', 'verification'] }],
+    default: ['submission']
+  },
+  // Multiplies the stage's credits; the flat bonus is added per report
+  multiplier: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  flatBonus: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Optional challenge, e.g. 5 verified plastic reports for 100 credits
+  goal: {
+    reports: Number,
+    countStatus: {
+      type: String,
+      enum: ['submitted', 'verified']
+    },
+    bonus: Number
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true
+});
+
+campaignSchema.index({ isActive: 1, startsAt: 1, endsAt: 1 });
+
+export default mongoose.model('Campaign', campaignSchema);
@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+
+// Named sequences, incremented atomically (one document per sequence)
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  versionKey: false
+});
+
+// Next value of a sequence - safe under concurrent callers
+counterSchema.statics.next = async function(name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+// Make sure a sequence never hands out a value <= floor (idempotent)
+counterSchema.statics.ensureAtLeast = async function(name, floor) {
+  await this.updateOne(
+    { _id: name },
+    { $max: { seq: floor } },
+    { upsert: true }
+  );
+};
+
+export default mongoose.model('Counter', counterSchema);
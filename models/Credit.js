@@ -1,15 +1,7 @@
 import mongoose from 'mongoose';
 
-const transactionSchema = new mongoose.Schema({
-  type: String,
-  amount: Number,
-  description: String,
-  timestamp: {
-    type: Date,
-    default: Date.now
-  }
-});
-
+// Per-user balance cache and report stats. The history of every credit
+// movement lives in CreditTransaction (see services/ledger.js).
 const creditSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -25,13 +17,27 @@ const creditSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Held in escrow on reports awaiting verification - not spendable yet
+  pendingCredits: {
+    type: Number,
+    default: 0
+  },
+  // Reversed credits the citizen had already spent, per rejected report.
+  // Paid off from the credits they earn next (see services/ledger.js).
+  debts: [{
+    reference: {
+      kind: String,
+      id: mongoose.Schema.Types.ObjectId
+    },
+    amount: Number,
+    _id: false
+  }],
   badges: [{
     key: String,
     name: String,
     icon: String,
     earnedAt: Date
   }],
-  transactions: [transactionSchema],
   reportCount: {
     type: Number,
     default: 0
@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+
+// One published version of the credit rules. Versions are never edited -
+// publishing creates the next one - so every award can point back at the
+// exact rules that produced it (CreditTransaction.ruleVersion).
+const streakTierSchema = new mongoose.Schema({
+  days: { type: Number, required: true },
+  multiplier: { type: Number, required: true }
+}, { _id: false });
+
+const creditRuleSetSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  // Points per event, before multipliers
+  points: {
+    reportSubmitted: Number,
+    duplicateConfirmation: Number,
+    highQualityReport: Number,
+    reportVerified: Number,
+    cleanupResolved: Number,
+    signupBonus: Number,
+    weeklyStreak: Number,
+    monthlyMilestone: Number
+  },
+  // Quality score (0-100) at which highQualityReport is added
+  highQualityScore: Number,
+  // Waste category -> multiplier on reportSubmitted
+  categoryMultipliers: {
+    type: Map,
+    of: Number
+  },
+  streakTiers: [streakTierSchema],
+  // null = no cap
+  caps: {
+    perReport: Number,
+    perUserPerDay: Number
+  },
+  notes: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+});
+
+export default mongoose.model('CreditRuleSet', creditRuleSetSchema);
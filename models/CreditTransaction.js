@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+
+// One immutable ledger entry. Every entry moves `amount` credits from
+// debitAccount to creditAccount ("user:<id>" or "system:<name>").
+const creditTransactionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    enum: ['earned', 'bonus', 'redeemed', 'refund', 'reversal', 'adjustment'],
+    required: true
+  },
+  // Signed from the user's point of view: + received, - spent
+  amount: {
+    type: Number,
+    required: true
+  },
+  debitAccount: {
+    type: String,
+    required: true
+  },
+  creditAccount: {
+    type: String,
+    required: true
+  },
+  description: String,
+  // Same key = same business event; posting it twice is a no-op
+  idempotencyKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  reference: {
+    kind: String,
+    id: mongoose.Schema.Types.ObjectId
+  },
+  // Credit rules version that produced the amount (see CreditRuleSet)
+  ruleVersion: Number,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+}, {
+  versionKey: false
+});
+
+creditTransactionSchema.index({ userId: 1, createdAt: -1 });
+
+// Ledger entries are never edited or removed - post a reversal instead
+function rejectMutation(next) {
+  next(new Error('Credit transactions are immutable'));
+}
+
+creditTransactionSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectMutation
+);
+
+creditTransactionSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectMutation(next);
+  next();
+});
+
+export default mongoose.model('CreditTransaction', creditTransactionSchema);
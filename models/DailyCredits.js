@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+
+// Submission credits a citizen has been awarded on one civic day. Taken
+// with a conditional $inc, so concurrent submissions can't both spend the
+// same room under the daily cap (services/creditRules.js).
+const dailyCreditsSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // YYYY-MM-DD in the civic time zone
+  day: {
+    type: String,
+    required: true
+  },
+  credits: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+dailyCreditsSchema.index({ userId: 1, day: 1 }, { unique: true });
+dailyCreditsSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('DailyCredits', dailyCreditsSchema);
@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+// Leaderboard rollup: one row per citizen, board and period, kept up to
+// date by the ledger (services/leaderboard.js) so boards are an indexed
+// sort rather than a scan of every account. Rebuild with
+// `node maintenance.js rebuild-leaderboards`.
+const leaderboardScoreSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  period: {
+    type: String,
+    enum: ['week', 'month', 'all'],
+    required: true
+  },
+  // Monday of the week ('2026-10-19'), the month ('2026-10') or 'all'
+  periodKey: {
+    type: String,
+    required: true
+  },
+  // 'all' for the city board, else the zone the credits were earned in
+  zone: {
+    type: String,
+    required: true
+  },
+  points: {
+    type: Number,
+    default: 0
+  },
+  // Citizen opted out of public boards (User.leaderboardOptOut)
+  hidden: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  versionKey: false
+});
+
+leaderboardScoreSchema.index({ userId: 1, period: 1, periodKey: 1, zone: 1 }, { unique: true });
+leaderboardScoreSchema.index({ period: 1, periodKey: 1, zone: 1, hidden: 1, points: -1 });
+
+export default mongoose.model('LeaderboardScore', leaderboardScoreSchema);
@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+// A login code sent by SMS. Only a hash of the code is stored.
+const otpCodeSchema = new mongoose.Schema({
+  subjectModel: {
+    type: String,
+    enum: ['User', 'Worker'],
+    required: true
+  },
+  mobile: {
+    type: String,
+    required: true
+  },
+  // login, or verify-mobile when a citizen adds a number to their account
+  purpose: {
+    type: String,
+    enum: ['login', 'verify-mobile'],
+    default: 'login'
+  },
+  codeHash: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Wrong guesses so far
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  consumedAt: Date,
+  ip: String
+}, {
+  timestamps: true
+});
+
+otpCodeSchema.index({ subjectModel: 1, mobile: 1, purpose: 1, createdAt: -1 });
+// Kept a day past expiry so the hourly send limit can count them
+otpCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+export default mongoose.model('OtpCode', otpCodeSchema);
@@ -0,0 +1,23 @@
+import mongoose from 'mongoose';
+
+// Fixed-window request counter for the mongo rate limit store
+const rateLimitSchema = new mongoose.Schema({
+  // <limiter>:<ip / account>:<window start>
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('RateLimit', rateLimitSchema);
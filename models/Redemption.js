@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+
+const redemptionHistorySchema = new mongoose.Schema({
+  from: String,
+  to: String,
+  by: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+  byName: String,
+  notes: String,
+  timestamp: { type: Date, default: Date.now }
+}, { _id: false });
+
+const redemptionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  reward: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reward',
+    required: true
+  },
+  // Snapshot at redemption time - the catalog entry may change later
+  rewardKey: String,
+  name: String,
+  category: String,
+  cost: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'fulfilled', 'cancelled'],
+    default: 'pending'
+  },
+  // Whether a unit of stock was taken (and must go back on cancel)
+  stockClaimed: {
+    type: Boolean,
+    default: false
+  },
+  // Client retry key - the same key never redeems twice
+  idempotencyKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Current code for voucher rewards - replaced when an admin reissues
+  voucherCode: { type: mongoose.Schema.Types.ObjectId, ref: 'VoucherCode' },
+  debitEntry: { type: mongoose.Schema.Types.ObjectId, ref: 'CreditTransaction' },
+  refundEntry: { type: mongoose.Schema.Types.ObjectId, ref: 'CreditTransaction' },
+  history: [redemptionHistorySchema]
+}, {
+  timestamps: true,
+  optimisticConcurrency: true
+});
+
+redemptionSchema.index({ status: 1, createdAt: -1 });
+
+export default mongoose.model('Redemption', redemptionSchema);
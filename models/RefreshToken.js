@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+// Server-side record of a refresh token. Only a SHA-256 hash is stored.
+// Each login starts a family; every refresh consumes the token and issues
+// the next one in the same family.
+const refreshTokenSchema = new mongoose.Schema({
+  subjectModel: {
+    type: String,
+    enum: ['User', 'Worker'],
+    required: true
+  },
+  subject: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'subjectModel',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  family: {
+    type: String,
+    required: true,
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  // Why it stopped working: rotated, logout, logout-all, reuse
+  revokedReason: String,
+  userAgent: String,
+  ip: String
+}, {
+  timestamps: true
+});
+
+refreshTokenSchema.index({ subjectModel: 1, subject: 1 });
+// Expired tokens are cleaned up by MongoDB
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('RefreshToken', refreshTokenSchema);
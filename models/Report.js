@@ -1,10 +1,115 @@
 import mongoose from 'mongoose';
+import { WASTE_CATEGORIES } from '../utils/validation.js';
+import Counter from './Counter.js';
+import { UNZONED, findZone } from '../config/zones.js';
+import { REPORT_STATUSES, canTransition } from '../config/reportStatus.js';
+
+// GeoJSON point - only set when the citizen shared GPS
+const pointSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Point'],
+    default: 'Point'
+  },
+  coordinates: {
+    type: [Number],
+    validate: {
+      validator: (coords) => coords.length === 2 &&
+        coords[0] >= -180 && coords[0] <= 180 &&
+        coords[1] >= -90 && coords[1] <= 90,
+      message: 'Coordinates must be [lng, lat] within valid ranges'
+    }
+  }
+}, { _id: false });
+
+// "After" photo uploaded by the worker as proof of cleanup
+const cleanupPhotoSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true
+  },
+  location: {
+    type: pointSchema,
+    default: undefined
+  },
+  // How far the worker was from the reported spot when uploading
+  distanceMeters: Number,
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Another citizen reporting the same spot ("+1")
+const confirmationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  report: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Report'
+  },
+  photo: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Why a submission looked suspicious (config/fraud.js)
+const fraudSignalSchema = new mongoose.Schema({
+  code: String,
+  weight: Number,
+  detail: String,
+  // Earlier reports that triggered the signal - the evidence for reviewers
+  relatedReports: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Report'
+  }]
+}, { _id: false });
+
+// A credit award waiting in escrow - posted to the ledger as-is on release
+const heldCreditSchema = new mongoose.Schema({
+  idempotencyKey: String,
+  type: { type: String },
+  amount: Number,
+  description: String,
+  ruleVersion: Number
+}, { _id: false });
+
+// One entry per status change - who, when and why
+const historySchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'history.actorModel'
+  },
+  actorModel: {
+    type: String,
+    enum: ['Admin', 'Worker', 'User']
+  },
+  actorName: String,
+  role: String,
+  from: String,
+  to: String,
+  notes: String,
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
 
 const reportSchema = new mongoose.Schema({
   reportId: {
     type: Number,
     unique: true
   },
+  // Human-friendly id with a per-zone sequence, e.g. GND-Z3-001234
+  reportCode: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -16,28 +121,27 @@ const reportSchema = new mongoose.Schema({
   },
   category: {
     type: String,
-    enum: ['plastic', 'paper', 'metal', 'glass', 'organic', 'ewaste', 'other'],
+    enum: WASTE_CATEGORIES,
     default: 'other'
   },
+  // Size of the dump as picked on the report form
+  disposalMethod: String,
+  qualityScore: {
+    type: Number,
+    default: 0
+  },
   address: {
     type: String,
-    required: true
+    default: ''
   },
   location: {
-    type: {
-      type: String,
-      enum: ['Point'],
-      default: 'Point'
-    },
-    coordinates: {
-      type: [Number],
-      default: [0, 0]
-    }
+    type: pointSchema,
+    default: undefined
   },
   // ⭐⭐⭐ THIS IS THE NEW CRITICAL FIELD ⭐⭐⭐
   assignedZone: {
     type: String,
-    default: 'Zone 5 - Central Gonda'
+    default: UNZONED
   },
   severity: {
     type: String,
@@ -46,10 +150,69 @@ const reportSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'verified', 'in-progress', 'resolved', 'rejected'],
+    enum: REPORT_STATUSES,
     default: 'pending'
   },
+  history: [historySchema],
+  // Set when this report was folded into an earlier one
+  duplicateOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Report'
+  },
+  confirmations: [confirmationSchema],
   photo: String,
+  // Fingerprint of the upload for repeat-photo checks. perceptual is a dHash
+  // (utils/imageHash.js), missing for formats we can't decode.
+  photoHash: {
+    perceptual: String,
+    sha256: String
+  },
+  // Scored at submission (services/fraud.js)
+  fraud: {
+    score: {
+      type: Number,
+      default: 0
+    },
+    signals: [fraudSignalSchema],
+    flagged: {
+      type: Boolean,
+      default: false
+    },
+    review: {
+      status: {
+        type: String,
+        enum: ['pending', 'cleared', 'confirmed']
+      },
+      by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+      },
+      at: Date,
+      notes: String
+    }
+  },
+  // Submission credits as worked out by the credit rules, paid or held
+  creditAward: {
+    amount: Number,
+    ruleVersion: Number,
+    capped: Boolean
+  },
+  // Campaigns running when it was submitted that cover its zone and category
+  campaigns: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign'
+  }],
+  // Credits held back until the report is verified (services/escrow.js)
+  escrow: {
+    status: {
+      type: String,
+      enum: ['held', 'released', 'forfeited']
+    },
+    reason: String,
+    credits: [heldCreditSchema],
+    heldAt: Date,
+    settledAt: Date
+  },
   assignedTo: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Worker'
@@ -65,15 +228,105 @@ const reportSchema = new mongoose.Schema({
     ref: 'Worker'
   },
   adminNotes: String,
-  workerNotes: String
+  workerNotes: String,
+  // Proof of cleanup - set when the worker submits for verification
+  cleanupPhotos: [cleanupPhotoSchema],
+  completedAt: Date,
+  review: {
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    at: Date,
+    decision: {
+      type: String,
+      enum: ['accepted', 'sent-back']
+    },
+    notes: String
+  }
 }, {
-  timestamps: true
+  timestamps: true,
+  // Two dashboards saving the same report at once must not both win
+  optimisticConcurrency: true
 });
 
+// Reports numbered before the counter existed start at 1001
+export const FIRST_REPORT_ID = 1001;
+
+// "Zone 3 - East Gonda" (code ZONE-3) → Z3, unzoned → UZ
+export function zonePrefix(zoneName) {
+  const zone = zoneName && zoneName !== UNZONED ? findZone(zoneName) : null;
+  if (!zone?.code) return 'UZ';
+  return 'Z' + zone.code.replace(/^ZONE-?/i, '');
+}
+
+export function formatReportCode(zoneName, seq) {
+  return `GND-${zonePrefix(zoneName)}-${String(seq).padStart(6, '0')}`;
+}
+
+// Allocate both ids from atomic counters - no read-then-write race
+reportSchema.statics.allocateIds = async function(zoneName) {
+  const [reportId, zoneSeq] = await Promise.all([
+    Counter.next('reportId'),
+    Counter.next(`reportCode:${zonePrefix(zoneName)}`)
+  ]);
+  return { reportId, reportCode: formatReportCode(zoneName, zoneSeq) };
+};
+
+// Bring the reportId counter up to the highest id already in use
+reportSchema.statics.syncCounters = async function() {
+  const last = await this.findOne({ reportId: { $ne: null } }).sort({ reportId: -1 }).select('reportId');
+  await Counter.ensureAtLeast('reportId', last ? last.reportId : FIRST_REPORT_ID - 1);
+};
+
+reportSchema.methods.canTransitionTo = function(status) {
+  return canTransition(this.status, status);
+};
+
+// Change status and record it in history. Callers check canTransitionTo()
+// first so they can answer 409; this throws as a last line of defence.
+reportSchema.methods.transitionTo = function(status, { actor, actorModel, actorName, role, notes } = {}) {
+  if (!this.canTransitionTo(status)) {
+    const error = new Error(`Cannot change report from ${this.status} to ${status}`);
+    error.status = 409;
+    throw error;
+  }
+
+  const from = this.status;
+  this.status = status;
+
+  if (status === 'verified' && from === 'pending') {
+    this.verifiedAt = new Date();
+    if (actorModel === 'Admin') this.verifiedBy = actor;
+  }
+  if (status === 'awaiting-verification') {
+    this.completedAt = new Date();
+  }
+  if (status === 'resolved') {
+    this.resolvedAt = new Date();
+    this.resolvedBy = this.assignedTo;
+  }
+  if (from === 'resolved') {
+    this.resolvedAt = undefined;
+    this.resolvedBy = undefined;
+  }
+
+  this.history.push({ actor, actorModel, actorName, role, from, to: status, notes });
+  return this;
+};
+
 // Geospatial index for location-based queries
 reportSchema.index({ location: '2dsphere' });
 
 // Index for efficient zone filtering
 reportSchema.index({ assignedZone: 1, status: 1 });
 
+// Fraud checks: a user's recent reports, repeat photos, the review queue
+reportSchema.index({ userId: 1, createdAt: -1 });
+reportSchema.index({ 'photoHash.sha256': 1 });
+reportSchema.index({ 'fraud.flagged': 1, 'fraud.review.status': 1 });
+
+// Campaign goal progress
+reportSchema.index({ campaigns: 1, userId: 1 });
+
 export default mongoose.model('Report', reportSchema);
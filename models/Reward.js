@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+
+const rewardSchema = new mongoose.Schema({
+  // Stable slug the store and redemptions refer to, e.g. amazon50
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  category: {
+    type: String,
+    enum: ['vouchers', 'products', 'donations', 'services', 'perks'],
+    required: true
+  },
+  cost: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  icon: {
+    type: String,
+    default: '🎁'
+  },
+  description: String,
+  // Units left, null = unlimited. Redemptions take stock with a guarded
+  // $inc so concurrent requests can't oversell.
+  stock: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  // Vouchers handed out from an uploaded pool of codes (VoucherCode)
+  codePool: {
+    type: Boolean,
+    default: false
+  },
+  // In-app perk granted on redemption instead of anything to deliver
+  perk: {
+    type: String,
+    enum: ['streak-freeze']
+  },
+  // Admins are warned when fewer codes than this are left
+  lowPoolThreshold: {
+    type: Number,
+    default: 10,
+    min: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('Reward', rewardSchema);
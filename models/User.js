@@ -18,6 +18,42 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Verified by OTP - lets the citizen log in with a code instead of a password
+  mobile: {
+    type: String,
+    unique: true,
+    sparse: true,
+    trim: true
+  },
+  // Number entered at signup / in the profile, waiting for its OTP
+  pendingMobile: {
+    type: String,
+    default: null
+  },
+  // Wrong passwords in a row; reaching the limit sets lockedUntil (services/lockout.js)
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  // Set from the emailed verification link; the welcome bonus waits for it
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  // Paid a welcome bonus at signup, before email verification existed
+  // (set by migrate-credit-ledger.js) - verifying doesn't pay another
+  signupBonusPaid: {
+    type: Boolean,
+    default: false
+  },
   // NEW: Streak fields
   currentStreak: {
     type: Number,
@@ -31,11 +67,33 @@ const userSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Civic day ('YYYY-MM-DD') the streak last counted. Claimed atomically so
+  // only the first report of a day moves the streak and pays its bonus.
+  streakDay: {
+    type: String,
+    default: null
+  },
+  // Bought from the rewards store; each covers one missed day
+  streakFreezes: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Keep the citizen off public leaderboards (they still see their own rank)
+  leaderboardOptOut: {
+    type: Boolean,
+    default: false
+  },
   // Original fields
   profilePic: {
     type: String,
     default: null
   },
+  // Bumped by logout-all; access tokens carrying an older version stop working
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+// One code from a reward's voucher pool. The code itself is a secret: it is
+// never selected unless asked for ('+code'), lists use last4.
+const voucherCodeSchema = new mongoose.Schema({
+  reward: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reward',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    select: false
+  },
+  last4: String,
+  // available -> issued, or void (leaked, rejected by the vendor, ...)
+  status: {
+    type: String,
+    enum: ['available', 'issued', 'void'],
+    default: 'available'
+  },
+  // Upload this code came in with
+  batch: String,
+  uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+  redemption: { type: mongoose.Schema.Types.ObjectId, ref: 'Redemption' },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  issuedAt: Date,
+  revealedAt: Date,
+  voidedAt: Date,
+  voidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+  voidReason: String
+}, {
+  timestamps: true
+});
+
+// Claiming takes the oldest available code of a reward
+voucherCodeSchema.index({ reward: 1, status: 1, createdAt: 1 });
+
+export default mongoose.model('VoucherCode', voucherCodeSchema);
@@ -41,6 +41,20 @@ const workerSchema = new mongoose.Schema({
   totalReportsCompleted: {
     type: Number,
     default: 0
+  },
+  // Wrong passwords in a row; reaching the limit sets lockedUntil (services/lockout.js)
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  // Bumped by logout-all; access tokens carrying an older version stop working
+  tokenVersion: {
+    type: Number,
+    default: 0
   }
 }, {
   timestamps: true
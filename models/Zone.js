@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+const boundarySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Polygon', 'MultiPolygon'],
+    required: true
+  },
+  coordinates: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  }
+}, { _id: false });
+
+const zoneSchema = new mongoose.Schema({
+  // Short stable id, e.g. ZONE-3
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  // Display name - this is what reports, workers and officers store
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  areas: [String],
+  keywords: [String],
+  color: {
+    type: String,
+    default: '#6b7280'
+  },
+  population: Number,
+  area_km2: Number,
+  boundary: boundarySchema,
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('Zone', zoneSchema);
@@ -10,7 +10,7 @@ let currentLocation = null;
 document.addEventListener('DOMContentLoaded', function() {
   console.log('🌍 GreenCredits initialized');
   
-  checkSession();
+  handleEmailLinks().then(checkSession);
   
   // ✅ FIX: Mobile Menu (Hamburger)
   const mobileToggle = document.getElementById('mobileMenuToggle');
@@ -113,6 +113,14 @@ function showLoggedInState() {
     userWelcome.classList.remove('hidden');
     userWelcome.innerHTML = `
       <span class="welcome-text">Welcome, <strong>${currentUser.name}</strong></span>
+      ${currentUser.emailVerified === false ? `
+        <button onclick="resendVerification()" class="btn-verify-email" title="Verify your email to get your welcome bonus">
+          ✉️ Verify email
+        </button>` : ''}
+      ${currentUser.pendingMobile ? `
+        <button onclick="openVerifyMobile()" class="btn-verify-email" title="Confirm your number to log in with OTP">
+          📱 Verify mobile
+        </button>` : ''}
       <div id="userCreditsDisplay" class="credits-display">
         <span class="credits-icon">💰</span>
         <span id="creditsAmount">Loading...</span> Credits
@@ -166,6 +174,26 @@ function initializeEventListeners() {
     signupForm.addEventListener('submit', handleSignup);
   }
   
+  const otpLoginForm = document.getElementById('otpLoginForm');
+  if (otpLoginForm) {
+    otpLoginForm.addEventListener('submit', handleOtpLogin);
+  }
+  
+  const verifyMobileForm = document.getElementById('verifyMobileForm');
+  if (verifyMobileForm) {
+    verifyMobileForm.addEventListener('submit', handleVerifyMobile);
+  }
+  
+  const forgotPasswordForm = document.getElementById('forgotPasswordForm');
+  if (forgotPasswordForm) {
+    forgotPasswordForm.addEventListener('submit', handleForgotPassword);
+  }
+  
+  const resetPasswordForm = document.getElementById('resetPasswordForm');
+  if (resetPasswordForm) {
+    resetPasswordForm.addEventListener('submit', handleResetPassword);
+  }
+  
   const reportForm = document.getElementById('reportForm');
   if (reportForm) {
     reportForm.addEventListener('submit', handleReportSubmit);
@@ -237,6 +265,7 @@ async function handleSignup(e) {
   const name = document.getElementById('signupName').value;
   const email = document.getElementById('signupEmail').value;
   const password = document.getElementById('signupPassword').value;
+  const mobile = document.getElementById('signupMobile')?.value.trim();
   
   if (!name || !email || !password) {
     showNotification('Please fill all fields', 'error');
@@ -253,18 +282,19 @@ async function handleSignup(e) {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       credentials: 'include',
-      body: JSON.stringify({ name, email, password })
+      body: JSON.stringify({ name, email, password, mobile: mobile || undefined })
     });
     
     const data = await response.json();
     
     if (data.success) {
-      currentUser = data.user;
-      showNotification(`Welcome to GreenCredits, ${name}! You earned 50 welcome credits! 🎉`, 'success');
+      currentUser = { ...data.user, pendingMobile: data.mobileVerificationSent ? mobile : null };
+      showNotification(`Welcome to GreenCredits, ${name}! Check ${email} to verify your account and get 50 welcome credits! 🎉`, 'success');
       closeModal('signupModal');
       document.getElementById('signupForm').reset();
       showLoggedInState();
       await loadUserCredits();
+      if (data.mobileVerificationSent) openVerifyMobile();
     } else {
       showNotification(data.error || 'Registration failed', 'error');
     }
@@ -274,6 +304,222 @@ async function handleSignup(e) {
   }
 }
 
+// ============================================
+// MOBILE OTP
+// ============================================
+
+async function requestLoginOtp() {
+  const mobile = document.getElementById('otpMobile').value.trim();
+  
+  if (!mobile) {
+    showNotification('Enter your mobile number', 'error');
+    return;
+  }
+  
+  try {
+    const response = await fetch('/api/otp/request', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ mobile })
+    });
+    const data = await response.json();
+    
+    if (data.success) {
+      showNotification(`${data.message} 📱`, 'success');
+      document.getElementById('otpCode').focus();
+    } else {
+      showNotification(data.error || 'Could not send code', 'error');
+    }
+  } catch (error) {
+    console.error('OTP request error:', error);
+    showNotification('Could not send code. Please try again.', 'error');
+  }
+}
+
+async function handleOtpLogin(e) {
+  e.preventDefault();
+  
+  const mobile = document.getElementById('otpMobile').value.trim();
+  const code = document.getElementById('otpCode').value.trim();
+  
+  try {
+    const response = await fetch('/api/otp/verify', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({ mobile, code })
+    });
+    const data = await response.json();
+    
+    if (data.success) {
+      currentUser = data.user;
+      showNotification(`Welcome back, ${data.user.name}! 🎉`, 'success');
+      closeModal('otpLoginModal');
+      document.getElementById('otpLoginForm').reset();
+      showLoggedInState();
+      await loadUserCredits();
+    } else {
+      showNotification(data.error || 'Login failed', 'error');
+    }
+  } catch (error) {
+    console.error('OTP login error:', error);
+    showNotification('Login failed. Please try again.', 'error');
+  }
+}
+
+function openVerifyMobile() {
+  const hint = document.getElementById('verifyMobileHint');
+  if (hint) hint.textContent = `Enter the code we sent to ${currentUser?.pendingMobile || 'your mobile'}.`;
+  openModal('verifyMobileModal');
+}
+
+async function handleVerifyMobile(e) {
+  e.preventDefault();
+  
+  const code = document.getElementById('verifyMobileCode').value.trim();
+  
+  try {
+    const response = await fetch('/api/user-profile/mobile/verify', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({ code })
+    });
+    const data = await response.json();
+    
+    if (data.success) {
+      currentUser = { ...currentUser, mobile: data.mobile, pendingMobile: null };
+      showNotification('Mobile verified - you can now log in with OTP 📱', 'success');
+      closeModal('verifyMobileModal');
+      document.getElementById('verifyMobileForm').reset();
+      showLoggedInState();
+      await loadUserCredits();
+    } else {
+      showNotification(data.error || 'Verification failed', 'error');
+    }
+  } catch (error) {
+    console.error('Mobile verify error:', error);
+    showNotification('Verification failed. Please try again.', 'error');
+  }
+}
+
+// ============================================
+// EMAIL VERIFICATION & PASSWORD RESET
+// ============================================
+
+let resetToken = null;
+
+// Links from our emails land on /?verifyToken=... or /?resetToken=...
+async function handleEmailLinks() {
+  const params = new URLSearchParams(window.location.search);
+  const verifyToken = params.get('verifyToken');
+  resetToken = params.get('resetToken');
+  
+  if (verifyToken || resetToken) {
+    window.history.replaceState({}, '', window.location.pathname);
+  }
+  
+  if (resetToken) {
+    openModal('resetPasswordModal');
+  }
+  
+  if (verifyToken) {
+    try {
+      const response = await fetch('/api/verify-email', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ token: verifyToken })
+      });
+      const data = await response.json();
+      
+      if (!data.success) {
+        showNotification(data.error || 'Verification failed', 'error');
+      } else if (data.bonus > 0) {
+        showNotification(`Email verified! You earned ${data.bonus} welcome credits! 🎉`, 'success');
+      } else {
+        showNotification('Email already verified ✅', 'info');
+      }
+    } catch (error) {
+      console.error('Verify email error:', error);
+      showNotification('Verification failed. Please try again.', 'error');
+    }
+  }
+}
+
+async function resendVerification() {
+  try {
+    const response = await fetch('/api/resend-verification', {
+      method: 'POST',
+      credentials: 'include'
+    });
+    const data = await response.json();
+    showNotification(data.success ? `${data.message} ✉️` : (data.error || 'Could not send email'), data.success ? 'success' : 'error');
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    showNotification('Could not send email. Please try again.', 'error');
+  }
+}
+
+async function handleForgotPassword(e) {
+  e.preventDefault();
+  
+  const email = document.getElementById('forgotEmail').value;
+  
+  try {
+    const response = await fetch('/api/forgot-password', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email })
+    });
+    const data = await response.json();
+    
+    if (data.success) {
+      showNotification(data.message, 'success');
+      closeModal('forgotPasswordModal');
+      document.getElementById('forgotPasswordForm').reset();
+    } else {
+      showNotification(data.error || 'Could not send reset email', 'error');
+    }
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    showNotification('Could not send reset email. Please try again.', 'error');
+  }
+}
+
+async function handleResetPassword(e) {
+  e.preventDefault();
+  
+  const password = document.getElementById('resetPassword').value;
+  
+  if (password.length < 6) {
+    showNotification('Password must be at least 6 characters', 'error');
+    return;
+  }
+  
+  try {
+    const response = await fetch('/api/reset-password', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ token: resetToken, password })
+    });
+    const data = await response.json();
+    
+    if (data.success) {
+      resetToken = null;
+      showNotification(`${data.message} 🔑`, 'success');
+      closeModal('resetPasswordModal');
+      document.getElementById('resetPasswordForm').reset();
+      openModal('loginModal');
+    } else {
+      showNotification(data.error || 'Password reset failed', 'error');
+    }
+  } catch (error) {
+    console.error('Reset password error:', error);
+    showNotification('Password reset failed. Please try again.', 'error');
+  }
+}
+
 async function logout() {
   try {
     const response = await fetch('/api/logout', {
@@ -315,14 +561,14 @@ async function loadUserCredits() {
     const data = await response.json();
     
     if (data.success) {
-      updateCreditsDisplay(data.credits, data.badges, data.nextBadges);
+      updateCreditsDisplay(data.credits, data.badges, data.nextBadges, data.earning);
     }
   } catch (error) {
     console.error('Load credits error:', error);
   }
 }
 
-function updateCreditsDisplay(credits, badges, nextBadges) {
+function updateCreditsDisplay(credits, badges, nextBadges, earning) {
   const creditsAmount = document.getElementById('creditsAmount');
   if (creditsAmount) {
     creditsAmount.textContent = credits.available;
@@ -347,12 +593,20 @@ function updateCreditsDisplay(credits, badges, nextBadges) {
             <div class="credit-label">Available</div>
           </div>
           
+          <div class="credit-card">
+            <div class="credit-icon">⏳</div>
+            <div class="credit-number">${credits.pending || 0}</div>
+            <div class="credit-label">Pending Verification</div>
+          </div>
+          
           <div class="credit-card">
             <div class="credit-icon">🎁</div>
             <div class="credit-number">${(credits.total || 0) - (credits.available || 0)}</div>
             <div class="credit-label">Redeemed</div>
           </div>
         </div>
+        ${credits.pending ? `<p class="credits-pending-note">⏳ ${credits.pending} credits become available once officers verify your reports. Rejected reports don't pay out.</p>` : ''}
+        ${credits.owed ? `<p class="credits-pending-note">⚠️ ${credits.owed} credits from rejected reports had already been spent - they will be taken from the credits you earn next.</p>` : ''}
         
         <div class="badges-section">
           <h3>Earned Badges</h3>
@@ -381,29 +635,102 @@ function updateCreditsDisplay(credits, badges, nextBadges) {
                   <div class="progress-bar">
                     <div class="progress-fill" style="width: ${badge.progress}%"></div>
                   </div>
-                  <div class="progress-description">${badge.threshold} ${badge.field === 'reportCount' ? 'reports' : 'credits'} required</div>
+                  <div class="progress-description">${badge.description || ''}</div>
                 </div>
               `).join('')}
             </div>
           ` : ''}
         </div>
         
-        <div class="credit-info">
-          <h3>How to Earn Credits 📝</h3>
-          <ul>
-            <li>📍 Submit waste report: <strong>+10 credits</strong></li>
-            <li>📸 Include photo: <strong>+10 credits</strong></li>
-            <li>🗺️ Add GPS location: <strong>+10 credits</strong></li>
-            <li>✍️ Detailed description: <strong>+10 credits</strong></li>
-            <li>✅ Admin verification: <strong>+20 credits</strong></li>
-            <li>⭐ High-quality report: <strong>+30 credits</strong></li>
-          </ul>
-        </div>
+        ${earning ? renderEarningRules(earning) : ''}
       </div>
     `;
   }
 }
 
+// ============================================
+// CAMPAIGNS
+// ============================================
+
+async function loadCampaigns() {
+  const container = document.getElementById('campaignsContainer');
+  if (!container) return;
+  
+  try {
+    const params = currentLocation ? `?lat=${currentLocation.lat}&lng=${currentLocation.lng}` : '';
+    const response = await fetch(`/api/campaigns${params}`, { credentials: 'include' });
+    const data = await response.json();
+    
+    if (!data.success) {
+      container.innerHTML = `<p>${data.error || 'Could not load campaigns'}</p>`;
+      return;
+    }
+    if (data.campaigns.length === 0) {
+      container.innerHTML = '<p>No campaigns running in your area right now. Check back soon!</p>';
+      return;
+    }
+    
+    container.innerHTML = data.campaigns.map(renderCampaign).join('');
+  } catch (error) {
+    console.error('Load campaigns error:', error);
+    container.innerHTML = '<p>Could not load campaigns</p>';
+  }
+}
+
+function renderCampaign(campaign) {
+  const perks = [];
+  if (campaign.multiplier > 1) perks.push(`${campaign.multiplier}X credits`);
+  if (campaign.flatBonus > 0) perks.push(`+${campaign.flatBonus} bonus per report`);
+  const stages = campaign.stages.includes('verification') && !campaign.stages.includes('submission')
+    ? ' once verified'
+    : '';
+  const progress = campaign.progress;
+  
+  return `
+    <div class="progress-item campaign-card">
+      <div class="progress-header">
+        <span>${campaign.icon} ${campaign.name}</span>
+        <span>Ends ${new Date(campaign.endsAt).toLocaleDateString('en-IN')}</span>
+      </div>
+      ${campaign.description ? `<p>${campaign.description}</p>` : ''}
+      <div class="progress-description">
+        ${campaign.zones.length ? campaign.zones.join(', ') : 'All zones'} ·
+        ${campaign.categories.length ? campaign.categories.join(', ') : 'All waste types'}
+        ${perks.length ? ` · ${perks.join(', ')}${stages}` : ''}
+      </div>
+      ${progress ? `
+        <div class="progress-header campaign-goal">
+          <span>🎯 ${progress.target} ${campaign.goal.countStatus === 'verified' ? 'verified ' : ''}reports → +${campaign.goal.bonus} credits</span>
+          <span>${progress.reached ? '✅ Done!' : `${progress.count}/${progress.target}`}</span>
+        </div>
+        <div class="progress-bar">
+          <div class="progress-fill" style="width: ${(progress.count / progress.target) * 100}%"></div>
+        </div>
+      ` : ''}
+    </div>
+  `;
+}
+
+// "How to earn" list from the credit rules currently in force
+function renderEarningRules(earning) {
+  const { points, categoryMultipliers = {} } = earning;
+  const boosted = Object.entries(categoryMultipliers).filter(([, multiplier]) => multiplier !== 1);
+  
+  return `
+    <div class="credit-info">
+      <h3>How to Earn Credits 📝</h3>
+      <ul>
+        <li>📍 Submit waste report: <strong>+${points.reportSubmitted} credits</strong></li>
+        ${boosted.length ? `<li>🏷️ By category: ${boosted.map(([category, multiplier]) => `${category} <strong>×${multiplier}</strong>`).join(', ')}</li>` : ''}
+        <li>⭐ High-quality report (photo, GPS, details): <strong>+${points.highQualityReport} credits</strong></li>
+        <li>👥 Confirm an existing report: <strong>+${points.duplicateConfirmation} credits</strong></li>
+        <li>✅ Admin verification: <strong>+${points.reportVerified} credits</strong></li>
+        <li>🧹 Spot cleaned up: <strong>+${points.cleanupResolved} credits</strong></li>
+      </ul>
+    </div>
+  `;
+}
+
 // ============================================
 // REPORT SUBMISSION
 // ============================================
@@ -670,7 +997,7 @@ function displayMyReports(reports) {
     <div class="reports-grid">
       ${reports.map(report => `
         <div class="report-card">
-          ${report.photoUrl ? `<img src="${report.photoUrl}" alt="Report photo" class="report-photo">` : ''}
+          ${report.photo ? `<img src="${report.photo}" alt="Report photo" class="report-photo">` : ''}
           <div class="report-content">
             <div class="report-id">Report #${report.reportId}</div>
             <p class="report-description">${report.description}</p>
@@ -694,20 +1021,32 @@ async function loadPublicData() {
   await loadLeaderboard();
 }
 
+let leaderboardPeriod = 'all';
+let leaderboardZone = '';
+
 async function loadLeaderboard() {
   try {
-    const response = await fetch('/api/leaderboard');
+    const params = new URLSearchParams({ period: leaderboardPeriod });
+    if (leaderboardZone) params.set('zone', leaderboardZone);
+    const response = await fetch(`/api/leaderboard?${params}`);
     const data = await response.json();
     
     if (data.success) {
-      displayLeaderboard(data.leaderboard);
+      fillLeaderboardZones(data.zones);
+      displayLeaderboard(data.leaderboard, data.me);
     }
   } catch (error) {
     console.error('Load leaderboard error:', error);
   }
 }
 
-function displayLeaderboard(leaderboard) {
+function fillLeaderboardZones(zones) {
+  const select = document.getElementById('leaderboardZone');
+  if (!select || select.options.length > 1) return;
+  select.innerHTML += zones.map(zone => `<option value="${zone}">${zone}</option>`).join('');
+}
+
+function displayLeaderboard(leaderboard, me) {
   const leaderboardContainer = document.getElementById('leaderboardContainer');
   if (!leaderboardContainer) return;
   
@@ -718,20 +1057,66 @@ function displayLeaderboard(leaderboard) {
   
   leaderboardContainer.innerHTML = `
     <div class="leaderboard-list">
-      ${leaderboard.map((user, index) => `
-        <div class="leaderboard-item ${index < 3 ? 'top-three' : ''}">
+      ${leaderboard.map(user => `
+        <div class="leaderboard-item ${user.rank <= 3 ? 'top-three' : ''} ${user.isYou ? 'is-you' : ''}">
           <div class="rank">${getRankEmoji(user.rank)} #${user.rank}</div>
           <div class="user-info">
-            <div class="user-name">${user.name}</div>
+            <div class="user-name">${user.name}${user.isYou ? ' (you)' : ''}</div>
             <div class="user-stats">${user.reports} reports • ${user.badges} badges</div>
           </div>
           <div class="user-credits">${user.credits} pts</div>
         </div>
       `).join('')}
+      ${me && !me.inTop ? `
+        <div class="leaderboard-item is-you">
+          <div class="rank">${me.rank ? `#${me.rank}` : '-'}</div>
+          <div class="user-info">
+            <div class="user-name">You${me.hidden ? ' (hidden from others)' : ''}</div>
+            <div class="user-stats">${me.rank ? 'Your rank on this board' : 'No credits on this board yet'}</div>
+          </div>
+          <div class="user-credits">${me.credits} pts</div>
+        </div>
+      ` : ''}
     </div>
+    ${me ? `
+      <label class="leaderboard-optout">
+        <input type="checkbox" ${me.hidden ? 'checked' : ''} onchange="setLeaderboardOptOut(this.checked)">
+        Hide me from public leaderboards
+      </label>
+    ` : ''}
   `;
 }
 
+async function setLeaderboardOptOut(optOut) {
+  try {
+    const response = await fetch('/api/user-profile/leaderboard', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ optOut })
+    });
+    const data = await response.json();
+    if (!data.success) throw new Error(data.error);
+    loadLeaderboard();
+  } catch (error) {
+    console.error('Leaderboard visibility error:', error);
+    alert('❌ Could not update your leaderboard visibility');
+  }
+}
+
+document.querySelectorAll('.leaderboard-tab').forEach(tab => {
+  tab.addEventListener('click', () => {
+    document.querySelectorAll('.leaderboard-tab').forEach(t => t.classList.remove('active'));
+    tab.classList.add('active');
+    leaderboardPeriod = tab.dataset.period;
+    loadLeaderboard();
+  });
+});
+
+document.getElementById('leaderboardZone')?.addEventListener('change', (e) => {
+  leaderboardZone = e.target.value;
+  loadLeaderboard();
+});
+
 function getRankEmoji(rank) {
   if (rank === 1) return '🥇';
   if (rank === 2) return '🥈';
@@ -774,6 +1159,7 @@ function switchTab(tabName) {
   // Load data for specific tabs
   if (tabName === 'myReports') loadMyReports();
   if (tabName === 'credits') loadUserCredits();
+  if (tabName === 'campaigns') loadCampaigns();
   if (tabName === 'leaderboard') loadLeaderboard();
 }
 
@@ -960,7 +1346,8 @@ function showSuccessPopup(data) {
   popup.innerHTML = `
     <div class="success-popup animate-in">
       <div class="confetti">🎉</div>
-      <h2>🎊 REPORT SUBMITTED!</h2>
+      <h2>${data.duplicate ? '👥 +1 CONFIRMATION!' : '🎊 REPORT SUBMITTED!'}</h2>
+      ${data.duplicate ? `<p>This spot was already reported (Report #${data.duplicateOf}). Your report was added as a confirmation.</p>` : ''}
       
       <div class="rewards-earned">
         <div class="reward-item">
@@ -975,6 +1362,13 @@ function showSuccessPopup(data) {
         </div>
         ` : ''}
         
+        ${data.campaignBonus > 0 ? `
+        <div class="reward-item bonus-reward">
+          <span class="reward-icon">📣</span>
+          <span class="reward-value">+${data.campaignBonus} Campaign Bonus</span>
+        </div>
+        ` : ''}
+        
         ${data.streakBonus && data.streakBonus > 0 ? `
         <div class="reward-item bonus-reward">
           <span class="reward-icon">⚡</span>
@@ -982,6 +1376,20 @@ function showSuccessPopup(data) {
         </div>
         ` : ''}
         
+        ${data.streakMilestoneBonus > 0 ? `
+        <div class="reward-item bonus-reward">
+          <span class="reward-icon">🏅</span>
+          <span class="reward-value">+${data.streakMilestoneBonus} Streak Milestone</span>
+        </div>
+        ` : ''}
+        
+        ${data.streakFreezesUsed > 0 ? `
+        <div class="reward-item streak-reward">
+          <span class="reward-icon">🧊</span>
+          <span class="reward-value">${data.streakFreezesUsed} Streak Freeze${data.streakFreezesUsed > 1 ? 's' : ''} Used</span>
+        </div>
+        ` : ''}
+        
         <div class="reward-item">
           <span class="reward-icon">🏆</span>
           <span class="reward-value">Report #${data.reportId || 'N/A'}</span>
@@ -989,9 +1397,10 @@ function showSuccessPopup(data) {
       </div>
       
       <div class="total-credits">
-        <div class="total-label">Total Earned</div>
+        <div class="total-label">${data.creditsHeld ? 'Pending Verification' : 'Total Earned'}</div>
         <div class="total-value">${data.creditsEarned || 0} Credits</div>
         <div class="total-rupees">(₹${((data.creditsEarned || 0) / 10).toFixed(1)} value)</div>
+        ${data.creditsHeld ? '<div class="total-rupees">Credited once an officer verifies your report</div>' : ''}
       </div>
       
       <button onclick="closeSuccessPopup()" class="close-popup-btn">
@@ -1282,6 +1691,7 @@ async function loadStreakData() {
       // ✅ SAFE: Check if elements exist before updating
       const currentStreakEl = document.getElementById('currentStreak');
       const longestStreakEl = document.getElementById('longestStreak');
+      const streakFreezesEl = document.getElementById('streakFreezes');
       const lastReportDateEl = document.getElementById('lastReportDate');
       const streakProgressEl = document.getElementById('streakProgress');
       const streakFire = document.querySelector('.streak-fire');
@@ -1290,6 +1700,7 @@ async function loadStreakData() {
       // Only update if elements exist
       if (currentStreakEl) currentStreakEl.textContent = currentStreak;
       if (longestStreakEl) longestStreakEl.textContent = longestStreak;
+      if (streakFreezesEl) streakFreezesEl.textContent = `${user.streakFreezes || 0} / ${user.maxStreakFreezes ?? 0}`;
       
       // Calculate multiplier
       let multiplier = '1X';
@@ -1349,19 +1760,14 @@ async function loadStreakData() {
 // 🎁 REWARDS STORE SYSTEM
 // ============================================
 
-const REWARDS_CATALOG = [
-  { id: 'amazon50', name: '₹50 Amazon Voucher', category: 'vouchers', cost: 500, icon: '🛒', description: 'Amazon gift card worth ₹50', stock: 'Unlimited' },
-  { id: 'flipkart100', name: '₹100 Flipkart Voucher', category: 'vouchers', cost: 1000, icon: '🛍️', description: 'Flipkart gift voucher', stock: 'Unlimited' },
-  { id: 'zomato200', name: '₹200 Zomato Voucher', category: 'vouchers', cost: 2000, icon: '🍔', description: 'Zomato food voucher', stock: 'Limited' },
-  { id: 'tshirt', name: 'GreenCredits T-Shirt', category: 'products', cost: 1500, icon: '👕', description: 'Premium eco-friendly cotton t-shirt', stock: '50 left' },
-  { id: 'bottle', name: 'Steel Water Bottle', category: 'products', cost: 800, icon: '🍶', description: 'Reusable steel water bottle', stock: '100 left' },
-  { id: 'bag', name: 'Eco Jute Bag', category: 'products', cost: 600, icon: '👜', description: 'Reusable jute shopping bag', stock: 'Unlimited' },
-  { id: 'tree', name: 'Plant 5 Trees', category: 'donations', cost: 500, icon: '🌳', description: 'Plant 5 trees in your name', stock: 'Unlimited' },
-  { id: 'cleanup', name: 'Fund Beach Cleanup', category: 'donations', cost: 1000, icon: '🏖️', description: 'Support coastal cleanup drive', stock: 'Unlimited' },
-  { id: 'ngo', name: 'Donate to NGO', category: 'donations', cost: 2000, icon: '❤️', description: 'Support environmental NGOs', stock: 'Unlimited' },
-  { id: 'cleaning', name: 'Free Home Waste Pickup', category: 'services', cost: 0, icon: '🚛', description: 'One-time free waste pickup service', stock: '20 left' },
-  { id: 'consultation', name: 'Waste Management Consultation', category: 'services', cost: 1200, icon: '👨‍🏫', description: '1-hour expert consultation', stock: '10 left' }
-];
+// Catalog, prices and stock come from the server (/api/rewards)
+let rewardsCatalog = [];
+let rewardsCategory = 'all';
+
+function stockLabel(stock) {
+  if (stock === null || stock === undefined) return 'Unlimited';
+  return stock > 0 ? `${stock} left` : 'Out of stock';
+}
 
 function loadRewardsStore() {
   fetch('/api/credits')
@@ -1372,20 +1778,31 @@ function loadRewardsStore() {
       }
     });
   
-  renderRewards('all');
+  fetch('/api/rewards')
+    .then(res => res.json())
+    .then(data => {
+      if (data.success) {
+        rewardsCatalog = data.rewards;
+        renderRewards(rewardsCategory);
+      }
+    })
+    .catch(error => console.error('Failed to load rewards:', error));
+  
+  loadRedemptionHistory();
   
   document.querySelectorAll('.category-btn').forEach(btn => {
-    btn.addEventListener('click', function() {
+    btn.onclick = function() {
       document.querySelectorAll('.category-btn').forEach(b => b.classList.remove('active'));
       this.classList.add('active');
-      renderRewards(this.dataset.category);
-    });
+      rewardsCategory = this.dataset.category;
+      renderRewards(rewardsCategory);
+    };
   });
 }
 
 function renderRewards(category) {
   const grid = document.getElementById('rewardsGrid');
-  const filtered = category === 'all' ? REWARDS_CATALOG : REWARDS_CATALOG.filter(r => r.category === category);
+  const filtered = category === 'all' ? rewardsCatalog : rewardsCatalog.filter(r => r.category === category);
   
   if (filtered.length === 0) {
     grid.innerHTML = '<p class="no-rewards">No rewards in this category yet.</p>';
@@ -1396,26 +1813,92 @@ function renderRewards(category) {
     <div class="reward-card">
       <div class="reward-icon">${reward.icon}</div>
       <h3 class="reward-name">${reward.name}</h3>
-      <p class="reward-desc">${reward.description}</p>
+      <p class="reward-desc">${reward.description || ''}</p>
       <div class="reward-footer">
         <div class="reward-cost">
           <span class="cost-label">Cost:</span>
           <span class="cost-value">${reward.cost} credits</span>
         </div>
-        <div class="reward-stock">${reward.stock}</div>
+        <div class="reward-stock">${stockLabel(reward.stock)}</div>
       </div>
-      <button onclick="redeemReward('${reward.id}', ${reward.cost}, '${reward.name}')" class="btn-redeem">
-        Redeem Now
+      <button onclick="redeemReward('${reward.key}')" class="btn-redeem" ${reward.stock === 0 ? 'disabled' : ''}>
+        ${reward.stock === 0 ? 'Out of Stock' : 'Redeem Now'}
       </button>
     </div>
   `).join('');
 }
 
+const REDEMPTION_STATUS_LABELS = {
+  pending: '⏳ Pending',
+  approved: '✅ Approved',
+  fulfilled: '🎉 Fulfilled',
+  cancelled: '↩️ Cancelled (refunded)'
+};
+
+function loadRedemptionHistory() {
+  const container = document.getElementById('redemptionHistory');
+  if (!container) return;
+  
+  fetch('/api/redemptions', { credentials: 'include' })
+    .then(res => res.json())
+    .then(data => {
+      if (!data.success) return;
+      
+      if (data.redemptions.length === 0) {
+        container.innerHTML = '<p class="no-rewards">No redemptions yet.</p>';
+        return;
+      }
+      
+      container.innerHTML = data.redemptions.map(r => `
+        <div class="redemption-item">
+          <div>
+            <strong>${r.name}</strong>
+            <div class="redemption-date">${new Date(r.createdAt).toLocaleDateString()}</div>
+            ${r.voucher ? `
+              <div class="voucher-code">
+                <code id="voucher-${r._id}">${r.voucher.masked}</code>
+                <button class="btn-reveal" onclick="revealVoucher('${r._id}')">${r.voucher.revealed ? 'Show again' : 'Reveal code'}</button>
+              </div>
+            ` : ''}
+          </div>
+          <div style="text-align: right;">
+            <div>${r.cost} credits</div>
+            <div class="redemption-status">${REDEMPTION_STATUS_LABELS[r.status] || r.status}</div>
+          </div>
+        </div>
+      `).join('');
+    })
+    .catch(error => console.error('Failed to load redemptions:', error));
+}
+
+window.revealVoucher = async function(redemptionId) {
+  try {
+    const response = await fetch(`/api/redemptions/${redemptionId}/reveal`, {
+      method: 'POST',
+      credentials: 'include'
+    });
+    const data = await response.json();
+    
+    if (data.success) {
+      document.getElementById(`voucher-${redemptionId}`).textContent = data.code;
+    } else {
+      alert('❌ ' + (data.error || 'Could not reveal code'));
+    }
+  } catch (error) {
+    console.error('Reveal voucher error:', error);
+    alert('❌ Could not reveal code. Please try again.');
+  }
+};
+
 // ============================================
 // 🎁 REDEEM REWARD WITH BEAUTIFUL MODAL
 // ============================================
 
-window.redeemReward = async function(rewardId, cost, name) {
+window.redeemReward = async function(rewardId) {
+  const reward = rewardsCatalog.find(r => r.key === rewardId);
+  if (!reward) return;
+  const { cost, name } = reward;
+  
   try {
     // Get fresh credits from server
     const response = await fetch('/api/credits', { credentials: 'include' });
@@ -1446,7 +1929,7 @@ window.redeemReward = async function(rewardId, cost, name) {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       credentials: 'include',
-      body: JSON.stringify({ rewardId, cost, name })
+      body: JSON.stringify({ rewardId })
     });
     
     const result = await redeemResponse.json();
@@ -1817,7 +2300,7 @@ function autoInjectStreakWidget() {
         widget.innerHTML = `
           <div style="margin-bottom: 20px;">
             <h3 style="margin: 0 0 10px 0; font-size: 1.8rem; color: white;">🔥 Daily Streak</h3>
-            <p style="margin: 0; opacity: 0.95; color: white;">Report every day to maintain your streak and earn bonus credits!</p>
+            <p style="margin: 0; opacity: 0.95; color: white;">Report every day to maintain your streak and earn bonus credits! Your first report each day counts.</p>
           </div>
           
           <div style="display: flex; align-items: center; justify-content: space-around; margin: 30px 0; padding: 25px; background: rgba(255, 255, 255, 0.15); border-radius: 15px; flex-wrap: wrap; gap: 20px;">
@@ -1843,7 +2326,7 @@ function autoInjectStreakWidget() {
             </div>
           </div>
           
-          <div style="display: grid; grid-template-columns: repeat(2, 1fr); gap: 15px; margin: 25px 0;">
+          <div style="display: grid; grid-template-columns: repeat(3, 1fr); gap: 15px; margin: 25px 0;">
             <div style="display: flex; align-items: center; gap: 15px; background: rgba(255, 255, 255, 0.15); padding: 20px; border-radius: 12px;">
               <span style="font-size: 2.5rem;">📅</span>
               <div>
@@ -1858,6 +2341,13 @@ function autoInjectStreakWidget() {
                 <div style="font-size: 0.9rem; opacity: 0.9; margin-top: 5px; color: white;">Longest Streak</div>
               </div>
             </div>
+            <div style="display: flex; align-items: center; gap: 15px; background: rgba(255, 255, 255, 0.15); padding: 20px; border-radius: 12px;">
+              <span style="font-size: 2.5rem;">🧊</span>
+              <div>
+                <div id="streakFreezes" style="font-size: 1.8rem; font-weight: 700; color: white;">0</div>
+                <div style="font-size: 0.9rem; opacity: 0.9; margin-top: 5px; color: white;">Streak Freezes</div>
+              </div>
+            </div>
           </div>
           
           <div style="background: rgba(255, 255, 255, 0.15); padding: 20px; border-radius: 12px;">
@@ -1865,7 +2355,9 @@ function autoInjectStreakWidget() {
             <div style="display: flex; flex-direction: column; gap: 10px;">
               <div style="background: rgba(255, 255, 255, 0.2); padding: 12px; border-radius: 8px; font-weight: 600; color: white;">3 days: 2X credit bonus</div>
               <div style="background: rgba(255, 255, 255, 0.2); padding: 12px; border-radius: 8px; font-weight: 600; color: white;">7 days: 3X credit bonus</div>
-              <div style="background: rgba(255, 255, 255, 0.2); padding: 12px; border-radius: 8px; font-weight: 600; color: white;">30 days: Special badge!</div>
+              <div style="background: rgba(255, 255, 255, 0.2); padding: 12px; border-radius: 8px; font-weight: 600; color: white;">Every 7 days: weekly streak bonus</div>
+              <div style="background: rgba(255, 255, 255, 0.2); padding: 12px; border-radius: 8px; font-weight: 600; color: white;">Every 30 days: monthly milestone bonus</div>
+              <div style="background: rgba(255, 255, 255, 0.2); padding: 12px; border-radius: 8px; font-weight: 600; color: white;">🧊 Missed a day? A streak freeze from the Rewards store keeps your streak alive</div>
             </div>
           </div>
         `;
@@ -0,0 +1,76 @@
+// reconcile-credits.js
+// Compares every Credit balance with what the CreditTransaction ledger
+// says it should be and reports drift.
+//
+//   node reconcile-credits.js          report only
+//   node reconcile-credits.js --fix    also reset cached balances to the ledger
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Credit from './models/Credit.js';
+import CreditTransaction from './models/CreditTransaction.js';
+import { TOTAL_TYPES } from './services/ledger.js';
+
+dotenv.config();
+
+const fix = process.argv.includes('--fix');
+
+async function reconcileCredits() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ MongoDB Connected');
+
+    // One pass over the ledger instead of one query per account
+    const rows = await CreditTransaction.aggregate([
+      { $group: {
+        _id: '$userId',
+        available: { $sum: '$amount' },
+        total: { $sum: { $cond: [{ $in: ['$type', TOTAL_TYPES] }, '$amount', 0] } }
+      }}
+    ]);
+    const ledger = new Map(rows.map(row => [row._id.toString(), row]));
+
+    const accounts = await Credit.find().select('userId availableCredits totalCredits').lean();
+
+    let drifted = 0;
+    let fixed = 0;
+
+    console.log(`\n🔍 Checking ${accounts.length} accounts against ${rows.length} ledgers...\n`);
+
+    for (const account of accounts) {
+      const expected = ledger.get(account.userId.toString()) || { available: 0, total: 0 };
+      const availableDrift = account.availableCredits - expected.available;
+      const totalDrift = account.totalCredits - expected.total;
+
+      if (availableDrift === 0 && totalDrift === 0) continue;
+
+      drifted++;
+      console.log(`❌ ${account.userId}: available ${account.availableCredits} (ledger ${expected.available}, drift ${availableDrift}), ` +
+        `total ${account.totalCredits} (ledger ${expected.total}, drift ${totalDrift})`);
+
+      if (fix) {
+        await Credit.updateOne({ _id: account._id }, {
+          $set: { availableCredits: expected.available, totalCredits: expected.total }
+        });
+        fixed++;
+      }
+    }
+
+    // Ledger entries for users without a Credit account
+    const known = new Set(accounts.map(a => a.userId.toString()));
+    const orphans = rows.filter(row => !known.has(row._id.toString()));
+    orphans.forEach(row => console.log(`⚠️  Ledger entries without a Credit account: ${row._id} (${row.available} credits)`));
+
+    console.log('\n📊 RECONCILIATION:');
+    console.log(`✅ In balance: ${accounts.length - drifted}`);
+    console.log(`❌ Drifted: ${drifted}${fix ? ` (fixed ${fixed})` : ''}`);
+    console.log(`⚠️  Orphaned ledgers: ${orphans.length}\n`);
+
+    process.exit(drifted && !fix ? 2 : 0);
+
+  } catch (error) {
+    console.error('❌ Error:', error);
+    process.exit(1);
+  }
+}
+
+reconcileCredits();
@@ -0,0 +1,78 @@
+// Citizen email verification and password reset. Both links carry a signed,
+// expiring token; nothing is stored until the link is used.
+import crypto from 'crypto';
+import User from '../models/User.js';
+import { getTokenConfig } from '../config/auth.js';
+import { getMailConfig } from '../config/mail.js';
+import { sendMail } from './mailer.js';
+import { signActionToken, verifyActionToken, revokeAllTokens } from './tokens.js';
+
+export const MIN_PASSWORD_LENGTH = 6;
+
+// Changes whenever the password does, so a reset link works only once
+const passwordFingerprint = (user) => crypto.createHash('sha256').update(user.password).digest('hex').slice(0, 16);
+
+export async function sendVerificationEmail(user) {
+  const token = signActionToken('verify-email', { userId: user._id, email: user.email }, getTokenConfig().verifyEmailTtl);
+  const link = `${getMailConfig().appUrl}/?verifyToken=${encodeURIComponent(token)}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your GreenCredits email',
+    text: `Hi ${user.name},\n\nConfirm your email to activate your account and collect your welcome bonus:\n${link}\n\nThe link expires in ${getTokenConfig().verifyEmailTtl}.`
+  });
+}
+
+// Returns the user and whether this call did the verifying
+export async function verifyEmail(token) {
+  const claims = verifyActionToken(token, 'verify-email');
+  if (!claims) return { ok: false, status: 400, error: 'Verification link is invalid or has expired' };
+
+  const user = await User.findById(claims.userId);
+  if (!user || user.email !== claims.email) {
+    return { ok: false, status: 400, error: 'Verification link is invalid or has expired' };
+  }
+
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id, emailVerified: { $ne: true } },
+    { $set: { emailVerified: true, emailVerifiedAt: new Date() } },
+    { new: true }
+  );
+  return { ok: true, user: updated || user, newlyVerified: Boolean(updated) };
+}
+
+// Unknown addresses are ignored so callers can't probe for accounts
+export async function sendPasswordReset(email) {
+  const user = await User.findOne({ email: String(email || '').toLowerCase().trim() });
+  if (!user) return;
+
+  const ttl = getTokenConfig().passwordResetTtl;
+  const token = signActionToken('password-reset', { userId: user._id, pwd: passwordFingerprint(user) }, ttl);
+  const link = `${getMailConfig().appUrl}/?resetToken=${encodeURIComponent(token)}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your GreenCredits password',
+    text: `Hi ${user.name},\n\nUse this link to choose a new password:\n${link}\n\nThe link expires in ${ttl}. If you didn't ask for this, ignore this email.`
+  });
+}
+
+// New password, then every app session signed out
+export async function resetPassword(token, password) {
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    return { ok: false, status: 400, error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` };
+  }
+
+  const claims = verifyActionToken(token, 'password-reset');
+  const user = claims && await User.findById(claims.userId);
+  if (!user || passwordFingerprint(user) !== claims.pwd) {
+    return { ok: false, status: 400, error: 'Reset link is invalid or has expired' };
+  }
+
+  user.password = password;
+  user.tokenVersion += 1;
+  await user.save();
+  await revokeAllTokens('User', user._id);
+
+  return { ok: true, user };
+}
@@ -0,0 +1,255 @@
+// Achievements engine. A condition is a tree of
+//   { all: [conditions] } | { any: [conditions] } | { metric, where?, gte? | lte? }
+// where each leaf compares one of the METRICS below for the citizen.
+// evaluateAchievements() runs after every event that can move a metric;
+// runBackfill() awards a new achievement to everyone who already qualifies.
+import mongoose from 'mongoose';
+import Achievement from '../models/Achievement.js';
+import Credit from '../models/Credit.js';
+import Report from '../models/Report.js';
+import User from '../models/User.js';
+import Redemption from '../models/Redemption.js';
+import { postCredit } from './ledger.js';
+import { getZones, UNZONED } from '../config/zones.js';
+import { WASTE_CATEGORIES } from '../utils/validation.js';
+
+export const ACHIEVEMENT_EVENTS = ['report', 'verification', 'resolution', 'redemption', 'credits'];
+
+// Older than this, a running backfill is assumed to have died with its server
+const STALE_BACKFILL_MS = 60 * 60 * 1000;
+
+const toObjectId = (id) => (typeof id === 'string' ? new mongoose.Types.ObjectId(id) : id);
+
+// The citizen's own reports that still stand, narrowed by `where`
+function reportQuery(userId, where = {}) {
+  const query = { userId: toObjectId(userId), status: { $nin: ['rejected', 'duplicate'] } };
+  if (where.category) query.category = where.category;
+  if (where.zone) query.assignedZone = where.zone;
+  if (where.verified) query.verifiedAt = { $exists: true };
+  if (where.resolved) query.status = 'resolved';
+  if (where.resolvedWithinHours) {
+    query.status = 'resolved';
+    query.$expr = { $lte: [{ $subtract: ['$resolvedAt', '$createdAt'] }, where.resolvedWithinHours * 60 * 60 * 1000] };
+  }
+  return query;
+}
+
+// name -> { events that can change it, where keys it takes, load(userId, where) }
+export const METRICS = {
+  reportCount: {
+    events: ['report'],
+    load: async (userId) => (await Credit.findOne({ userId }).select('reportCount').lean())?.reportCount || 0
+  },
+  totalCredits: {
+    events: ['report', 'verification', 'resolution', 'credits'],
+    load: async (userId) => (await Credit.findOne({ userId }).select('totalCredits').lean())?.totalCredits || 0
+  },
+  longestStreak: {
+    events: ['report'],
+    load: async (userId) => (await User.findById(userId).select('longestStreak').lean())?.longestStreak || 0
+  },
+  reports: {
+    events: ['report', 'verification', 'resolution'],
+    where: ['category', 'zone', 'verified', 'resolved', 'resolvedWithinHours'],
+    load: (userId, where) => Report.countDocuments(reportQuery(userId, where))
+  },
+  distinctZones: {
+    events: ['report', 'verification'],
+    where: ['category', 'verified', 'resolved'],
+    load: async (userId, where) => (await Report.distinct('assignedZone', reportQuery(userId, where)))
+      .filter(zone => zone && zone !== UNZONED).length
+  },
+  redemptions: {
+    events: ['redemption'],
+    load: (userId) => Redemption.countDocuments({ userId, status: { $ne: 'cancelled' } })
+  }
+};
+
+// 'allZones' stands for however many zones the city has right now
+const targetOf = (value) => (value === 'allZones' ? getZones().length : value);
+
+// Error message for an invalid condition, or null
+export function conditionError(condition, depth = 0) {
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition)) return 'Condition must be an object';
+  if (depth > 5) return 'Conditions can nest at most 5 deep';
+
+  for (const group of ['all', 'any']) {
+    if (condition[group] !== undefined) {
+      if (!Array.isArray(condition[group]) || !condition[group].length) return `"${group}" needs a list of conditions`;
+      for (const child of condition[group]) {
+        const error = conditionError(child, depth + 1);
+        if (error) return error;
+      }
+      return null;
+    }
+  }
+
+  const metric = METRICS[condition.metric];
+  if (!metric) return `Unknown metric "${condition.metric}" - use one of: ${Object.keys(METRICS).join(', ')}`;
+
+  for (const key of Object.keys(condition.where || {})) {
+    if (!(metric.where || []).includes(key)) return `${condition.metric} can't be filtered by "${key}"`;
+  }
+  if (condition.where?.category && !WASTE_CATEGORIES.includes(condition.where.category)) {
+    return `Unknown category "${condition.where.category}"`;
+  }
+
+  const isTarget = (value) => value === 'allZones' || (typeof value === 'number' && Number.isFinite(value) && value >= 0);
+  if ((condition.gte === undefined) === (condition.lte === undefined)) return `${condition.metric} needs exactly one of gte or lte`;
+  if (!isTarget(condition.gte ?? condition.lte)) return `${condition.metric} needs a number to compare with`;
+  return null;
+}
+
+// Metrics a condition reads, so events that can't change them are skipped
+function metricsOf(condition) {
+  if (condition.all || condition.any) return (condition.all || condition.any).flatMap(metricsOf);
+  return [condition.metric];
+}
+
+// Loads each (metric, where) once per evaluation
+function metricReader(userId) {
+  const cache = new Map();
+  return (metric, where) => {
+    const key = `${metric}:${JSON.stringify(where || {})}`;
+    if (!cache.has(key)) cache.set(key, METRICS[metric].load(userId, where || {}));
+    return cache.get(key);
+  };
+}
+
+// 0-100, for "progress towards next badges"
+async function progressOf(condition, read) {
+  if (condition.all) {
+    const parts = await Promise.all(condition.all.map(child => progressOf(child, read)));
+    return parts.reduce((sum, part) => sum + part, 0) / parts.length;
+  }
+  if (condition.any) {
+    const parts = await Promise.all(condition.any.map(child => progressOf(child, read)));
+    return Math.max(...parts);
+  }
+
+  const value = await read(condition.metric, condition.where);
+  if (condition.lte !== undefined) return value <= targetOf(condition.lte) ? 100 : 0;
+  const target = targetOf(condition.gte);
+  return target > 0 ? Math.min(100, (value / target) * 100) : 100;
+}
+
+async function award(userId, achievement) {
+  const result = await Credit.updateOne(
+    { userId, 'badges.key': { $ne: achievement.key } },
+    { $push: { badges: { key: achievement.key, name: achievement.name, icon: achievement.icon, earnedAt: new Date() } } }
+  );
+  if (!result.modifiedCount) return false;
+
+  if (achievement.bonus > 0) {
+    await postCredit({
+      userId,
+      amount: achievement.bonus,
+      type: 'bonus',
+      description: `${achievement.icon} ${achievement.name} unlocked`,
+      idempotencyKey: `achievement:${achievement.key}:${userId}`
+    });
+  }
+  return true;
+}
+
+// Check every active achievement the event could affect and award the ones
+// now met. Returns what was newly unlocked. Never throws - a failed check
+// is caught up with on the next event.
+export async function evaluateAchievements(userId, event) {
+  try {
+    const [achievements, account] = await Promise.all([
+      Achievement.find({ isActive: true }).lean(),
+      Credit.findOne({ userId }).select('badges.key').lean()
+    ]);
+    if (!account) return [];
+
+    const earned = new Set(account.badges.map(b => b.key));
+    const read = metricReader(userId);
+    const unlocked = [];
+
+    for (const achievement of achievements) {
+      if (earned.has(achievement.key)) continue;
+      if (event && !metricsOf(achievement.condition).some(metric => METRICS[metric]?.events.includes(event))) continue;
+
+      if (await progressOf(achievement.condition, read) >= 100 && await award(userId, achievement)) {
+        unlocked.push({ key: achievement.key, name: achievement.name, icon: achievement.icon, description: achievement.description });
+      }
+    }
+    return unlocked;
+  } catch (error) {
+    console.error('Achievement check error:', error);
+    return [];
+  }
+}
+
+// Active achievements the citizen hasn't unlocked, with progress
+export async function nextAchievements(userId, earnedKeys) {
+  const achievements = await Achievement.find({ isActive: true, key: { $nin: earnedKeys } }).lean();
+  const read = metricReader(userId);
+
+  const withProgress = await Promise.all(achievements.map(async achievement => ({
+    key: achievement.key,
+    name: achievement.name,
+    icon: achievement.icon,
+    description: achievement.description,
+    progress: await progressOf(achievement.condition, read)
+  })));
+  return withProgress.sort((a, b) => b.progress - a.progress);
+}
+
+// Award one achievement to every citizen who already meets it. Claimed with
+// an atomic status change so only one server runs it.
+export async function runBackfill(achievementId) {
+  const achievement = await Achievement.findOneAndUpdate(
+    {
+      _id: achievementId,
+      isActive: true,
+      $or: [
+        { 'backfill.status': 'pending' },
+        { 'backfill.status': 'running', 'backfill.startedAt': { $lt: new Date(Date.now() - STALE_BACKFILL_MS) } }
+      ]
+    },
+    { $set: { 'backfill.status': 'running', 'backfill.startedAt': new Date(), 'backfill.processed': 0, 'backfill.awarded': 0 } },
+    { new: true }
+  ).lean();
+  if (!achievement) return null;
+
+  let processed = 0;
+  let awarded = 0;
+  try {
+    const accounts = Credit.find({ 'badges.key': { $ne: achievement.key } }).select('userId').lean().cursor();
+    for await (const account of accounts) {
+      const read = metricReader(account.userId);
+      if (await progressOf(achievement.condition, read) >= 100 && await award(account.userId, achievement)) {
+        awarded += 1;
+      }
+      processed += 1;
+      if (processed % 500 === 0) {
+        await Achievement.updateOne({ _id: achievement._id }, { $set: { 'backfill.processed': processed, 'backfill.awarded': awarded } });
+      }
+    }
+
+    await Achievement.updateOne({ _id: achievement._id }, {
+      $set: { 'backfill.status': 'done', 'backfill.processed': processed, 'backfill.awarded': awarded, 'backfill.finishedAt': new Date() }
+    });
+    console.log(`🏅 Backfilled ${achievement.key}: ${awarded} of ${processed} citizens`);
+  } catch (error) {
+    console.error(`Backfill of ${achievement.key} failed:`, error);
+    await Achievement.updateOne({ _id: achievement._id }, {
+      $set: { 'backfill.status': 'failed', 'backfill.processed': processed, 'backfill.awarded': awarded, 'backfill.error': error.message }
+    });
+  }
+  return { processed, awarded };
+}
+
+// Start any backfills that are queued or were cut off by a restart
+export async function resumeBackfills() {
+  const queued = await Achievement.find({
+    isActive: true,
+    'backfill.status': { $in: ['pending', 'running'] }
+  }).select('_id').lean();
+
+  for (const achievement of queued) {
+    await runBackfill(achievement._id);
+  }
+}
@@ -0,0 +1,129 @@
+// Campaign bonuses. A report joins every running campaign that covers its
+// zone and category when it is submitted (Report.campaigns); the campaign's
+// multiplier and flat bonus then apply at the stages it names, and its goal
+// pays once when the citizen's qualifying reports reach the target.
+import Campaign from '../models/Campaign.js';
+import Report from '../models/Report.js';
+import CreditTransaction from '../models/CreditTransaction.js';
+import { WASTE_CATEGORIES } from '../utils/validation.js';
+
+// Reports that no longer count towards a goal
+const CLOSED_STATUSES = ['rejected', 'duplicate'];
+
+export const runningQuery = (at = new Date()) => ({ isActive: true, startsAt: { $lte: at }, endsAt: { $gt: at } });
+
+const covers = (list, value) => !list?.length || list.includes(value);
+
+// Running campaigns a report in this zone and category joins
+export async function campaignsFor({ zone, category, at = new Date() }) {
+  const running = await Campaign.find(runningQuery(at)).lean();
+  return running.filter(c => covers(c.zones, zone) && covers(c.categories, category));
+}
+
+// Campaigns don't stack multipliers - the best one applies
+export function campaignMultiplier(campaigns, stage) {
+  return campaigns
+    .filter(c => c.stages.includes(stage))
+    .reduce((best, c) => Math.max(best, c.multiplier || 1), 1);
+}
+
+const goalStage = (campaign) => (campaign.goal?.countStatus === 'verified' ? 'verification' : 'submission');
+const hasGoal = (campaign) => campaign.goal?.reports > 0 && campaign.goal?.bonus > 0;
+const goalKey = (campaign, userId) => `campaign:${campaign._id}:goal:${userId}`;
+
+// Reports of this user counting towards the campaign's goal
+export async function goalProgress(campaign, userId) {
+  const query = { campaigns: campaign._id, userId, status: { $nin: CLOSED_STATUSES } };
+  if (campaign.goal?.countStatus === 'verified') query.verifiedAt = { $exists: true };
+  return Report.countDocuments(query);
+}
+
+// Paid, or sitting in escrow on another report
+async function goalAlreadyAwarded(key) {
+  const [paid, held] = await Promise.all([
+    CreditTransaction.exists({ idempotencyKey: key }),
+    Report.exists({ 'escrow.status': 'held', 'escrow.credits.idempotencyKey': key })
+  ]);
+  return Boolean(paid || held);
+}
+
+// Flat bonuses for this stage plus any goal the report completes, in the
+// shape awardReportCredits() takes
+export async function campaignAwards(report, campaigns, stage, ruleVersion) {
+  const awards = [];
+
+  for (const campaign of campaigns) {
+    if (campaign.stages.includes(stage) && campaign.flatBonus > 0) {
+      awards.push({
+        idempotencyKey: `report:${report.reportId}:campaign:${campaign._id}:${stage}`,
+        type: 'bonus',
+        amount: campaign.flatBonus,
+        description: `${campaign.icon || '📣'} ${campaign.name} bonus`,
+        ruleVersion
+      });
+    }
+
+    if (!hasGoal(campaign) || goalStage(campaign) !== stage) continue;
+    const key = goalKey(campaign, report.userId);
+    if (await goalProgress(campaign, report.userId) >= campaign.goal.reports && !(await goalAlreadyAwarded(key))) {
+      awards.push({
+        idempotencyKey: key,
+        type: 'bonus',
+        amount: campaign.goal.bonus,
+        description: `🏆 ${campaign.name} goal reached!`,
+        ruleVersion
+      });
+    }
+  }
+  return awards;
+}
+
+// Running campaigns for the given zones (plus city-wide ones) with the
+// user's progress towards each goal
+export async function campaignsWithProgress(userId, zones) {
+  const running = await Campaign.find(runningQuery())
+    .select('-createdBy')
+    .sort({ endsAt: 1 })
+    .lean();
+  const local = running.filter(c => !c.zones?.length || c.zones.some(zone => zones.includes(zone)));
+
+  return Promise.all(local.map(async campaign => {
+    if (!hasGoal(campaign)) return { ...campaign, progress: null };
+    const [count, reached] = await Promise.all([
+      goalProgress(campaign, userId),
+      goalAlreadyAwarded(goalKey(campaign, userId))
+    ]);
+    return { ...campaign, progress: { count: Math.min(count, campaign.goal.reports), target: campaign.goal.reports, reached } };
+  }));
+}
+
+// Error message for invalid campaign fields, or null
+export function campaignFieldsError(fields) {
+  if (!fields.name) return 'Campaign name is required';
+  if (!(fields.startsAt instanceof Date) || !(fields.endsAt instanceof Date) ||
+    isNaN(fields.startsAt) || isNaN(fields.endsAt) || fields.endsAt <= fields.startsAt) {
+    return 'Campaign needs a start date before its end date';
+  }
+  if (!(Number.isFinite(fields.multiplier) && fields.multiplier >= 1)) {
+    return 'Multiplier must be 1 or more';
+  }
+  if (!(Number.isInteger(fields.flatBonus) && fields.flatBonus >= 0)) {
+    return 'Flat bonus must be a whole number of credits';
+  }
+  if (!fields.stages?.length || fields.stages.some(stage => !['submission', 'verification'].includes(stage))) {
+    return 'Pick at least one stage (submission or verification)';
+  }
+  if (fields.categories?.some(category => !WASTE_CATEGORIES.includes(category))) {
+    return `Categories must be from: ${WASTE_CATEGORIES.join(', ')}`;
+  }
+  if (fields.multiplier === 1 && !fields.flatBonus && !fields.goal) {
+    return 'Give the campaign a multiplier, a flat bonus or a goal';
+  }
+  if (fields.goal) {
+    const { reports, bonus } = fields.goal;
+    if (!(Number.isInteger(reports) && reports > 0) || !(Number.isInteger(bonus) && bonus > 0)) {
+      return 'A goal needs a whole number of reports and a bonus above zero';
+    }
+  }
+  return null;
+}
@@ -0,0 +1,153 @@
+// Credit rules engine. The active rules are the highest published
+// CreditRuleSet version; each instance caches them briefly, so an edit
+// reaches every server within RULES_CACHE_MS without a redeploy.
+import CreditRuleSet from '../models/CreditRuleSet.js';
+import DailyCredits from '../models/DailyCredits.js';
+import { DEFAULT_CREDIT_RULES, POINT_EVENTS } from '../config/creditRules.js';
+import { WASTE_CATEGORIES } from '../utils/validation.js';
+
+const RULES_CACHE_MS = 30 * 1000;
+
+let cached = null;
+let cachedAt = 0;
+
+export async function getActiveRules() {
+  if (cached && Date.now() - cachedAt < RULES_CACHE_MS) return cached;
+
+  const latest = await CreditRuleSet.findOne().sort({ version: -1 }).lean();
+  // Nothing published yet (seeding still running) - fall back to the defaults
+  cached = latest || { version: 0, ...DEFAULT_CREDIT_RULES };
+  cachedAt = Date.now();
+  return cached;
+}
+
+const isNonNegative = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+const isCap = (value) => value === null || (Number.isInteger(value) && value >= 0);
+
+// Error message for an invalid rule set, or null
+export function rulesError(rules) {
+  if (!rules || typeof rules !== 'object') return 'Rules are required';
+
+  for (const event of Object.keys(POINT_EVENTS)) {
+    if (!Number.isInteger(rules.points?.[event]) || rules.points[event] < 0) {
+      return `Points for "${POINT_EVENTS[event]}" must be a whole number`;
+    }
+  }
+  if (!(isNonNegative(rules.highQualityScore) && rules.highQualityScore <= 100)) {
+    return 'High-quality score must be between 0 and 100';
+  }
+
+  for (const [category, multiplier] of Object.entries(rules.categoryMultipliers || {})) {
+    if (!WASTE_CATEGORIES.includes(category)) return `Unknown waste category: ${category}`;
+    if (!isNonNegative(multiplier)) return `Multiplier for ${category} must be zero or more`;
+  }
+
+  for (const tier of rules.streakTiers || []) {
+    if (!(Number.isInteger(tier.days) && tier.days > 0) || !(isNonNegative(tier.multiplier) && tier.multiplier >= 1)) {
+      return 'Streak tiers need whole days above zero and a multiplier of at least 1';
+    }
+  }
+
+  if (!isCap(rules.caps?.perReport ?? null) || !isCap(rules.caps?.perUserPerDay ?? null)) {
+    return 'Caps must be whole numbers, or empty for no cap';
+  }
+  return null;
+}
+
+// Publish edited rules as the next version. baseVersion is the version the
+// editor started from, so two admins can't silently overwrite each other.
+export async function publishRules(rules, { baseVersion, notes, adminId }) {
+  const invalid = rulesError(rules);
+  if (invalid) return { ok: false, status: 400, error: invalid };
+
+  const latest = await CreditRuleSet.findOne().sort({ version: -1 }).select('version').lean();
+  const current = latest?.version || 0;
+  if (Number(baseVersion) !== current) {
+    return { ok: false, status: 409, error: `Rules were changed to v${current} since you opened them - reload and try again` };
+  }
+
+  try {
+    const ruleSet = await CreditRuleSet.create({
+      version: current + 1,
+      points: rules.points,
+      highQualityScore: rules.highQualityScore,
+      categoryMultipliers: rules.categoryMultipliers || {},
+      streakTiers: rules.streakTiers || [],
+      caps: { perReport: rules.caps?.perReport ?? null, perUserPerDay: rules.caps?.perUserPerDay ?? null },
+      notes,
+      createdBy: adminId
+    });
+    cached = null;
+    return { ok: true, ruleSet };
+  } catch (error) {
+    if (error.code === 11000) {
+      return { ok: false, status: 409, error: 'Rules were changed by someone else - reload and try again' };
+    }
+    throw error;
+  }
+}
+
+export function streakMultiplierFor(rules, streak) {
+  const tier = [...(rules.streakTiers || [])]
+    .sort((a, b) => b.days - a.days)
+    .find(t => streak >= t.days);
+  return tier?.multiplier || 1;
+}
+
+// Credits for one submission, before caps. campaignMultiplier comes from
+// the campaigns the report joined (services/campaigns.js).
+export function reportAward(rules, { category, qualityScore, duplicate, streak, campaignMultiplier = 1 }) {
+  const { points } = rules;
+  const categoryMultiplier = duplicate ? 1 : (rules.categoryMultipliers?.[category] ?? 1);
+  const base = duplicate ? points.duplicateConfirmation : Math.round(points.reportSubmitted * categoryMultiplier);
+  const quality = !duplicate && qualityScore >= rules.highQualityScore ? points.highQualityReport : 0;
+
+  const earned = Math.round((base + quality) * campaignMultiplier);
+
+  const streakMultiplier = streakMultiplierFor(rules, streak);
+  const streakBonus = Math.floor(earned * (streakMultiplier - 1));
+
+  return { earned, streakBonus, streakMultiplier, categoryMultiplier };
+}
+
+// Take up to `amount` of what's left of a citizen's daily cap on `day`
+// (civic YYYY-MM-DD). Returns how much was granted. The filter only
+// matches while the whole amount fits, so two submissions can't both take
+// the last of it; when it doesn't fit, retry with what's left.
+async function reserveDailyCredits(userId, day, amount, perDay) {
+  let wanted = Math.min(amount, perDay);
+  while (wanted > 0) {
+    try {
+      await DailyCredits.findOneAndUpdate(
+        { userId, day, credits: { $lte: perDay - wanted } },
+        { $inc: { credits: wanted }, $setOnInsert: { expiresAt: new Date(Date.now() + 2 * 24 * 60 * 60 * 1000) } },
+        { upsert: true }
+      );
+      return wanted;
+    } catch (error) {
+      // The day's row exists but has less room than wanted
+      if (error.code !== 11000) throw error;
+    }
+    const taken = (await DailyCredits.findOne({ userId, day }).lean())?.credits || 0;
+    wanted = Math.min(wanted, perDay - taken);
+  }
+  return 0;
+}
+
+// How much of an award the caps allow: the per-report cap, then what's
+// left of the per-day cap, which is reserved as it is granted
+export async function allowedCredits(rules, userId, day, amount) {
+  const perReport = rules.caps?.perReport ?? Infinity;
+  const perDay = rules.caps?.perUserPerDay ?? Infinity;
+  const wanted = Math.max(0, Math.min(amount, perReport));
+  return perDay === Infinity ? wanted : reserveDailyCredits(userId, day, wanted, perDay);
+}
+
+// Trim an award to the allowed amount. The base credits are kept before
+// the streak bonus.
+export function applyCaps({ earned, streakBonus }, limit) {
+  if (earned + streakBonus <= limit) return { earned, streakBonus, capped: false };
+
+  const cappedEarned = Math.min(earned, limit);
+  return { earned: cappedEarned, streakBonus: Math.min(streakBonus, limit - cappedEarned), capped: true };
+}
@@ -0,0 +1,174 @@
+// Credits earned by a report are either posted to the ledger straight away
+// or held on the report (Report.escrow) until it is verified. Held credits
+// are not in the ledger at all - only Credit.pendingCredits counts them -
+// so release posts them with their original idempotency keys and forfeit
+// simply drops them. Credits already paid are taken back with reversal
+// entries when the report is rejected - what was already spent becomes a
+// debt on the account - and everything is put back if it is reopened.
+import Report from '../models/Report.js';
+import Credit from '../models/Credit.js';
+import CreditTransaction from '../models/CreditTransaction.js';
+import { postCredit, postDebit, setDebt } from './ledger.js';
+
+const reportReference = (report) => ({ kind: 'Report', id: report._id });
+const sumOf = (credits) => credits.reduce((sum, credit) => sum + credit.amount, 0);
+
+// awards: [{ idempotencyKey, type, amount, description, ruleVersion }]
+export async function awardReportCredits(report, awards, { hold = false, reason } = {}) {
+  const credits = awards.filter(award => award.amount > 0);
+
+  if (!hold) {
+    for (const credit of credits) {
+      await postCredit({ userId: report.userId, ...credit, reference: reportReference(report) });
+    }
+    return { posted: sumOf(credits), held: 0 };
+  }
+
+  // A report is only ever held once; pendingCredits follows the hold
+  const result = await Report.updateOne(
+    { _id: report._id, 'escrow.status': { $exists: false } },
+    { $set: { escrow: { status: 'held', reason, credits, heldAt: new Date() } } }
+  );
+  if (!result.modifiedCount) return { posted: 0, held: 0 };
+
+  await Credit.updateOne({ userId: report.userId }, { $inc: { pendingCredits: sumOf(credits) } });
+  return { posted: 0, held: sumOf(credits) };
+}
+
+// Move the status off held exactly once, even if two officers act together
+async function settle(reportId, status) {
+  return Report.findOneAndUpdate(
+    { _id: reportId, 'escrow.status': 'held' },
+    { $set: { 'escrow.status': status, 'escrow.settledAt': new Date() } },
+    { new: true }
+  ).select('userId escrow');
+}
+
+// Report verified (or cleared by a reviewer): pay out what was held
+export async function releaseEscrow(reportId) {
+  const report = await settle(reportId, 'released');
+  if (!report) return { released: 0 };
+
+  for (const credit of report.escrow.credits) {
+    await postCredit({
+      userId: report.userId,
+      amount: credit.amount,
+      type: credit.type,
+      description: credit.description,
+      idempotencyKey: credit.idempotencyKey,
+      reference: reportReference(report),
+      ruleVersion: credit.ruleVersion
+    });
+  }
+
+  const released = sumOf(report.escrow.credits);
+  await Credit.updateOne({ userId: report.userId }, { $inc: { pendingCredits: -released } });
+  return { released };
+}
+
+// Report rejected or confirmed as fraud: the held credits are never paid
+export async function forfeitEscrow(reportId) {
+  const report = await settle(reportId, 'forfeited');
+  if (!report) return { forfeited: 0 };
+
+  const forfeited = sumOf(report.escrow.credits);
+  await Credit.updateOne({ userId: report.userId }, { $inc: { pendingCredits: -forfeited } });
+  return { forfeited };
+}
+
+// Ledger entries a report paid (or took back from) its citizen
+const entriesOf = (report) => ({
+  userId: report.userId,
+  'reference.kind': 'Report',
+  'reference.id': report._id
+});
+
+// One report: drop anything held and post a reversal for every credit it
+// already paid. A reversal stops at the available balance; whatever the
+// report still nets the citizen was already spent and is owed as a debt
+// (shortfall), repaid from the credits they earn next.
+async function reverseCredits(report) {
+  const { forfeited } = await forfeitEscrow(report._id);
+
+  const paid = await CreditTransaction.find({ ...entriesOf(report), amount: { $gt: 0 } }).sort({ createdAt: 1 });
+
+  let reversed = 0;
+  for (const entry of paid) {
+    const result = await postDebit({
+      userId: report.userId,
+      amount: entry.amount,
+      type: 'reversal',
+      description: `Reversed: ${entry.description || `Report #${report.reportId}`} (report rejected)`,
+      idempotencyKey: `${entry.idempotencyKey}:reversal`,
+      reference: reportReference(report),
+      allowPartial: true
+    });
+    if (!result.duplicate) reversed += result.debited || 0;
+  }
+
+  const [net] = await CreditTransaction.aggregate([
+    { $match: entriesOf(report) },
+    { $group: { _id: null, amount: { $sum: '$amount' } } }
+  ]);
+  const shortfall = Math.max(0, net?.amount || 0);
+  await setDebt(report.userId, reportReference(report), shortfall);
+
+  return { forfeited, reversed, shortfall };
+}
+
+// One reopened report: held credits go back into escrow, its debt is
+// dropped and every reversal (and debt repayment) is credited back
+async function restoreCredits(report) {
+  const reheld = await Report.findOneAndUpdate(
+    { _id: report._id, 'escrow.status': 'forfeited' },
+    { $set: { 'escrow.status': 'held' }, $unset: { 'escrow.settledAt': '' } },
+    { new: true }
+  ).select('userId escrow');
+
+  let held = 0;
+  if (reheld) {
+    held = sumOf(reheld.escrow.credits);
+    await Credit.updateOne({ userId: reheld.userId }, { $inc: { pendingCredits: held } });
+  }
+
+  await setDebt(report.userId, reportReference(report), 0);
+
+  const reversals = await CreditTransaction.find({ ...entriesOf(report), type: 'reversal', amount: { $lt: 0 } }).sort({ createdAt: 1 });
+
+  let restored = 0;
+  for (const entry of reversals) {
+    const result = await postCredit({
+      userId: report.userId,
+      amount: -entry.amount,
+      type: 'reversal',
+      description: `Restored: Report #${report.reportId} credits (report reopened)`,
+      idempotencyKey: `${entry.idempotencyKey}:restored`,
+      reference: reportReference(report)
+    });
+    if (!result.duplicate) restored += -entry.amount;
+  }
+
+  return { held, restored };
+}
+
+// Add up per-report results
+async function acrossReports(reports, apply) {
+  const totals = {};
+  for (const report of reports) {
+    for (const [key, value] of Object.entries(await apply(report))) totals[key] = (totals[key] || 0) + value;
+  }
+  return totals;
+}
+
+// Report rejected: take back what it and the confirmations folded into it
+// earned
+export async function reverseReportCredits(report) {
+  const confirmations = await Report.find({ duplicateOf: report._id }).select('userId reportId');
+  return acrossReports([report, ...confirmations], reverseCredits);
+}
+
+// Rejected report reopened: undo reverseReportCredits
+export async function restoreReportCredits(report) {
+  const confirmations = await Report.find({ duplicateOf: report._id }).select('userId reportId');
+  return acrossReports([report, ...confirmations], restoreCredits);
+}
@@ -0,0 +1,107 @@
+// Fraud scoring for report submissions. Looks for repeat photos, reused
+// coordinates, bursts of reports and a history of rejections. Flagged
+// reports have their credits held in escrow (services/escrow.js) and land
+// in the officers' review queue.
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import Report from '../models/Report.js';
+import { FRAUD_SIGNALS, getFraudConfig } from '../config/fraud.js';
+import { perceptualHash, hammingDistance } from '../utils/imageHash.js';
+
+const EARTH_RADIUS_METERS = 6378100;
+const DECIDED_STATUSES = ['verified', 'in-progress', 'awaiting-verification', 'resolved', 'rejected'];
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+// Exact and perceptual hash of an uploaded file (multer disk storage)
+export async function fingerprintPhoto(file) {
+  if (!file) return undefined;
+
+  const buffer = await fs.readFile(file.path);
+  return {
+    sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+    perceptual: perceptualHash(buffer, file.mimetype) || undefined
+  };
+}
+
+async function repeatPhotos(photoHash, config) {
+  if (!photoHash) return [];
+
+  const exact = await Report.find({ 'photoHash.sha256': photoHash.sha256 }).select('_id').limit(5).lean();
+  const matches = exact.map(r => r._id);
+
+  if (photoHash.perceptual) {
+    const candidates = await Report.find({
+      'photoHash.perceptual': { $exists: true },
+      createdAt: { $gte: daysAgo(config.photoLookbackDays) }
+    })
+      .select('photoHash.perceptual')
+      .sort({ createdAt: -1 })
+      .limit(5000)
+      .lean();
+
+    for (const candidate of candidates) {
+      if (matches.length >= 5) break;
+      if (matches.some(id => id.equals(candidate._id))) continue;
+      if (hammingDistance(candidate.photoHash.perceptual, photoHash.perceptual) <= config.photoMaxDistance) {
+        matches.push(candidate._id);
+      }
+    }
+  }
+  return matches;
+}
+
+async function reusedCoordinates(userId, point, config) {
+  if (!point) return [];
+
+  const nearby = await Report.find({
+    userId,
+    location: {
+      $geoWithin: { $centerSphere: [[point.lng, point.lat], config.coordinateRadiusMeters / EARTH_RADIUS_METERS] }
+    },
+    createdAt: { $gte: daysAgo(config.coordinateLookbackDays) }
+  }).select('_id').limit(10).lean();
+
+  return nearby.length >= config.coordinateRepeats ? nearby.map(r => r._id) : [];
+}
+
+// Score a submission before it is saved. Returns the fields for Report.fraud.
+export async function assessSubmission({ userId, point, photoHash }) {
+  const config = getFraudConfig();
+  const signals = [];
+  const add = (code, detail, relatedReports = []) => {
+    signals.push({ code, weight: FRAUD_SIGNALS[code].weight, detail, relatedReports });
+  };
+
+  const [photos, spots, recent, decided, rejected] = await Promise.all([
+    repeatPhotos(photoHash, config),
+    reusedCoordinates(userId, point, config),
+    Report.find({ userId, createdAt: { $gte: new Date(Date.now() - config.burstWindowMinutes * 60 * 1000) } }).select('_id').lean(),
+    Report.countDocuments({ userId, status: { $in: DECIDED_STATUSES } }),
+    Report.countDocuments({ userId, status: 'rejected' })
+  ]);
+
+  if (photos.length) {
+    add('repeat-photo', `Photo matches ${photos.length} earlier report(s)`, photos);
+  }
+  if (spots.length) {
+    add('reused-coordinates', `${spots.length} earlier report(s) within ${config.coordinateRadiusMeters} m in the last ${config.coordinateLookbackDays} days`, spots);
+  }
+  // recent doesn't include this submission yet
+  if (recent.length + 1 >= config.burstReports) {
+    add('burst', `${recent.length + 1} reports in ${config.burstWindowMinutes} minutes`, recent.map(r => r._id));
+  }
+  if (decided >= config.rejectionMinReports && rejected / decided >= config.rejectionRatio) {
+    add('rejection-ratio', `${rejected} of ${decided} decided reports rejected`);
+  }
+
+  const score = Math.min(100, signals.reduce((sum, signal) => sum + signal.weight, 0));
+  const flagged = score >= config.holdScore;
+
+  return {
+    score,
+    signals,
+    flagged,
+    review: flagged ? { status: 'pending' } : undefined
+  };
+}
@@ -0,0 +1,183 @@
+// Leaderboards for the week, the month and all time, city-wide and per
+// zone. Every ledger entry that counts toward totalCredits is added to the
+// LeaderboardScore rollup; credits earned by a report also count on the
+// board of the zone it was made in. Weeks and months follow the same civic
+// time zone as streaks.
+import LeaderboardScore from '../models/LeaderboardScore.js';
+import CreditTransaction from '../models/CreditTransaction.js';
+import Credit from '../models/Credit.js';
+import Report from '../models/Report.js';
+import User from '../models/User.js';
+import { getStreakConfig } from '../config/streaks.js';
+import { UNZONED } from '../config/zones.js';
+import { civicDay, dayStart, weekOf } from '../utils/civicTime.js';
+
+export const LEADERBOARD_PERIODS = ['week', 'month', 'all'];
+export const CITY_BOARD = 'all';
+
+// Keys of reversals and of reversals undone when a report is reopened
+const REVERSAL_SUFFIXES = /(:reversal|:restored)+$/;
+
+// Period keys the instant falls in
+function periodKeys(date) {
+  const day = civicDay(date, getStreakConfig().timeZone);
+  return { week: weekOf(day), month: day.slice(0, 7), all: 'all' };
+}
+
+// When the current period began, for counting reports within it
+function periodStart(period, now = new Date()) {
+  if (period === 'all') return null;
+  const { timeZone } = getStreakConfig();
+  const keys = periodKeys(now);
+  return dayStart(period === 'week' ? keys.week : `${keys.month}-01`, timeZone);
+}
+
+// Zone and time a ledger entry is scored under. A reversal (or its undoing)
+// counts against the period of the entry it takes back, not the day it
+// happened.
+async function scoringOf(entry) {
+  let scoredAt = entry.createdAt;
+  if (entry.type === 'reversal' && REVERSAL_SUFFIXES.test(entry.idempotencyKey)) {
+    const original = await CreditTransaction.findOne({ idempotencyKey: entry.idempotencyKey.replace(REVERSAL_SUFFIXES, '') })
+      .select('createdAt').lean();
+    if (original) scoredAt = original.createdAt;
+  }
+
+  let zone = null;
+  if (entry.reference?.kind === 'Report') {
+    const report = await Report.findById(entry.reference.id).select('assignedZone').lean();
+    if (report?.assignedZone && report.assignedZone !== UNZONED) zone = report.assignedZone;
+  }
+  return { scoredAt, zone };
+}
+
+// Boards and periods a ledger entry counts on
+async function boardsOf(entry) {
+  const { scoredAt, zone } = await scoringOf(entry);
+  const keys = periodKeys(scoredAt);
+  const zones = zone ? [CITY_BOARD, zone] : [CITY_BOARD];
+  return LEADERBOARD_PERIODS.flatMap(period => zones.map(board => ({ period, periodKey: keys[period], zone: board })));
+}
+
+const isOptedOut = async (userId) => Boolean((await User.findById(userId).select('leaderboardOptOut').lean())?.leaderboardOptOut);
+
+// Add one ledger entry to the rollup. Callers only pass entries whose type
+// counts toward totalCredits.
+export async function recordScore(entry) {
+  const hidden = await isOptedOut(entry.userId);
+
+  await LeaderboardScore.bulkWrite((await boardsOf(entry)).map(board => ({
+    updateOne: {
+      filter: { userId: entry.userId, ...board },
+      update: { $inc: { points: entry.amount }, $setOnInsert: { hidden } },
+      upsert: true
+    }
+  })), { ordered: false });
+}
+
+// Recompute one citizen's scores from all their ledger entries that count
+// toward totalCredits. Points are set rather than added, so running it
+// again changes nothing; boards none of the entries reach are dropped.
+// Returns how many scores the citizen has.
+export async function rebuildUserScores(userId, entries) {
+  const scores = new Map();
+  for (const entry of entries) {
+    for (const board of await boardsOf(entry)) {
+      const key = `${board.period}:${board.periodKey}:${board.zone}`;
+      if (!scores.has(key)) scores.set(key, { board, points: 0 });
+      scores.get(key).points += entry.amount;
+    }
+  }
+
+  const rows = [...scores.values()];
+  const hidden = await isOptedOut(userId);
+  if (rows.length) {
+    await LeaderboardScore.bulkWrite(rows.map(({ board, points }) => ({
+      updateOne: { filter: { userId, ...board }, update: { $set: { points, hidden } }, upsert: true }
+    })), { ordered: false });
+    await LeaderboardScore.deleteMany({ userId, $nor: rows.map(({ board }) => board) });
+  } else {
+    await LeaderboardScore.deleteMany({ userId });
+  }
+  return rows.length;
+}
+
+export async function setLeaderboardVisibility(userId, hidden) {
+  await LeaderboardScore.updateMany({ userId }, { $set: { hidden } });
+}
+
+// A zone was renamed or merged into another: its board becomes newName's.
+// When the citizen already has a score there (a merge), the points are
+// added to it and the old row dropped. Returns how many rows moved.
+export async function renameLeaderboardZone(oldName, newName) {
+  let moved = 0;
+  const rows = LeaderboardScore.find({ zone: oldName }).lean().cursor();
+  for await (const row of rows) {
+    try {
+      await LeaderboardScore.updateOne({ _id: row._id }, { $set: { zone: newName } });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      await LeaderboardScore.updateOne(
+        { userId: row.userId, period: row.period, periodKey: row.periodKey, zone: newName },
+        { $inc: { points: row.points } }
+      );
+      await LeaderboardScore.deleteOne({ _id: row._id });
+    }
+    moved += 1;
+  }
+  return moved;
+}
+
+// Top `limit` of a board, plus the caller's own standing when given.
+// Tied points share a rank.
+export async function getLeaderboard({ period = 'all', zone = CITY_BOARD, userId = null, limit = 10 } = {}) {
+  const board = { period, periodKey: periodKeys(new Date())[period], zone };
+
+  const top = await LeaderboardScore.find({ ...board, hidden: false, points: { $gt: 0 } })
+    .sort({ points: -1, _id: 1 })
+    .limit(limit)
+    .lean();
+
+  // Rank of a score = 1 + visible scores above it
+  const rankOf = async (points) => 1 + await LeaderboardScore.countDocuments({ ...board, hidden: false, points: { $gt: points } });
+
+  let me = null;
+  if (userId) {
+    const mine = await LeaderboardScore.findOne({ ...board, userId }).lean();
+    const points = mine?.points || 0;
+    me = {
+      rank: points > 0 ? await rankOf(points) : null,
+      credits: points,
+      hidden: Boolean(mine?.hidden),
+      inTop: top.some(score => score.userId.equals(userId))
+    };
+  }
+
+  const ids = top.map(score => score.userId);
+  const start = periodStart(period);
+  const reportMatch = { userId: { $in: ids }, status: { $nin: ['rejected', 'duplicate'] } };
+  if (start) reportMatch.createdAt = { $gte: start };
+  if (zone !== CITY_BOARD) reportMatch.assignedZone = zone;
+
+  const [users, accounts, reportCounts] = await Promise.all([
+    User.find({ _id: { $in: ids } }).select('name').lean(),
+    Credit.find({ userId: { $in: ids } }).select('userId badges').lean(),
+    Report.aggregate([{ $match: reportMatch }, { $group: { _id: '$userId', reports: { $sum: 1 } } }])
+  ]);
+  const find = (list, field, id) => list.find(item => item[field].equals(id));
+
+  const leaderboard = [];
+  for (const [index, score] of top.entries()) {
+    const previous = leaderboard[index - 1];
+    leaderboard.push({
+      rank: previous && top[index - 1].points === score.points ? previous.rank : index + 1,
+      name: find(users, '_id', score.userId)?.name || 'Anonymous',
+      credits: score.points,
+      reports: find(reportCounts, '_id', score.userId)?.reports || 0,
+      badges: find(accounts, 'userId', score.userId)?.badges.length || 0,
+      isYou: Boolean(userId) && score.userId.equals(userId)
+    });
+  }
+
+  return { leaderboard, me };
+}
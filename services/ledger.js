@@ -0,0 +1,195 @@
+// Credit ledger. CreditTransaction is the source of truth; the balances on
+// Credit are a cache updated with atomic $inc and checked by
+// reconcile-credits.js.
+import mongoose from 'mongoose';
+import Credit from '../models/Credit.js';
+import CreditTransaction from '../models/CreditTransaction.js';
+import { recordScore } from './leaderboard.js';
+
+export const SYSTEM_ACCOUNTS = {
+  REWARDS: 'system:rewards',
+  REDEMPTIONS: 'system:redemptions'
+};
+
+// Entry types that count toward lifetime totalCredits
+export const TOTAL_TYPES = ['earned', 'bonus', 'reversal'];
+
+export const userAccount = (userId) => `user:${userId}`;
+
+const toObjectId = (id) => (typeof id === 'string' ? new mongoose.Types.ObjectId(id) : id);
+
+const balanceDelta = (type, amount) => ({
+  availableCredits: amount,
+  totalCredits: TOTAL_TYPES.includes(type) ? amount : 0
+});
+
+// The rollup can be rebuilt from the ledger, so a failure here mustn't
+// fail the posting
+async function scoreEntry(entry) {
+  if (!TOTAL_TYPES.includes(entry.type)) return;
+  try {
+    await recordScore(entry);
+  } catch (error) {
+    console.error('Leaderboard update error:', error);
+  }
+}
+
+async function insertEntry(entry) {
+  try {
+    return { entry: await CreditTransaction.create(entry), duplicate: false };
+  } catch (error) {
+    if (error.code === 11000) {
+      return { entry: await CreditTransaction.findOne({ idempotencyKey: entry.idempotencyKey }), duplicate: true };
+    }
+    throw error;
+  }
+}
+
+// Credit a user's account (earned, bonus, refund, adjustment)
+// ruleVersion: the CreditRuleSet version that set the amount, if any
+export async function postCredit({ userId, amount, type = 'earned', description, idempotencyKey, reference, ruleVersion }) {
+  if (!(amount > 0)) throw new Error('Credit amount must be positive');
+
+  const { entry, duplicate } = await insertEntry({
+    userId,
+    type,
+    amount,
+    debitAccount: SYSTEM_ACCOUNTS.REWARDS,
+    creditAccount: userAccount(userId),
+    description,
+    idempotencyKey,
+    reference,
+    ruleVersion
+  });
+
+  if (!duplicate) {
+    await Credit.updateOne({ userId }, { $inc: balanceDelta(type, amount) });
+    await scoreEntry(entry);
+    await repayDebts(userId, entry);
+  }
+
+  return { ok: true, duplicate, entry };
+}
+
+// What the account owes for one reference (a reversal its balance couldn't
+// cover), replacing any earlier amount. 0 clears it.
+export async function setDebt(userId, reference, amount) {
+  await Credit.updateOne({ userId }, { $pull: { debts: { 'reference.id': reference.id } } });
+  if (amount > 0) await Credit.updateOne({ userId }, { $push: { debts: { reference, amount } } });
+}
+
+// New credits pay off debts first, oldest first. Each repayment is a
+// reversal entry against the debt's reference, keyed to the credit that
+// paid it. A failure leaves the debt for the next credit.
+async function repayDebts(userId, credit) {
+  try {
+    const account = await Credit.findOne({ userId, 'debts.0': { $exists: true } }).select('debts availableCredits');
+    if (!account) return;
+
+    let available = account.availableCredits;
+    for (const debt of account.debts) {
+      const amount = Math.min(debt.amount, available);
+      if (!(amount > 0)) break;
+
+      const claimed = await Credit.updateOne(
+        { userId, availableCredits: { $gte: amount }, debts: { $elemMatch: { 'reference.id': debt.reference.id, amount: { $gte: amount } } } },
+        { $inc: { availableCredits: -amount, totalCredits: -amount, 'debts.$.amount': -amount } }
+      );
+      if (!claimed.modifiedCount) break;
+      available -= amount;
+
+      const { entry } = await insertEntry({
+        userId,
+        type: 'reversal',
+        amount: -amount,
+        debitAccount: userAccount(userId),
+        creditAccount: SYSTEM_ACCOUNTS.REDEMPTIONS,
+        description: 'Repaid: credits owed from a reversal',
+        idempotencyKey: `debt:${debt.reference.id}:${credit._id}`,
+        reference: debt.reference
+      });
+      await scoreEntry(entry);
+    }
+
+    await Credit.updateOne({ userId }, { $pull: { debts: { amount: { $lte: 0 } } } });
+  } catch (error) {
+    console.error('Debt repayment error:', error);
+  }
+}
+
+// Debit a user's account (redeemed, reversal). Never takes the available
+// balance below zero unless allowPartial, which debits what is left -
+// callers record the rest with setDebt.
+export async function postDebit({ userId, amount, type = 'redeemed', description, idempotencyKey, reference, allowPartial = false }) {
+  if (!(amount > 0)) throw new Error('Debit amount must be positive');
+
+  const existing = await CreditTransaction.findOne({ idempotencyKey });
+  if (existing) return { ok: true, duplicate: true, entry: existing };
+
+  let debit = amount;
+  let account = await Credit.findOneAndUpdate(
+    { userId, availableCredits: { $gte: amount } },
+    { $inc: { availableCredits: -amount, totalCredits: TOTAL_TYPES.includes(type) ? -amount : 0 } },
+    { new: true }
+  );
+
+  if (!account && allowPartial) {
+    const current = await Credit.findOne({ userId });
+    debit = Math.max(0, Math.min(amount, current?.availableCredits || 0));
+    if (debit > 0) {
+      account = await Credit.findOneAndUpdate(
+        { userId, availableCredits: { $gte: debit } },
+        { $inc: { availableCredits: -debit, totalCredits: TOTAL_TYPES.includes(type) ? -debit : 0 } },
+        { new: true }
+      );
+    }
+    if (debit === 0) return { ok: true, duplicate: false, entry: null, debited: 0 };
+  }
+
+  if (!account) {
+    return { ok: false, error: 'Insufficient credits' };
+  }
+
+  const { entry, duplicate } = await insertEntry({
+    userId,
+    type,
+    amount: -debit,
+    debitAccount: userAccount(userId),
+    creditAccount: SYSTEM_ACCOUNTS.REDEMPTIONS,
+    description,
+    idempotencyKey,
+    reference
+  });
+
+  // Lost a race with an identical request - give the credits back
+  if (duplicate) {
+    await Credit.updateOne({ userId }, {
+      $inc: { availableCredits: debit, totalCredits: TOTAL_TYPES.includes(type) ? debit : 0 }
+    });
+  } else {
+    await scoreEntry(entry);
+  }
+
+  return { ok: true, duplicate, entry, debited: debit, balance: account.availableCredits };
+}
+
+// Balances as the ledger sees them
+export async function ledgerBalance(userId) {
+  const [row] = await CreditTransaction.aggregate([
+    { $match: { userId: toObjectId(userId) } },
+    { $group: {
+      _id: null,
+      available: { $sum: '$amount' },
+      total: { $sum: { $cond: [{ $in: ['$type', TOTAL_TYPES] }, '$amount', 0] } },
+      entries: { $sum: 1 }
+    }}
+  ]);
+  return row ? { available: row.available, total: row.total, entries: row.entries } : { available: 0, total: 0, entries: 0 };
+}
+
+export async function recentTransactions(userId, limit = 10) {
+  return CreditTransaction.find({ userId })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .lean();
+}
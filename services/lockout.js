@@ -0,0 +1,47 @@
+// Account lockout after repeated wrong passwords. Works the same for User,
+// Admin and Worker - each has failedLoginAttempts and lockedUntil. A lock
+// ends by itself after lockMinutes or when an admin unlocks the account.
+import { getRateLimitConfig } from '../config/rateLimits.js';
+
+// Message for a locked account, or null if it may try to log in
+export function lockedError(account) {
+  const lockedUntil = account.lockedUntil?.getTime() || 0;
+  if (lockedUntil <= Date.now()) return null;
+
+  const minutes = Math.ceil((lockedUntil - Date.now()) / 60000);
+  return `Account locked after too many failed logins. Try again in ${minutes} min or ask an administrator to unlock it.`;
+}
+
+// Count a wrong password; the one that reaches the limit locks the account
+export async function recordFailedLogin(Model, account) {
+  const { maxFailedLogins, lockMinutes } = getRateLimitConfig();
+
+  const updated = await Model.findOneAndUpdate(
+    { _id: account._id },
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  ).select('failedLoginAttempts');
+
+  if (updated && updated.failedLoginAttempts >= maxFailedLogins) {
+    await Model.updateOne(
+      { _id: account._id },
+      { $set: { failedLoginAttempts: 0, lockedUntil: new Date(Date.now() + lockMinutes * 60 * 1000) } }
+    );
+    console.warn(`🔒 ${Model.modelName} ${account._id} locked after ${maxFailedLogins} failed logins`);
+    return { locked: true };
+  }
+  return { locked: false };
+}
+
+export async function clearFailedLogins(Model, account) {
+  if (!account.failedLoginAttempts && !account.lockedUntil) return;
+  await Model.updateOne({ _id: account._id }, { $set: { failedLoginAttempts: 0, lockedUntil: null } });
+}
+
+export async function unlockAccount(Model, id) {
+  return Model.findOneAndUpdate(
+    { _id: id },
+    { $set: { failedLoginAttempts: 0, lockedUntil: null } },
+    { new: true }
+  ).select('-password');
+}
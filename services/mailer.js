@@ -0,0 +1,35 @@
+// Pluggable mail delivery. The transport is picked by MAIL_TRANSPORT; console
+// and file ship here for development and tests, anything else (SMTP, an
+// email API) is added with registerTransport().
+import fs from 'fs/promises';
+import path from 'path';
+import { getMailConfig } from '../config/mail.js';
+
+const transports = {
+  console: async (message) => {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+  },
+
+  // One JSON file per message, newest last when sorted by name
+  file: async (message, { outboxDir }) => {
+    await fs.mkdir(outboxDir, { recursive: true });
+    const safeTo = message.to.replace(/[^a-z0-9@._-]/gi, '_');
+    const file = path.join(outboxDir, `${Date.now()}-${safeTo}.json`);
+    await fs.writeFile(file, JSON.stringify(message, null, 2));
+  }
+};
+
+// send(message, config) receives { from, to, subject, text, sentAt }
+export function registerTransport(name, send) {
+  transports[name] = send;
+}
+
+export async function sendMail({ to, subject, text }) {
+  const config = getMailConfig();
+  const send = transports[config.transport];
+  if (!send) throw new Error(`Unknown mail transport: ${config.transport}`);
+
+  const message = { from: config.from, to, subject, text, sentAt: new Date().toISOString() };
+  await send(message, config);
+  return message;
+}
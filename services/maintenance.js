@@ -0,0 +1,193 @@
+// One-off maintenance tasks, shared by maintenance.js (CLI) and the
+// super-admin maintenance routes. Tasks only ever add or fix data.
+import Admin from '../models/Admin.js';
+import Worker from '../models/Worker.js';
+import Report from '../models/Report.js';
+import CreditTransaction from '../models/CreditTransaction.js';
+import LeaderboardScore from '../models/LeaderboardScore.js';
+import { assignZone, ensureZonesSeeded, UNZONED } from '../config/zones.js';
+import { DEFAULT_PERMISSIONS, ROLES } from '../config/permissions.js';
+import { TOTAL_TYPES } from './ledger.js';
+import { rebuildUserScores } from './leaderboard.js';
+
+export const DEMO_ADMINS = [
+  {
+    name: 'Chief Municipal Officer',
+    email: 'cmo@gonda.gov.in',
+    password: 'SuperAdmin@2025',
+    phone: '+91-9876543200',
+    role: ROLES.SUPER_ADMIN,
+    department: 'Municipal Corporation'
+  },
+  {
+    name: 'Rajesh Kumar - North Zone Officer',
+    email: 'officer1@gonda.gov.in',
+    password: 'Officer@123',
+    phone: '+91-9876543201',
+    role: ROLES.ZONE_OFFICER,
+    department: 'Sanitation Department',
+    assignedZones: ['Zone 1 - North Gonda', 'Zone 2 - South Gonda']
+  },
+  {
+    name: 'Sunita Sharma - East Zone Officer',
+    email: 'officer2@gonda.gov.in',
+    password: 'Officer@123',
+    phone: '+91-9876543202',
+    role: ROLES.ZONE_OFFICER,
+    department: 'Sanitation Department',
+    assignedZones: ['Zone 3 - East Gonda', 'Zone 4 - West Gonda']
+  },
+  {
+    name: 'Amit Verma - Central Zone Officer',
+    email: 'officer3@gonda.gov.in',
+    password: 'Officer@123',
+    phone: '+91-9876543203',
+    role: ROLES.ZONE_OFFICER,
+    department: 'Sanitation Department',
+    assignedZones: ['Zone 5 - Central Gonda']
+  }
+];
+
+export const DEMO_WORKERS = [
+  {
+    name: 'Ramesh Kumar',
+    mobile: '9999999991',
+    email: 'ramesh@worker.com',
+    password: 'Worker@123',
+    aadhaar: '123456789012',
+    address: 'Station Road, Gonda',
+    assignedZone: 'Zone 1 - North Gonda'
+  },
+  {
+    name: 'Suresh Yadav',
+    mobile: '9999999992',
+    email: 'suresh@worker.com',
+    password: 'Worker@123',
+    aadhaar: '123456789013',
+    address: 'Colonelganj, Gonda',
+    assignedZone: 'Zone 2 - South Gonda'
+  },
+  {
+    name: 'Mohan Singh',
+    mobile: '9999999993',
+    email: 'mohan@worker.com',
+    password: 'Worker@123',
+    aadhaar: '123456789014',
+    address: 'Paraspur, Gonda',
+    assignedZone: 'Zone 3 - East Gonda'
+  }
+];
+
+// Create whichever demo accounts are missing. Existing accounts (matched by
+// email / mobile) are left exactly as they are - passwords included.
+export async function seedDemoAccounts() {
+  const created = [];
+  const skipped = [];
+
+  let approver = null;
+  for (const demo of DEMO_ADMINS) {
+    let admin = await Admin.findOne({ email: demo.email });
+    if (admin) {
+      skipped.push(demo.email);
+    } else {
+      admin = await Admin.create({ ...demo, isActive: true, permissions: DEFAULT_PERMISSIONS[demo.role] });
+      created.push(demo.email);
+    }
+    if (demo.role === ROLES.SUPER_ADMIN) approver = admin;
+  }
+
+  for (const demo of DEMO_WORKERS) {
+    if (await Worker.exists({ mobile: demo.mobile })) {
+      skipped.push(demo.mobile);
+      continue;
+    }
+    await Worker.create({ ...demo, status: 'approved', approvedBy: approver?._id, approvedDate: new Date() });
+    created.push(demo.mobile);
+  }
+
+  return { created, skipped };
+}
+
+// Single super admin for a fresh install - a no-op once one exists
+export async function ensureSuperAdmin() {
+  const existing = await Admin.findOne({ role: ROLES.SUPER_ADMIN });
+  if (existing) return { created: false, admin: existing };
+
+  const demo = DEMO_ADMINS.find(a => a.role === ROLES.SUPER_ADMIN);
+  const admin = await Admin.create({ ...demo, isActive: true, permissions: DEFAULT_PERMISSIONS[demo.role] });
+  return { created: true, admin };
+}
+
+// Re-run zone detection on reports that have no zone yet
+export async function fixReportZones() {
+  await ensureZonesSeeded();
+
+  const reports = await Report.find({
+    $or: [
+      { assignedZone: { $exists: false } },
+      { assignedZone: null },
+      { assignedZone: '' },
+      { assignedZone: UNZONED }
+    ]
+  });
+
+  const details = [];
+  for (const report of reports) {
+    const coords = report.location?.coordinates;
+    const zone = assignZone({ lat: coords?.[1], lng: coords?.[0], address: report.address });
+
+    if (zone !== report.assignedZone) {
+      report.assignedZone = zone;
+      await report.save();
+    }
+    details.push({ id: report.reportId, zone, address: report.address });
+  }
+
+  return {
+    checked: reports.length,
+    fixed: details.filter(d => d.zone !== UNZONED).length,
+    details
+  };
+}
+
+// Recompute the given citizens' leaderboard scores from the ledger.
+// Returns how many ledger entries were scored.
+export async function rescoreUsers(userIds) {
+  let entries = 0;
+  for (const userId of userIds) {
+    const ledger = await CreditTransaction.find({ userId, type: { $in: TOTAL_TYPES } }).sort({ createdAt: 1 }).lean();
+    await rebuildUserScores(userId, ledger);
+    entries += ledger.length;
+  }
+  return entries;
+}
+
+// Recompute the leaderboard rollup from the ledger - after the rollup was
+// added, or if it drifted. Each citizen's scores are set, not added to, so
+// running it again is harmless. A credit posted for a citizen while theirs
+// are being set may be missed; the next run picks it up.
+export async function rebuildLeaderboards() {
+  const userIds = await CreditTransaction.distinct('userId', { type: { $in: TOTAL_TYPES } });
+  const entries = await rescoreUsers(userIds);
+
+  // Rows of citizens with nothing in the ledger
+  await LeaderboardScore.deleteMany({ userId: { $nin: userIds } });
+
+  return { entries, scores: await LeaderboardScore.countDocuments() };
+}
+
+export const MAINTENANCE_TASKS = {
+  'seed-demo-accounts': seedDemoAccounts,
+  'fix-zones': fixReportZones,
+  'rebuild-leaderboards': rebuildLeaderboards
+};
+
+export async function runMaintenanceTask(name, invokedBy) {
+  const task = MAINTENANCE_TASKS[name];
+  if (!task) throw new Error(`Unknown maintenance task: ${name}`);
+
+  console.log(`🛠️  Maintenance "${name}" started by ${invokedBy} at ${new Date().toISOString()}`);
+  const result = await task();
+  console.log(`🛠️  Maintenance "${name}" by ${invokedBy} finished`);
+  return result;
+}
@@ -0,0 +1,117 @@
+// OTP login for workers and citizens. A code is requested for a mobile
+// number, sent by SMS and exchanged once for a login (or, with purpose
+// verify-mobile, to confirm a citizen owns a number). Sends are limited per
+// number (cooldown + hourly cap) and each code allows a few wrong guesses.
+import crypto from 'crypto';
+import OtpCode from '../models/OtpCode.js';
+import User from '../models/User.js';
+import Worker from '../models/Worker.js';
+import { getOtpConfig } from '../config/otp.js';
+import { getTokenConfig } from '../config/auth.js';
+import { parseMobile } from '../utils/validation.js';
+import { sendSms } from './sms.js';
+
+// Who may log in by OTP with a given number. Citizens only once the number
+// has been verified (User.mobile; unverified numbers wait in pendingMobile).
+const SUBJECTS = {
+  User: (mobile) => User.findOne({ mobile }),
+  Worker: (mobile) => Worker.findOne({ mobile, status: 'approved' })
+};
+
+const hashCode = (mobile, code) => crypto.createHmac('sha256', getTokenConfig().secret).update(`${mobile}:${code}`).digest('hex');
+
+const sameHash = (a, b) => a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+function generateCode(length) {
+  return String(crypto.randomInt(0, 10 ** length)).padStart(length, '0');
+}
+
+// Answers the same for unknown numbers so callers can't probe for accounts:
+// a code is stored as usual - counting toward the send limits and taking
+// guesses - but the SMS isn't sent. Pass subject when the account is
+// already known (verify-mobile).
+export async function requestOtp(subjectModel, rawMobile, { ip, purpose = 'login', subject } = {}) {
+  const parsed = parseMobile(rawMobile);
+  if (!parsed.valid) return { ok: false, status: 400, error: parsed.error };
+  const { mobile } = parsed;
+
+  const config = getOtpConfig();
+  const now = Date.now();
+
+  const last = await OtpCode.findOne({ subjectModel, mobile, purpose }).sort({ createdAt: -1 });
+  const waitSeconds = last ? Math.ceil((last.createdAt.getTime() + config.resendSeconds * 1000 - now) / 1000) : 0;
+  if (waitSeconds > 0) {
+    return { ok: false, status: 429, error: `Please wait ${waitSeconds}s before requesting another code`, retryAfter: waitSeconds };
+  }
+
+  const sentLastHour = await OtpCode.countDocuments({ subjectModel, mobile, purpose, createdAt: { $gt: new Date(now - 60 * 60 * 1000) } });
+  if (sentLastHour >= config.maxPerHour) {
+    return { ok: false, status: 429, error: 'Too many codes requested - try again in an hour', retryAfter: 60 * 60 };
+  }
+
+  const known = Boolean(subject || await SUBJECTS[subjectModel](mobile));
+  const code = generateCode(config.length);
+  const otp = await OtpCode.create({
+    subjectModel,
+    mobile,
+    purpose,
+    codeHash: hashCode(mobile, code),
+    expiresAt: new Date(now + config.ttlMinutes * 60 * 1000),
+    ip
+  });
+  if (!known) {
+    return { ok: true, expiresInMinutes: config.ttlMinutes };
+  }
+
+  try {
+    const use = purpose === 'login' ? 'login' : 'verification';
+    await sendSms({ to: mobile, text: `${code} is your GreenCredits ${use} code. It expires in ${config.ttlMinutes} minutes. Do not share it.` });
+  } catch (error) {
+    await OtpCode.deleteOne({ _id: otp._id });
+    throw error;
+  }
+
+  return { ok: true, expiresInMinutes: config.ttlMinutes };
+}
+
+// Check a code against the latest one sent. Returns the account on success;
+// the code can't be used again.
+export async function verifyOtp(subjectModel, rawMobile, code, { purpose = 'login', subject } = {}) {
+  const parsed = parseMobile(rawMobile);
+  if (!parsed.valid) return { ok: false, status: 400, error: parsed.error };
+  const { mobile } = parsed;
+  const { maxAttempts } = getOtpConfig();
+
+  const otp = await OtpCode.findOne({ subjectModel, mobile, purpose, consumedAt: null, expiresAt: { $gt: new Date() } }).sort({ createdAt: -1 });
+  if (!otp) {
+    return { ok: false, status: 400, error: 'Code expired - request a new one' };
+  }
+  if (otp.attempts >= maxAttempts) {
+    return { ok: false, status: 429, error: 'Too many wrong attempts - request a new code' };
+  }
+
+  if (!sameHash(hashCode(mobile, String(code || '').trim()), otp.codeHash)) {
+    const updated = await OtpCode.findOneAndUpdate(
+      { _id: otp._id, attempts: { $lt: maxAttempts } },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    );
+    const attemptsLeft = Math.max(0, maxAttempts - (updated?.attempts ?? maxAttempts));
+    return { ok: false, status: 400, error: attemptsLeft ? `Incorrect code - ${attemptsLeft} attempt(s) left` : 'Incorrect code - request a new one', attemptsLeft };
+  }
+
+  // Only one verify can use the code, even when two arrive together
+  const consumed = await OtpCode.findOneAndUpdate(
+    { _id: otp._id, consumedAt: null, attempts: { $lt: maxAttempts } },
+    { $set: { consumedAt: new Date() } }
+  );
+  if (!consumed) {
+    return { ok: false, status: 400, error: 'Code expired - request a new one' };
+  }
+
+  const account = subject || await SUBJECTS[subjectModel](mobile);
+  if (!account) {
+    return { ok: false, status: 401, error: 'Account is no longer active' };
+  }
+  return { ok: true, subject: account, mobile };
+}
@@ -0,0 +1,79 @@
+// Fixed-window rate limiting. Counters live in memory by default, or in
+// MongoDB (RATE_LIMIT_STORE=mongo) so several server instances share them.
+import RateLimit from '../models/RateLimit.js';
+import { getRateLimitConfig } from '../config/rateLimits.js';
+
+const memoryCounters = new Map();
+let lastSweep = 0;
+
+// Drop finished windows now and then so the map can't grow forever
+function sweepMemory(now) {
+  if (now - lastSweep < 60 * 1000) return;
+  lastSweep = now;
+  for (const [key, counter] of memoryCounters) {
+    if (counter.resetAt <= now) memoryCounters.delete(key);
+  }
+}
+
+const stores = {
+  memory: {
+    async hit(key, resetAt) {
+      sweepMemory(Date.now());
+      const counter = memoryCounters.get(key) || { count: 0, resetAt };
+      counter.count += 1;
+      memoryCounters.set(key, counter);
+      return counter.count;
+    }
+  },
+
+  mongo: {
+    async hit(key, resetAt) {
+      const update = { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(resetAt) } };
+      try {
+        const counter = await RateLimit.findOneAndUpdate({ key }, update, { upsert: true, new: true });
+        return counter.count;
+      } catch (error) {
+        // Two first hits raced on the upsert - the second one just increments
+        if (error.code !== 11000) throw error;
+        const counter = await RateLimit.findOneAndUpdate({ key }, update, { new: true });
+        return counter.count;
+      }
+    }
+  }
+};
+
+// Count one request against key. Returns whether it is allowed and, if not,
+// how many seconds until the window resets.
+export async function hitLimit(key, { limit, windowMinutes }) {
+  const store = stores[getRateLimitConfig().store];
+  if (!store) throw new Error(`Unknown rate limit store: ${getRateLimitConfig().store}`);
+
+  const windowMs = windowMinutes * 60 * 1000;
+  const now = Date.now();
+  const windowStart = Math.floor(now / windowMs) * windowMs;
+  const resetAt = windowStart + windowMs;
+
+  const count = await store.hit(`${key}:${windowStart}`, resetAt);
+  return { allowed: count <= limit, retryAfter: Math.ceil((resetAt - now) / 1000) };
+}
+
+// Middleware. rule names a { limit, windowMinutes } entry in
+// config/rateLimits.js; keyOf(req) picks what is counted (null skips).
+// A broken store lets requests through rather than locking everyone out.
+export function rateLimit(rule, keyOf, { field = 'error', message = 'Too many requests - please slow down.' } = {}) {
+  return async (req, res, next) => {
+    const key = keyOf(req);
+    if (!key) return next();
+
+    try {
+      const { allowed, retryAfter } = await hitLimit(`${rule}:${key}`, getRateLimitConfig()[rule]);
+      if (!allowed) {
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({ success: false, [field]: `${message} Try again in ${Math.ceil(retryAfter / 60)} min.`, retryAfter });
+      }
+    } catch (error) {
+      console.error('Rate limit error:', error);
+    }
+    next();
+  };
+}
@@ -0,0 +1,157 @@
+// Rewards store. Prices and stock come from the Reward collection - the
+// client only says which reward it wants.
+import mongoose from 'mongoose';
+import Reward from '../models/Reward.js';
+import Redemption from '../models/Redemption.js';
+import { postCredit, postDebit } from './ledger.js';
+import { claimCode, releaseCode } from './vouchers.js';
+import { canTransitionRedemption } from '../config/rewards.js';
+import { grantStreakFreeze, revokeStreakFreeze } from './streaks.js';
+
+// Perk -> how to grant it, take it back if the redemption falls through,
+// and what to say when the citizen can't have another
+const PERKS = {
+  'streak-freeze': {
+    grant: grantStreakFreeze,
+    revoke: revokeStreakFreeze,
+    unavailable: 'You already hold the most streak freezes allowed'
+  }
+};
+
+// Take one unit; fails when none are left. Unlimited rewards never get here.
+const takeStock = (rewardId) => Reward.findOneAndUpdate(
+  { _id: rewardId, isActive: true, stock: { $gte: 1 } },
+  { $inc: { stock: -1 } },
+  { new: true }
+);
+
+// Skipped if the reward has since been made unlimited
+const returnStock = (rewardId) => Reward.updateOne(
+  { _id: rewardId, stock: { $ne: null } },
+  { $inc: { stock: 1 } }
+);
+
+export async function redeemReward({ userId, rewardKey, idempotencyKey }) {
+  const existing = await Redemption.findOne({ idempotencyKey });
+  if (existing) return { ok: true, duplicate: true, redemption: existing };
+
+  const reward = await Reward.findOne({ key: String(rewardKey || '').toLowerCase(), isActive: true });
+  if (!reward) return { ok: false, status: 404, error: 'Reward not found' };
+
+  const stockClaimed = reward.stock !== null;
+  if (stockClaimed && !(await takeStock(reward._id))) {
+    return { ok: false, status: 409, error: 'This reward is out of stock' };
+  }
+
+  const redemptionId = new mongoose.Types.ObjectId();
+  const voucher = reward.codePool ? await claimCode(reward, { redemptionId, userId }) : null;
+  if (reward.codePool && !voucher) {
+    if (stockClaimed) await returnStock(reward._id);
+    return { ok: false, status: 409, error: 'This voucher is out of stock' };
+  }
+
+  const perk = PERKS[reward.perk];
+  if (perk && !(await perk.grant(userId))) {
+    if (stockClaimed) await returnStock(reward._id);
+    if (voucher) await releaseCode(voucher._id);
+    return { ok: false, status: 409, error: perk.unavailable };
+  }
+
+  // Undo the stock, code and perk claims when the redemption doesn't go through
+  const release = async () => {
+    if (stockClaimed) await returnStock(reward._id);
+    if (voucher) await releaseCode(voucher._id);
+    if (perk) await perk.revoke(userId);
+  };
+
+  let debitEntry;
+  if (reward.cost > 0) {
+    const debit = await postDebit({
+      userId,
+      amount: reward.cost,
+      type: 'redeemed',
+      description: `Redeemed: ${reward.name}`,
+      idempotencyKey,
+      reference: { kind: 'Redemption', id: redemptionId }
+    });
+
+    if (!debit.ok || debit.duplicate) {
+      await release();
+      if (!debit.ok) return { ok: false, status: 400, error: debit.error };
+      // An identical request got there first and is still finishing
+      const first = await Redemption.findOne({ idempotencyKey });
+      return first
+        ? { ok: true, duplicate: true, redemption: first }
+        : { ok: false, status: 409, error: 'This redemption is already being processed' };
+    }
+    debitEntry = debit.entry._id;
+  }
+
+  try {
+    const redemption = await Redemption.create({
+      _id: redemptionId,
+      userId,
+      reward: reward._id,
+      rewardKey: reward.key,
+      name: reward.name,
+      category: reward.category,
+      cost: reward.cost,
+      stockClaimed,
+      idempotencyKey,
+      debitEntry,
+      voucherCode: voucher?._id,
+      // The citizen has the voucher or perk as soon as it's issued
+      status: voucher || perk ? 'fulfilled' : 'pending',
+      history: voucher || perk
+        ? [{ to: 'pending', notes: 'Redeemed by citizen' }, { from: 'pending', to: 'fulfilled', notes: voucher ? 'Voucher code issued' : 'Perk granted' }]
+        : [{ to: 'pending', notes: 'Redeemed by citizen' }]
+    });
+    return { ok: true, duplicate: false, redemption, reward };
+  } catch (error) {
+    // Two identical free redemptions raced - only one keeps its unit
+    if (error.code === 11000) {
+      await release();
+      return { ok: true, duplicate: true, redemption: await Redemption.findOne({ idempotencyKey }) };
+    }
+    throw error;
+  }
+}
+
+// Move a redemption along pending -> approved -> fulfilled, or cancel it.
+// Cancelling refunds the credits and puts the unit back in stock.
+export async function changeRedemptionStatus(redemption, status, { admin, notes } = {}) {
+  if (!canTransitionRedemption(redemption.status, status)) {
+    const error = new Error(`Cannot change redemption from ${redemption.status} to ${status}`);
+    error.status = 409;
+    throw error;
+  }
+
+  redemption.history.push({
+    from: redemption.status,
+    to: status,
+    by: admin?._id,
+    byName: admin?.name,
+    notes
+  });
+  redemption.status = status;
+  // Versioned save - of two admins cancelling at once, only one refunds
+  await redemption.save();
+
+  if (status === 'cancelled') {
+    if (redemption.debitEntry) {
+      const refund = await postCredit({
+        userId: redemption.userId,
+        amount: redemption.cost,
+        type: 'refund',
+        description: `Refund: ${redemption.name}`,
+        idempotencyKey: `redemption:${redemption._id}:refund`,
+        reference: { kind: 'Redemption', id: redemption._id }
+      });
+      redemption.refundEntry = refund.entry._id;
+      await redemption.save();
+    }
+    if (redemption.stockClaimed) await returnStock(redemption.reward);
+  }
+
+  return redemption;
+}
@@ -0,0 +1,33 @@
+// Pluggable SMS delivery. The provider is picked by SMS_PROVIDER; console and
+// file are local stubs for development and tests, a real gateway is added
+// with registerSmsProvider().
+import fs from 'fs/promises';
+import path from 'path';
+import { getOtpConfig } from '../config/otp.js';
+
+const providers = {
+  console: async (message) => {
+    console.log(`📱 SMS to ${message.to}: ${message.text}`);
+  },
+
+  // One JSON file per message, newest last when sorted by name
+  file: async (message, { outboxDir }) => {
+    await fs.mkdir(outboxDir, { recursive: true });
+    await fs.writeFile(path.join(outboxDir, `${Date.now()}-${message.to}.json`), JSON.stringify(message, null, 2));
+  }
+};
+
+// send(message, config) receives { to, text, sentAt }
+export function registerSmsProvider(name, send) {
+  providers[name] = send;
+}
+
+export async function sendSms({ to, text }) {
+  const config = getOtpConfig();
+  const send = providers[config.smsProvider];
+  if (!send) throw new Error(`Unknown SMS provider: ${config.smsProvider}`);
+
+  const message = { to, text, sentAt: new Date().toISOString() };
+  await send(message, config);
+  return message;
+}
@@ -0,0 +1,95 @@
+// Daily reporting streaks, counted in civic days (config/streaks.js) so a
+// host's own time zone doesn't matter. The first report of a day moves the
+// streak; later ones that day leave it - and its bonus - alone. A gap is
+// bridged when the citizen holds a streak freeze for every missed day.
+import User from '../models/User.js';
+import { getStreakConfig, STREAK_MILESTONES } from '../config/streaks.js';
+import { civicDay, daysBetween } from '../utils/civicTime.js';
+
+// Day the streak last counted. Older accounts only have lastReportDate.
+function lastDayOf(user, timeZone) {
+  if (user.streakDay) return user.streakDay;
+  return user.lastReportDate ? civicDay(user.lastReportDate, timeZone) : null;
+}
+
+// Record a report made at `now`. Returns the streak after it, whether this
+// was the day's first report, and how many freezes were used up.
+export async function recordReportDay(userId, now = new Date()) {
+  const { timeZone } = getStreakConfig();
+  const today = civicDay(now, timeZone);
+
+  // Retried when a concurrent report changes the user in between
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const user = await User.findById(userId).select('currentStreak longestStreak lastReportDate streakDay streakFreezes').lean();
+    const lastDay = lastDayOf(user, timeZone);
+    const missed = lastDay ? daysBetween(lastDay, today) - 1 : null;
+
+    // Already counted today (or later, if the time zone setting changed)
+    if (missed !== null && missed < 0) {
+      await User.updateOne({ _id: userId }, { $set: { lastReportDate: now } });
+      return { streak: user.currentStreak, longestStreak: user.longestStreak, firstToday: false, freezesUsed: 0 };
+    }
+
+    let streak = 1;
+    let freezesUsed = 0;
+    if (missed === 0) {
+      streak = user.currentStreak + 1;
+    } else if (missed > 0 && missed <= (user.streakFreezes || 0)) {
+      streak = user.currentStreak + 1;
+      freezesUsed = missed;
+    }
+    const longestStreak = Math.max(user.longestStreak || 0, streak);
+
+    const claimed = await User.updateOne(
+      { _id: userId, streakDay: user.streakDay || null, streakFreezes: { $gte: freezesUsed } },
+      {
+        $set: { currentStreak: streak, longestStreak, lastReportDate: now, streakDay: today },
+        $inc: { streakFreezes: -freezesUsed }
+      }
+    );
+    if (claimed.modifiedCount) {
+      if (freezesUsed) console.log(`🧊 User ${userId} used ${freezesUsed} streak freeze(s)`);
+      return { streak, longestStreak, firstToday: true, freezesUsed };
+    }
+  }
+  throw new Error('Streak update kept conflicting - try again');
+}
+
+// Milestone bonuses the streak reached today, from the active rules
+export function streakMilestones(rules, streak) {
+  return STREAK_MILESTONES
+    .filter(milestone => streak % milestone.every === 0 && rules.points[milestone.points] > 0)
+    .map(milestone => ({ event: milestone.points, days: streak, amount: rules.points[milestone.points] }));
+}
+
+// Streak as the citizen sees it now - a streak whose last day has passed
+// without a report (and without freezes to cover it) is already broken.
+export function streakStatus(user, now = new Date()) {
+  const { timeZone, maxFreezes } = getStreakConfig();
+  const lastDay = lastDayOf(user, timeZone);
+  const missed = lastDay ? daysBetween(lastDay, civicDay(now, timeZone)) - 1 : null;
+  const alive = missed !== null && missed <= (user.streakFreezes || 0);
+
+  return {
+    currentStreak: alive ? user.currentStreak || 0 : 0,
+    longestStreak: user.longestStreak || 0,
+    reportedToday: missed === -1,
+    streakFreezes: user.streakFreezes || 0,
+    maxStreakFreezes: maxFreezes,
+    timeZone
+  };
+}
+
+// Add a freeze unless the citizen already holds the most allowed
+export async function grantStreakFreeze(userId) {
+  const { maxFreezes } = getStreakConfig();
+  const result = await User.updateOne(
+    { _id: userId, streakFreezes: { $lt: maxFreezes } },
+    { $inc: { streakFreezes: 1 } }
+  );
+  return result.modifiedCount > 0;
+}
+
+export async function revokeStreakFreeze(userId) {
+  await User.updateOne({ _id: userId, streakFreezes: { $gte: 1 } }, { $inc: { streakFreezes: -1 } });
+}
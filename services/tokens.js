@@ -0,0 +1,104 @@
+// Access and refresh tokens for the mobile apps. Access tokens are short
+// JWTs; refresh tokens are random strings stored hashed in RefreshToken and
+// rotated on every use. Presenting an already-used refresh token revokes
+// its whole family (the token was probably stolen).
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import RefreshToken from '../models/RefreshToken.js';
+import { getTokenConfig } from '../config/auth.js';
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+export function signAccessToken(claims) {
+  const { secret, accessTtl } = getTokenConfig();
+  return jwt.sign({ ...claims, typ: 'access' }, secret, { expiresIn: accessTtl });
+}
+
+// Decoded claims, or null if the token is invalid, expired or not an access token
+export function verifyAccessToken(token) {
+  try {
+    const claims = jwt.verify(token, getTokenConfig().secret);
+    return claims.typ === 'access' ? claims : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Single-purpose links sent by email (verify-email, password-reset). The
+// purpose is checked so one kind can never be used as another.
+export function signActionToken(purpose, claims, expiresIn) {
+  return jwt.sign({ ...claims, typ: purpose }, getTokenConfig().secret, { expiresIn });
+}
+
+export function verifyActionToken(token, purpose) {
+  try {
+    const claims = jwt.verify(String(token), getTokenConfig().secret);
+    return claims.typ === purpose ? claims : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+export function bearerToken(req) {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+}
+
+// New access + refresh pair. Pass the family when rotating.
+export async function issueTokens(subjectModel, subject, claims, { family, req } = {}) {
+  const { refreshTtlDays, accessTtl } = getTokenConfig();
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+
+  await RefreshToken.create({
+    subjectModel,
+    subject,
+    tokenHash: hashToken(refreshToken),
+    family: family || crypto.randomUUID(),
+    expiresAt: new Date(Date.now() + refreshTtlDays * 24 * 60 * 60 * 1000),
+    userAgent: req?.get('user-agent'),
+    ip: req?.ip
+  });
+
+  return { accessToken: signAccessToken(claims), refreshToken, tokenType: 'Bearer', expiresIn: accessTtl };
+}
+
+// Use up a refresh token. Returns its record so the caller can load the
+// subject and issue the next pair in the same family.
+export async function consumeRefreshToken(subjectModel, refreshToken) {
+  if (!refreshToken) return { ok: false, error: 'Refresh token required' };
+
+  const tokenHash = hashToken(refreshToken);
+  const record = await RefreshToken.findOneAndUpdate(
+    { tokenHash, subjectModel, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { revokedAt: new Date(), revokedReason: 'rotated' } },
+    { new: true }
+  );
+  if (record) return { ok: true, record };
+
+  // Already used or revoked: shut down every token descended from the same login
+  const used = await RefreshToken.findOne({ tokenHash, subjectModel });
+  if (used?.revokedReason === 'rotated') {
+    await revokeFamily(used.family, 'reuse');
+    console.warn(`⚠️  Refresh token reuse for ${subjectModel} ${used.subject} - family revoked`);
+  }
+  return { ok: false, error: 'Invalid or expired refresh token' };
+}
+
+export async function revokeFamily(family, reason) {
+  await RefreshToken.updateMany({ family, revokedAt: null }, { $set: { revokedAt: new Date(), revokedReason: reason } });
+}
+
+// Logout on one device: the family of the presented token
+export async function revokeRefreshToken(subjectModel, refreshToken) {
+  if (!refreshToken) return;
+  const record = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken), subjectModel });
+  if (record) await revokeFamily(record.family, 'logout');
+}
+
+// Logout everywhere
+export async function revokeAllTokens(subjectModel, subject) {
+  await RefreshToken.updateMany(
+    { subjectModel, subject, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: 'logout-all' } }
+  );
+}
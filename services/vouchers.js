@@ -0,0 +1,171 @@
+// Voucher code pools. Admins upload codes per reward; each voucher
+// redemption claims exactly one with an atomic findOneAndUpdate.
+import mongoose from 'mongoose';
+import Reward from '../models/Reward.js';
+import Redemption from '../models/Redemption.js';
+import VoucherCode from '../models/VoucherCode.js';
+
+export const maskCode = (last4) => `••••${last4 || ''}`;
+
+// First column of each CSV line; a "code" header row and blank lines are skipped
+export function parseCodes(text) {
+  const codes = new Set();
+  for (const line of String(text || '').split(/\r?\n/)) {
+    const cell = line.split(',')[0].trim().replace(/^"(.*)"$/, '$1').trim();
+    if (!cell || /^(voucher[ _-]?)?codes?$/i.test(cell)) continue;
+    codes.add(cell);
+  }
+  return [...codes];
+}
+
+// Add codes to a reward's pool. Codes already in any pool are skipped.
+export async function importCodes(reward, text, { admin } = {}) {
+  const codes = parseCodes(text);
+  if (!codes.length) return { added: 0, skipped: 0 };
+
+  const known = await VoucherCode.find({ code: { $in: codes } }).select('+code').lean();
+  const knownCodes = new Set(known.map(c => c.code));
+  const fresh = codes.filter(code => !knownCodes.has(code));
+
+  const batch = new mongoose.Types.ObjectId().toString();
+  await VoucherCode.insertMany(fresh.map(code => ({
+    reward: reward._id,
+    code,
+    last4: code.slice(-4),
+    batch,
+    uploadedBy: admin?._id
+  })));
+
+  return { added: fresh.length, skipped: codes.length - fresh.length, batch };
+}
+
+// Available / issued / void counts per reward
+export async function poolCounts(rewardIds) {
+  const rows = await VoucherCode.aggregate([
+    { $match: rewardIds ? { reward: { $in: rewardIds } } : {} },
+    { $group: { _id: { reward: '$reward', status: '$status' }, count: { $sum: 1 } } }
+  ]);
+
+  const counts = new Map();
+  for (const row of rows) {
+    const key = row._id.reward.toString();
+    if (!counts.has(key)) counts.set(key, { available: 0, issued: 0, void: 0 });
+    counts.get(key)[row._id.status] = row.count;
+  }
+  return (rewardId) => counts.get(rewardId.toString()) || { available: 0, issued: 0, void: 0 };
+}
+
+// Active code-pool rewards at or below their low-pool threshold
+export async function poolAlerts() {
+  const rewards = await Reward.find({ codePool: true, isActive: true }).lean();
+  const countsFor = await poolCounts(rewards.map(r => r._id));
+
+  return rewards
+    .map(reward => ({ reward: { _id: reward._id, key: reward.key, name: reward.name }, available: countsFor(reward._id).available, threshold: reward.lowPoolThreshold }))
+    .filter(alert => alert.available <= alert.threshold);
+}
+
+async function warnIfLow(reward) {
+  const available = await VoucherCode.countDocuments({ reward: reward._id, status: 'available' });
+  if (available <= reward.lowPoolThreshold) {
+    console.warn(`⚠️  Voucher pool low: ${reward.name} has ${available} code(s) left`);
+  }
+}
+
+// Claim the oldest available code for a redemption, or null if the pool is empty
+export async function claimCode(reward, { redemptionId, userId }) {
+  const code = await VoucherCode.findOneAndUpdate(
+    { reward: reward._id, status: 'available' },
+    { $set: { status: 'issued', redemption: redemptionId, userId, issuedAt: new Date() } },
+    { sort: { createdAt: 1 }, new: true }
+  );
+
+  if (code) warnIfLow(reward).catch(error => console.error('Voucher pool check error:', error));
+  return code;
+}
+
+// Put a claimed code back when the redemption didn't go through
+export async function releaseCode(codeId) {
+  await VoucherCode.updateOne(
+    { _id: codeId, status: 'issued' },
+    { $set: { status: 'available' }, $unset: { redemption: 1, userId: 1, issuedAt: 1 } }
+  );
+}
+
+// Swap the redemption's code for a fresh one from the pool and void the old
+// one. Nothing is voided while the pool is empty.
+export async function reissueCode(redemption, { admin, reason } = {}) {
+  const reward = await Reward.findById(redemption.reward);
+  if (!reward?.codePool) {
+    return { ok: false, status: 400, error: 'This reward does not use voucher codes' };
+  }
+
+  const replacement = await claimCode(reward, { redemptionId: redemption._id, userId: redemption.userId });
+  if (!replacement) {
+    return { ok: false, status: 409, error: 'Voucher pool is empty - upload more codes and try again' };
+  }
+
+  const previous = redemption.voucherCode;
+  redemption.voucherCode = replacement._id;
+  redemption.history.push({
+    from: redemption.status,
+    to: redemption.status,
+    by: admin?._id,
+    byName: admin?.name,
+    notes: `Voucher code reissued${reason ? `: ${reason}` : ''}`
+  });
+
+  try {
+    await redemption.save();
+  } catch (error) {
+    await releaseCode(replacement._id);
+    throw error;
+  }
+
+  if (previous) {
+    await VoucherCode.updateOne(
+      { _id: previous, status: { $ne: 'void' } },
+      { $set: { status: 'void', voidedAt: new Date(), voidedBy: admin?._id, voidReason: reason } }
+    );
+  }
+
+  return { ok: true, replacement };
+}
+
+// Void a code. An issued code is replaced on its redemption straight away.
+export async function voidCode(code, { admin, reason } = {}) {
+  if (code.status === 'void') {
+    return { ok: false, status: 409, error: 'Code is already void' };
+  }
+
+  if (code.status === 'issued' && code.redemption) {
+    const redemption = await Redemption.findById(code.redemption);
+    if (redemption && redemption.voucherCode?.equals(code._id)) {
+      return reissueCode(redemption, { admin, reason });
+    }
+  }
+
+  const voided = await VoucherCode.findOneAndUpdate(
+    { _id: code._id, status: code.status },
+    { $set: { status: 'void', voidedAt: new Date(), voidedBy: admin?._id, voidReason: reason } },
+    { new: true }
+  );
+  if (!voided) {
+    return { ok: false, status: 409, error: 'Code was claimed or changed meanwhile - reload and try again' };
+  }
+  return { ok: true, replacement: null };
+}
+
+// Full code for the citizen who owns the redemption. First reveal is recorded.
+export async function revealCode(redemption) {
+  if (!redemption.voucherCode) return null;
+
+  const code = await VoucherCode.findOne({ _id: redemption.voucherCode, status: 'issued' }).select('+code');
+  if (!code) return null;
+
+  if (!code.revealedAt) {
+    code.revealedAt = new Date();
+    await code.save();
+  }
+  return code;
+}
@@ -0,0 +1,70 @@
+// The daily credit cap under concurrent submissions, against a stand-in
+// DailyCredits collection that applies each update atomically but answers
+// after a random delay.
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { stub } from './helpers.js';
+import DailyCredits from '../models/DailyCredits.js';
+import { allowedCredits, applyCaps } from '../services/creditRules.js';
+
+const userId = new mongoose.Types.ObjectId();
+const rules = { caps: { perReport: 40, perUserPerDay: 100 } };
+let rows;
+
+const pause = () => new Promise(resolve => setTimeout(resolve, Math.random() * 5));
+const keyOf = (filter) => `${filter.userId}:${filter.day}`;
+
+stub(DailyCredits, {
+  findOneAndUpdate: async (filter, update) => {
+    await pause();
+    const row = rows.get(keyOf(filter));
+    if (row && row.credits > filter.credits.$lte) {
+      // No match, so the upsert inserts - and hits the unique index
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    if (row) row.credits += update.$inc.credits;
+    else rows.set(keyOf(filter), { credits: update.$inc.credits });
+    await pause();
+    return null;
+  },
+  findOne: (filter) => ({
+    lean: async () => {
+      await pause();
+      return rows.get(keyOf(filter)) || null;
+    }
+  })
+});
+
+beforeEach(() => {
+  rows = new Map();
+});
+
+test('parallel submissions never take more than the daily cap between them', async () => {
+  const granted = await Promise.all(Array.from({ length: 10 }, () => allowedCredits(rules, userId, '2026-10-19', 30)));
+
+  assert.equal(granted.reduce((sum, amount) => sum + amount, 0), 100);
+  assert.deepEqual(granted.filter(amount => amount > 0).sort((a, b) => a - b), [10, 30, 30, 30]);
+});
+
+test('each day has its own cap', async () => {
+  for (let i = 0; i < 3; i += 1) await allowedCredits(rules, userId, '2026-10-19', 40);
+
+  assert.equal(await allowedCredits(rules, userId, '2026-10-19', 30), 0);
+  assert.equal(await allowedCredits(rules, userId, '2026-10-20', 30), 30);
+});
+
+test('the per-report cap applies before the daily one', async () => {
+  assert.equal(await allowedCredits(rules, userId, '2026-10-19', 55), 40);
+  assert.equal(rows.get(`${userId}:2026-10-19`).credits, 40);
+});
+
+test('without a daily cap nothing is reserved', async () => {
+  assert.equal(await allowedCredits({ caps: { perReport: null, perUserPerDay: null } }, userId, '2026-10-19', 500), 500);
+  assert.equal(rows.size, 0);
+});
+
+test('a capped award keeps the base credits before the streak bonus', () => {
+  assert.deepEqual(applyCaps({ earned: 20, streakBonus: 10 }, 25), { earned: 20, streakBonus: 5, capped: true });
+  assert.deepEqual(applyCaps({ earned: 20, streakBonus: 10 }, 30), { earned: 20, streakBonus: 10, capped: false });
+});
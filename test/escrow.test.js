@@ -0,0 +1,164 @@
+// Holding, reversing and restoring report credits, with the Report, Credit
+// and ledger calls stubbed so no MongoDB is needed.
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Report from '../models/Report.js';
+import Credit from '../models/Credit.js';
+import CreditTransaction from '../models/CreditTransaction.js';
+import User from '../models/User.js';
+import LeaderboardScore from '../models/LeaderboardScore.js';
+import { awardReportCredits, reverseReportCredits, restoreReportCredits } from '../services/escrow.js';
+import { postCredit } from '../services/ledger.js';
+
+const STUBBED = {
+  Report: [Report, ['updateOne', 'findOneAndUpdate', 'find', 'findById']],
+  Credit: [Credit, ['updateOne', 'findOne', 'findOneAndUpdate']],
+  CreditTransaction: [CreditTransaction, ['find', 'findOne', 'create', 'aggregate']],
+  User: [User, ['findById']],
+  LeaderboardScore: [LeaderboardScore, ['bulkWrite']]
+};
+const originals = Object.values(STUBBED).flatMap(([Model, names]) => names.map(name => [Model, name, Model[name]]));
+const report = { _id: new mongoose.Types.ObjectId(), userId: new mongoose.Types.ObjectId() };
+const awards = [
+  { idempotencyKey: 'report:1', type: 'earned', amount: 10, description: 'Report submitted' },
+  { idempotencyKey: 'report:1:streak', type: 'bonus', amount: 5, description: 'Streak bonus' }
+];
+
+afterEach(() => {
+  for (const [Model, name, original] of originals) Model[name] = original;
+});
+
+function stubWrites(escrowMatched) {
+  const pending = [];
+  Report.updateOne = async () => ({ matchedCount: escrowMatched ? 1 : 0, modifiedCount: escrowMatched ? 1 : 0 });
+  Credit.updateOne = async (filter, update) => {
+    pending.push(update.$inc.pendingCredits);
+  };
+  return pending;
+}
+
+test('holding credits adds them to pendingCredits', async () => {
+  const pending = stubWrites(true);
+
+  const result = await awardReportCredits(report, awards, { hold: true, reason: 'policy' });
+
+  assert.deepEqual(result, { posted: 0, held: 15 });
+  assert.deepEqual(pending, [15]);
+});
+
+test('a report already in escrow is not counted again', async () => {
+  const pending = stubWrites(false);
+
+  const result = await awardReportCredits(report, awards, { hold: true, reason: 'policy' });
+
+  assert.deepEqual(result, { posted: 0, held: 0 });
+  assert.deepEqual(pending, []);
+});
+
+// An in-memory ledger and account, answering just the queries the escrow
+// and ledger services make
+function stubLedger({ available, paid }) {
+  const account = { userId: report.userId, availableCredits: available, totalCredits: available, pendingCredits: 0, debts: [] };
+  const entries = paid.map(entry => ({ _id: new mongoose.Types.ObjectId(), createdAt: new Date(), ...entry }));
+  const forReport = (entry) => entry.reference?.id?.equals(report._id);
+  const chain = (value) => ({ select: () => chain(value), sort: () => chain(value), lean: () => chain(value), then: (resolve) => resolve(value) });
+  const inc = (delta) => {
+    for (const [field, amount] of Object.entries(delta)) {
+      if (field === 'debts.$.amount') continue;
+      account[field] += amount;
+    }
+  };
+
+  Report.findOneAndUpdate = () => chain(null);
+  Report.find = () => chain([]);
+  Report.findById = () => chain(null);
+  CreditTransaction.find = (filter) => chain(entries.filter(entry => forReport(entry) &&
+    (!filter.type || entry.type === filter.type) &&
+    (filter.amount.$gt === undefined || entry.amount > filter.amount.$gt) &&
+    (filter.amount.$lt === undefined || entry.amount < filter.amount.$lt)));
+  CreditTransaction.findOne = (filter) => chain(entries.find(entry => entry.idempotencyKey === filter.idempotencyKey) || null);
+  CreditTransaction.create = async (entry) => {
+    if (entries.some(existing => existing.idempotencyKey === entry.idempotencyKey)) throw Object.assign(new Error('dup'), { code: 11000 });
+    const saved = { _id: new mongoose.Types.ObjectId(), createdAt: new Date(), ...entry };
+    entries.push(saved);
+    return saved;
+  };
+  CreditTransaction.aggregate = async () => [{ _id: null, amount: entries.filter(forReport).reduce((sum, entry) => sum + entry.amount, 0) }];
+  Credit.findOne = (filter) => chain(filter['debts.0'] && !account.debts.length ? null : account);
+  Credit.findOneAndUpdate = async (filter, update) => {
+    if (account.availableCredits < filter.availableCredits.$gte) return null;
+    inc(update.$inc);
+    return account;
+  };
+  Credit.updateOne = async (filter, update) => {
+    if (filter.availableCredits && account.availableCredits < filter.availableCredits.$gte) return { modifiedCount: 0 };
+    if (update.$inc) {
+      inc(update.$inc);
+      if (update.$inc['debts.$.amount']) {
+        const debt = account.debts.find(debt => debt.reference.id.equals(filter.debts.$elemMatch['reference.id']));
+        debt.amount += update.$inc['debts.$.amount'];
+      }
+    }
+    if (update.$push) account.debts.push(update.$push.debts);
+    if (update.$pull?.debts.amount) account.debts = account.debts.filter(debt => debt.amount > 0);
+    if (update.$pull?.debts['reference.id']) account.debts = account.debts.filter(debt => !debt.reference.id.equals(update.$pull.debts['reference.id']));
+    return { modifiedCount: 1 };
+  };
+  User.findById = () => chain(null);
+  LeaderboardScore.bulkWrite = async () => ({});
+
+  return { account, entries };
+}
+
+const paidForReport = () => [
+  { userId: report.userId, type: 'earned', amount: 10, idempotencyKey: 'report:1', reference: { kind: 'Report', id: report._id } }
+];
+const reportNet = (entries) => entries.filter(entry => entry.reference?.id?.equals(report._id)).reduce((sum, entry) => sum + entry.amount, 0);
+
+test('rejecting a report whose credits were spent leaves the rest owed', async () => {
+  const { account, entries } = stubLedger({ available: 4, paid: paidForReport() });
+
+  const result = await reverseReportCredits(report);
+
+  assert.deepEqual(result, { forfeited: 0, reversed: 4, shortfall: 6 });
+  assert.equal(account.availableCredits, 0);
+  assert.deepEqual(account.debts.map(debt => debt.amount), [6]);
+  assert.equal(entries.at(-1).amount, -4);
+});
+
+test('the next credit pays off the debt first', async () => {
+  const { account, entries } = stubLedger({ available: 4, paid: paidForReport() });
+  await reverseReportCredits(report);
+
+  await postCredit({ userId: report.userId, amount: 10, type: 'bonus', idempotencyKey: 'streak:1' });
+
+  assert.equal(account.availableCredits, 4);
+  assert.deepEqual(account.debts, []);
+  assert.equal(reportNet(entries), 0);
+  assert.match(entries.at(-1).idempotencyKey, /^debt:/);
+});
+
+test('reopening a rejected report drops its debt and restores the reversals', async () => {
+  const { account, entries } = stubLedger({ available: 4, paid: paidForReport() });
+  await reverseReportCredits(report);
+
+  const result = await restoreReportCredits(report);
+
+  assert.deepEqual(result, { held: 0, restored: 4 });
+  assert.equal(account.availableCredits, 4);
+  assert.deepEqual(account.debts, []);
+  assert.equal(reportNet(entries), 10);
+});
+
+test('rejecting a reopened report again owes the same as the first time', async () => {
+  const { account } = stubLedger({ available: 4, paid: paidForReport() });
+  await reverseReportCredits(report);
+  await restoreReportCredits(report);
+
+  const result = await reverseReportCredits(report);
+
+  assert.equal(result.shortfall, 6);
+  assert.equal(account.availableCredits, 0);
+  assert.deepEqual(account.debts.map(debt => debt.amount), [6]);
+});
@@ -0,0 +1,136 @@
+// Clearing a fraud flag under each credit policy, and confirming one, with
+// the Report lookups and the credit writes stubbed.
+import { test, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { serveApp, stub, query } from './helpers.js';
+import Admin from '../models/Admin.js';
+import Report from '../models/Report.js';
+import Credit from '../models/Credit.js';
+import CreditTransaction from '../models/CreditTransaction.js';
+import { DEFAULT_PERMISSIONS, ROLES } from '../config/permissions.js';
+
+const api = serveApp();
+const officer = new Admin({
+  name: 'Officer',
+  email: 'officer@example.com',
+  password: 'x',
+  role: ROLES.MUNICIPALITY_OFFICER,
+  isActive: true,
+  permissions: DEFAULT_PERMISSIONS[ROLES.MUNICIPALITY_OFFICER]
+});
+let session;
+let report;
+let confirmation;
+let settled;
+let updates;
+let claims;
+let reversedFor;
+
+stub(Report, {
+  findById: (id) => query(report._id.equals(id) ? report : null),
+  findOneAndUpdate: (filter) => {
+    if (filter['fraud.review.status']) {
+      claims.push(filter);
+      return query(report);
+    }
+    // releaseEscrow or forfeitEscrow claiming the held credits
+    settled.push(filter._id);
+    return query(null);
+  },
+  find: () => query([confirmation]),
+  updateOne: async (filter, update) => {
+    updates.push({ filter, update });
+    return { matchedCount: 1, modifiedCount: 1 };
+  }
+});
+
+// Reversing paid credits: which reports' ledger entries were looked up
+stub(CreditTransaction, {
+  find: (filter) => {
+    reversedFor.push(filter['reference.id']);
+    return query([]);
+  },
+  aggregate: async () => []
+});
+stub(Credit, { updateOne: async () => ({ modifiedCount: 1 }) });
+
+beforeEach(() => {
+  report = new Report({
+    userId: new mongoose.Types.ObjectId(),
+    reportId: 1,
+    status: 'pending',
+    assignedZone: 'Zone 1 - Central',
+    fraud: { flagged: true, review: { status: 'pending' } },
+    escrow: { status: 'held', reason: 'fraud', credits: [{ idempotencyKey: 'report:1', type: 'earned', amount: 10 }] }
+  });
+  report.save = async () => report;
+  confirmation = new Report({ userId: new mongoose.Types.ObjectId(), reportId: 2, status: 'duplicate', duplicateOf: report._id });
+  settled = [];
+  updates = [];
+  claims = [];
+  reversedFor = [];
+});
+
+after(() => {
+  delete process.env.REPORT_CREDIT_POLICY;
+});
+
+const review = async (decision) => {
+  session ||= await api.asAdmin(officer);
+  return api.request('POST', `/api/admin/fraud/reports/${report._id}/review`, { body: { decision }, as: session });
+};
+const clear = async () => (await review('clear')).body;
+
+test('under the immediate policy clearing pays out the held credits', async () => {
+  process.env.REPORT_CREDIT_POLICY = 'immediate';
+
+  const data = await clear();
+
+  assert.equal(data.success, true, data.error);
+  assert.deepEqual(settled, [report._id]);
+});
+
+test('under on-verification clearing an unverified report keeps the credits held', async () => {
+  process.env.REPORT_CREDIT_POLICY = 'on-verification';
+
+  const data = await clear();
+
+  assert.equal(data.success, true, data.error);
+  assert.deepEqual(settled, []);
+  assert.equal(updates.length, 1);
+  assert.deepEqual(updates[0].filter, { _id: report._id, 'escrow.status': 'held' });
+  assert.deepEqual(updates[0].update, { $set: { 'escrow.reason': 'policy' } });
+});
+
+test('under on-verification clearing a verified report pays out', async () => {
+  process.env.REPORT_CREDIT_POLICY = 'on-verification';
+  report.verifiedAt = new Date();
+
+  const data = await clear();
+
+  assert.equal(data.success, true, data.error);
+  assert.deepEqual(settled, [report._id]);
+});
+
+test('confirming fraud rejects the report and reverses its confirmations\' credits too', async () => {
+  const { body } = await review('confirm');
+
+  assert.equal(body.success, true, body.error);
+  assert.equal(report.status, 'rejected');
+  // Claimed only while still rejectable, so a concurrent status change can't be overruled
+  assert.deepEqual(claims[0].status, { $in: ['pending', 'verified', 'in-progress'] });
+  assert.deepEqual(reversedFor, [report._id, confirmation._id]);
+});
+
+test('fraud on a report that can no longer be rejected is refused before anything is reversed', async () => {
+  report.status = 'resolved';
+
+  const { status, body } = await review('confirm');
+
+  assert.equal(status, 409);
+  assert.equal(body.success, false);
+  assert.deepEqual(claims, []);
+  assert.deepEqual(settled, []);
+  assert.deepEqual(reversedFor, []);
+});
@@ -0,0 +1,177 @@
+// Shared setup for tests that run routes without a database. A test stubs
+// the model statics its route calls; anything left unstubbed fails at once
+// instead of waiting for a connection. Stubs are put back after the file's
+// last test.
+import { before, after } from 'node:test';
+import mongoose from 'mongoose';
+import app from '../app.js';
+import Admin from '../models/Admin.js';
+import Worker from '../models/Worker.js';
+import User from '../models/User.js';
+import LeaderboardScore from '../models/LeaderboardScore.js';
+import { signAccessToken } from '../services/tokens.js';
+
+mongoose.set('bufferCommands', false);
+// The app's progress logs go to stdout, which the test runner reads its
+// results from; errors still reach stderr
+console.log = () => {};
+
+const originals = [];
+
+// Replace statics on a model, e.g. stub(Report, { findById: async () => report })
+export function stub(Model, statics) {
+  for (const [name, fn] of Object.entries(statics)) {
+    originals.push([Model, name, Model[name]]);
+    Model[name] = fn;
+  }
+}
+
+after(() => {
+  for (const [Model, name, original] of originals.reverse()) Model[name] = original;
+  originals.length = 0;
+});
+
+// Stands in for a mongoose query: chainable and awaitable
+export function query(value) {
+  const chain = {
+    exec: async () => value,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  for (const method of ['select', 'sort', 'limit', 'skip', 'populate', 'lean', 'session']) {
+    chain[method] = () => chain;
+  }
+  return chain;
+}
+
+// An in-memory LeaderboardScore that keeps the { userId, period, periodKey,
+// zone } index unique. Returns an object whose rows are the stored scores.
+export function memoryScores() {
+  const store = { rows: [] };
+  const boardKey = (row) => `${row.userId}:${row.period}:${row.periodKey}:${row.zone}`;
+  const matches = (row, filter) => Object.entries(filter).every(([field, value]) => {
+    if (field === '$nor') return !value.some(other => matches(row, other));
+    if (value?.$nin) return !value.$nin.some(id => id.equals(row[field]));
+    return value?.equals ? value.equals(row[field]) : row[field] === value;
+  });
+
+  const updateOne = async (filter, update, { upsert = false } = {}) => {
+    let row = store.rows.find(score => matches(score, filter));
+    if (!row && !upsert) return { matchedCount: 0, modifiedCount: 0 };
+    if (!row) {
+      row = { _id: new mongoose.Types.ObjectId(), ...filter, points: 0, ...update.$setOnInsert };
+      store.rows.push(row);
+    }
+    if (update.$set) {
+      const moved = { ...row, ...update.$set };
+      if (store.rows.some(score => score !== row && boardKey(score) === boardKey(moved))) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      }
+      Object.assign(row, update.$set);
+    }
+    if (update.$inc) row.points += update.$inc.points;
+    return { matchedCount: 1, modifiedCount: 1 };
+  };
+
+  stub(LeaderboardScore, {
+    find: (filter) => ({ lean: () => ({ cursor: () => store.rows.filter(row => matches(row, filter)).map(row => ({ ...row })) }) }),
+    updateOne,
+    bulkWrite: async (operations) => {
+      for (const { updateOne: { filter, update, upsert } } of operations) await updateOne(filter, update, { upsert });
+    },
+    deleteOne: async (filter) => {
+      store.rows = store.rows.filter(row => !matches(row, filter));
+    },
+    deleteMany: async (filter) => {
+      store.rows = store.rows.filter(row => !matches(row, filter));
+    },
+    countDocuments: async () => store.rows.length
+  });
+  return store;
+}
+
+// Accounts the auth middleware can find, by id
+const accounts = { admin: [], worker: [], user: [] };
+const findIn = (list) => (id) => query(list.find(account => account._id.equals(id)) || null);
+let accountsStubbed = false;
+
+function stubAccounts() {
+  if (accountsStubbed) return;
+  accountsStubbed = true;
+  stub(Admin, { findById: findIn(accounts.admin) });
+  stub(Worker, { findById: findIn(accounts.worker) });
+  stub(User, { findById: findIn(accounts.user) });
+}
+
+// Serve the app on a free port for this file's tests. Returns an object
+// whose request() resolves to { status, body }.
+export function serveApp() {
+  let listener;
+  let listening;
+  // Other before() hooks of the file may not wait for this one
+  const started = new Promise(resolve => { listening = resolve; });
+  const api = {
+    url: null,
+
+    async request(method, path, { body, as } = {}) {
+      await started;
+      const headers = { ...as?.headers };
+      let payload = body;
+      if (body !== undefined && !(body instanceof FormData)) {
+        headers['Content-Type'] = 'application/json';
+        payload = JSON.stringify(body);
+      }
+      const response = await fetch(`${api.url}${path}`, { method, headers, body: payload, redirect: 'manual' });
+      const text = await response.text();
+      let json = null;
+      try {
+        json = text ? JSON.parse(text) : null;
+      } catch {
+        json = null;
+      }
+      return { status: response.status, body: json, headers: response.headers };
+    },
+
+    // Signed-in admin: logs in through /api/admin/login, returns the session
+    async asAdmin(admin) {
+      stubAccounts();
+      accounts.admin.push(admin);
+      admin.comparePassword = async () => true;
+      const findOne = Admin.findOne;
+      Admin.findOne = async () => admin;
+      try {
+        const login = await api.request('POST', '/api/admin/login', { body: { email: admin.email, password: 'x' } });
+        if (!login.body?.success) throw new Error(`Admin login failed: ${login.body?.error}`);
+        return { headers: { Cookie: login.headers.get('set-cookie').split(';')[0] } };
+      } finally {
+        Admin.findOne = findOne;
+      }
+    },
+
+    // Worker app: a bearer access token
+    asWorker(worker) {
+      stubAccounts();
+      accounts.worker.push(worker);
+      const token = signAccessToken({ workerId: worker._id, kind: 'worker', ver: worker.tokenVersion });
+      return { headers: { Authorization: `Bearer ${token}` } };
+    },
+
+    // Citizen app: a bearer access token
+    asUser(user) {
+      stubAccounts();
+      accounts.user.push(user);
+      const token = signAccessToken({ userId: user._id, email: user.email, kind: 'user', ver: user.tokenVersion });
+      return { headers: { Authorization: `Bearer ${token}` } };
+    }
+  };
+
+  before(async () => {
+    listener = app.listen(0);
+    await new Promise(resolve => listener.once('listening', resolve));
+    api.url = `http://127.0.0.1:${listener.address().port}`;
+    listening();
+  });
+
+  after(() => new Promise(resolve => listener.close(resolve)));
+
+  return api;
+}
@@ -0,0 +1,73 @@
+// Rebuilding the leaderboard rollup from the ledger, with the ledger and
+// report lookups stubbed and the rollup kept in memory.
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { stub, query, memoryScores } from './helpers.js';
+import CreditTransaction from '../models/CreditTransaction.js';
+import Report from '../models/Report.js';
+import User from '../models/User.js';
+import { rebuildLeaderboards } from '../services/maintenance.js';
+
+const board = memoryScores();
+const alice = new mongoose.Types.ObjectId();
+const bob = new mongoose.Types.ObjectId();
+const report = new mongoose.Types.ObjectId();
+let ledger;
+
+const entry = (userId, type, amount, reference) => ({
+  _id: new mongoose.Types.ObjectId(), userId, type, amount, createdAt: new Date(), idempotencyKey: `${type}:${amount}`, reference
+});
+
+stub(CreditTransaction, {
+  distinct: async () => [...new Map(ledger.map(row => [row.userId.toString(), row.userId])).values()],
+  find: (filter) => query(ledger.filter(row => row.userId.equals(filter.userId)))
+});
+stub(Report, { findById: () => query({ assignedZone: 'Zone 1 - Central' }) });
+stub(User, { findById: () => query(null) });
+
+beforeEach(() => {
+  ledger = [
+    entry(alice, 'earned', 10, { kind: 'Report', id: report }),
+    entry(alice, 'bonus', 5),
+    entry(bob, 'earned', 7)
+  ];
+  board.rows = [];
+});
+
+const totals = () => board.rows
+  .map(row => `${alice.equals(row.userId) ? 'alice' : bob.equals(row.userId) ? 'bob' : 'other'} ${row.period} ${row.zone} ${row.points}`)
+  .sort();
+
+const EXPECTED = [
+  'alice all Zone 1 - Central 10', 'alice all all 15',
+  'alice month Zone 1 - Central 10', 'alice month all 15',
+  'alice week Zone 1 - Central 10', 'alice week all 15',
+  'bob all all 7', 'bob month all 7', 'bob week all 7'
+];
+
+test('rebuilding sets each score from the ledger', async () => {
+  const result = await rebuildLeaderboards();
+
+  assert.equal(result.entries, 3);
+  assert.equal(result.scores, 9);
+  assert.deepEqual(totals(), EXPECTED);
+});
+
+test('rebuilding twice leaves the same totals', async () => {
+  await rebuildLeaderboards();
+  await rebuildLeaderboards();
+
+  assert.deepEqual(totals(), EXPECTED);
+});
+
+test('rebuilding corrects drifted scores and drops ones the ledger doesn\'t support', async () => {
+  await rebuildLeaderboards();
+  board.rows.find(row => bob.equals(row.userId)).points = 70;
+  board.rows.push({ _id: new mongoose.Types.ObjectId(), userId: bob, period: 'week', periodKey: '2020-01-06', zone: 'all', points: 3 });
+  board.rows.push({ _id: new mongoose.Types.ObjectId(), userId: new mongoose.Types.ObjectId(), period: 'all', periodKey: 'all', zone: 'all', points: 9 });
+
+  await rebuildLeaderboards();
+
+  assert.deepEqual(totals(), EXPECTED);
+});
@@ -0,0 +1,95 @@
+// OTP requests for registered and unregistered numbers must look the same,
+// with OtpCode kept in memory and the account lookup stubbed.
+import { test, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { stub, query } from './helpers.js';
+import OtpCode from '../models/OtpCode.js';
+import User from '../models/User.js';
+import { requestOtp, verifyOtp } from '../services/otp.js';
+import { registerSmsProvider } from '../services/sms.js';
+
+const REGISTERED = '9876543210';
+const UNREGISTERED = '9876543211';
+let codes;
+let sent;
+
+const matches = (row, filter) => Object.entries(filter).every(([field, value]) => {
+  if (value?.$gt) return row[field] > value.$gt;
+  return row[field] === value;
+});
+const newest = (filter) => codes.filter(row => matches(row, filter)).sort((a, b) => b.createdAt - a.createdAt)[0] || null;
+
+stub(OtpCode, {
+  findOne: (filter) => ({ sort: () => query(newest(filter)) }),
+  countDocuments: async (filter) => codes.filter(row => matches(row, filter)).length,
+  create: async (fields) => {
+    const row = { _id: new mongoose.Types.ObjectId(), attempts: 0, consumedAt: null, createdAt: new Date(), ...fields };
+    codes.push(row);
+    return row;
+  },
+  findOneAndUpdate: async (filter, update) => {
+    const row = codes.find(code => code._id.equals(filter._id));
+    row.attempts += update.$inc?.attempts || 0;
+    return row;
+  }
+});
+stub(User, { findOne: async ({ mobile }) => (mobile.endsWith(REGISTERED) ? new User({ name: 'Citizen', mobile }) : null) });
+registerSmsProvider('test', async (message) => sent.push(message));
+
+beforeEach(() => {
+  codes = [];
+  sent = [];
+  process.env.SMS_PROVIDER = 'test';
+});
+
+after(() => {
+  delete process.env.SMS_PROVIDER;
+});
+
+const requestTwice = async (mobile) => [await requestOtp('User', mobile), await requestOtp('User', mobile)];
+
+test('a second request within the cooldown is refused whether or not the number has an account', async () => {
+  const registered = await requestTwice(REGISTERED);
+  const unregistered = await requestTwice(UNREGISTERED);
+
+  assert.equal(registered[0].ok, true);
+  assert.equal(registered[1].status, 429);
+  assert.deepEqual(unregistered, registered);
+});
+
+test('only a registered number is sent the code', async () => {
+  await requestOtp('User', REGISTERED);
+  await requestOtp('User', UNREGISTERED);
+
+  assert.equal(sent.length, 1);
+  assert.match(sent[0].to, new RegExp(`${REGISTERED}$`));
+});
+
+test('the hourly cap applies to unregistered numbers too', async () => {
+  // One request a minute, each just past the cooldown
+  const answers = async (mobile) => {
+    const results = [];
+    for (let i = 0; i < 6; i += 1) {
+      results.push((await requestOtp('User', mobile)).status || 200);
+      for (const row of codes) row.createdAt = new Date(row.createdAt - 61 * 1000);
+    }
+    return results;
+  };
+
+  const registered = await answers(REGISTERED);
+
+  assert.deepEqual(registered, [200, 200, 200, 200, 200, 429]);
+  assert.deepEqual(await answers(UNREGISTERED), registered);
+});
+
+test('a wrong code gets the same answer whether or not the number has an account', async () => {
+  await requestOtp('User', REGISTERED);
+  await requestOtp('User', UNREGISTERED);
+
+  const registered = await verifyOtp('User', REGISTERED, 'not-a-code');
+  const unregistered = await verifyOtp('User', UNREGISTERED, 'not-a-code');
+
+  assert.equal(registered.status, 400);
+  assert.deepEqual(unregistered, registered);
+});
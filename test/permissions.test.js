@@ -0,0 +1,125 @@
+// can() and withinScope() for every role against every action in POLICY.
+// EXPECTED is written out by hand so a change to POLICY has to be matched
+// here on purpose.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import {
+  ACTIONS, DEFAULT_PERMISSIONS, LEGACY_ROLES, ROLES, can, normalizeRole, withinScope, zoneScope
+} from '../config/permissions.js';
+
+const S = ROLES.SUPER_ADMIN;
+const M = ROLES.MUNICIPALITY_OFFICER;
+const Z = ROLES.ZONE_OFFICER;
+const W = ROLES.WORKER;
+
+// action -> roles that may do it, with each role's default permissions
+const EXPECTED = {
+  'view-dashboard': [S, M, Z],
+  'view-reports': [S, M, Z],
+  'update-report-status': [S, M, Z],
+  'review-cleanup': [S, M, Z],
+  'merge-reports': [S, M, Z],
+  'review-fraud': [S, M, Z],
+  'assign-work': [S, M, Z],
+  'view-workers': [S, M, Z],
+  'approve-worker': [S, M, Z],
+  'manage-officers': [S],
+  'manage-redemptions': [S, M],
+  'unlock-accounts': [S, M],
+  'view-system': [S],
+  'manage-zones': [S],
+  'manage-rewards': [S],
+  'manage-credit-rules': [S],
+  'manage-campaigns': [S],
+  'manage-achievements': [S],
+  'run-maintenance': [S],
+  'worker:view-assignments': [W],
+  'worker:accept-report': [W],
+  'worker:complete-report': [W]
+};
+
+// Flag each action needs on top of the role, for officers
+const NEEDS_PERMISSION = {
+  'view-reports': 'canViewReports',
+  'update-report-status': 'canViewReports',
+  'review-cleanup': 'canViewReports',
+  'merge-reports': 'canViewReports',
+  'review-fraud': 'canViewReports',
+  'assign-work': 'canAssignWork',
+  'approve-worker': 'canApproveWorkers',
+  'manage-officers': 'canManageOfficers'
+};
+
+const actors = {
+  [S]: { role: S, isActive: true, permissions: DEFAULT_PERMISSIONS[S] },
+  [M]: { role: M, isActive: true, permissions: DEFAULT_PERMISSIONS[M] },
+  [Z]: { role: Z, isActive: true, permissions: DEFAULT_PERMISSIONS[Z], assignedZones: ['Zone 1 - Central'] },
+  [W]: { status: 'approved' }
+};
+
+test('EXPECTED covers every action in POLICY', () => {
+  assert.deepEqual(Object.keys(EXPECTED).sort(), [...ACTIONS].sort());
+});
+
+test('every action a route authorizes exists in POLICY', () => {
+  const source = fs.readFileSync(new URL('../app.js', import.meta.url), 'utf8');
+  const used = new Set([...source.matchAll(/authorize\('([^']+)'/g)].map(match => match[1]));
+  assert.ok(used.size > 0);
+  for (const action of used) assert.ok(ACTIONS.includes(action), `route uses unknown action ${action}`);
+});
+
+for (const action of ACTIONS) {
+  for (const role of [S, M, Z, W]) {
+    const allowed = EXPECTED[action].includes(role);
+
+    test(`${role} ${allowed ? 'may' : 'may not'} ${action}`, () => {
+      assert.equal(can(actors[role], action), allowed);
+    });
+  }
+
+  test(`nobody disabled may ${action}`, () => {
+    for (const role of [S, M, Z]) assert.equal(can({ ...actors[role], isActive: false }, action), false);
+    for (const status of ['pending', 'rejected', 'suspended']) assert.equal(can({ status }, action), false);
+    assert.equal(can(null, action), false);
+  });
+
+  if (NEEDS_PERMISSION[action]) {
+    test(`${action} needs ${NEEDS_PERMISSION[action]} for officers`, () => {
+      for (const role of [M, Z]) {
+        const actor = { ...actors[role], permissions: { ...actors[role].permissions, [NEEDS_PERMISSION[action]]: false } };
+        assert.equal(can(actor, action), false);
+      }
+      // Super admins don't depend on flags
+      assert.equal(can({ role: S, isActive: true, permissions: {} }, action), true);
+    });
+  }
+}
+
+test('unknown actions are refused', () => {
+  for (const role of [S, M, Z, W]) assert.equal(can(actors[role], 'delete-everything'), false);
+});
+
+test('legacy role spellings get their role\'s permissions', () => {
+  for (const legacy of LEGACY_ROLES) {
+    const role = normalizeRole(legacy);
+    const actor = { ...actors[role], role: legacy.toUpperCase() };
+    for (const action of ACTIONS) assert.equal(can(actor, action), EXPECTED[action].includes(role), `${legacy} / ${action}`);
+  }
+});
+
+const SCOPE_CASES = [
+  { name: 'super admin sees every zone', actor: actors[S], scope: null, zones: { 'Zone 1 - Central': true, 'Zone 2 - North': true } },
+  { name: 'municipality officer sees every zone', actor: actors[M], scope: null, zones: { 'Zone 1 - Central': true, 'Zone 2 - North': true } },
+  { name: 'zone officer sees only assigned zones', actor: actors[Z], scope: ['Zone 1 - Central'], zones: { 'Zone 1 - Central': true, 'Zone 2 - North': false } },
+  { name: 'zone officer without zones sees none', actor: { ...actors[Z], assignedZones: [] }, scope: [], zones: { 'Zone 1 - Central': false } },
+  { name: 'zone officer with no assignedZones field sees none', actor: { role: Z, isActive: true }, scope: [], zones: { 'Zone 1 - Central': false } },
+  { name: 'legacy zone officer spelling is scoped', actor: { ...actors[Z], role: 'zone-officer' }, scope: ['Zone 1 - Central'], zones: { 'Zone 2 - North': false } }
+];
+
+for (const { name, actor, scope, zones } of SCOPE_CASES) {
+  test(`withinScope: ${name}`, () => {
+    assert.deepEqual(zoneScope(actor), scope);
+    for (const [zone, inside] of Object.entries(zones)) assert.equal(withinScope(actor, zone), inside, zone);
+  });
+}
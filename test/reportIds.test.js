@@ -0,0 +1,108 @@
+// Report ids under concurrent submissions. The first tests run against a
+// stand-in Counter collection that applies each update atomically but
+// answers after a random delay, so parallel calls interleave the way they
+// do on a real server. The rest need a real MongoDB and run only when
+// MONGODB_TEST_URI points at a scratch database.
+import { test, before, after, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Counter from '../models/Counter.js';
+import Report from '../models/Report.js';
+
+describe('against a stand-in Counter collection', () => {
+  const PARALLEL = 200;
+  const sequences = new Map();
+  // Each write is applied in one step when it reaches the "server"; the
+  // caller hears back later, after other calls have been applied
+  const later = (value) => new Promise(resolve => setTimeout(() => resolve(value), Math.random() * 5));
+  const arrive = () => new Promise(resolve => setTimeout(resolve, Math.random() * 5));
+  const server = {
+    findOneAndUpdate: async ({ _id }, update) => {
+      await arrive();
+      sequences.set(_id, (sequences.get(_id) || 0) + update.$inc.seq);
+      return later({ _id, seq: sequences.get(_id) });
+    },
+    updateOne: async ({ _id }, update) => {
+      await arrive();
+      sequences.set(_id, Math.max(sequences.get(_id) || 0, update.$max.seq));
+      return later({ acknowledged: true });
+    },
+    findById: async (_id) => {
+      await arrive();
+      return later(sequences.has(_id) ? { _id, seq: sequences.get(_id) } : null);
+    }
+  };
+
+  const originals = Object.keys(server).map(name => [name, Counter[name]]);
+  before(() => Object.assign(Counter, server));
+  after(() => Object.assign(Counter, Object.fromEntries(originals)));
+
+  test('the stand-in interleaves enough that read-then-write would collide', async () => {
+    const unsafeNext = async (name) => {
+      const seq = ((await server.findById(name))?.seq || 0) + 1;
+      await server.updateOne({ _id: name }, { $max: { seq } });
+      return seq;
+    };
+    const values = await Promise.all(Array.from({ length: PARALLEL }, () => unsafeNext('unsafe')));
+
+    assert.ok(new Set(values).size < PARALLEL);
+  });
+
+  test('parallel Counter.next calls never hand out the same value', async () => {
+    const values = await Promise.all(Array.from({ length: PARALLEL }, () => Counter.next('fake')));
+
+    assert.deepEqual([...values].sort((a, b) => a - b), Array.from({ length: PARALLEL }, (_, i) => i + 1));
+  });
+
+  test('parallel Report.allocateIds above a synced floor gives unique ids and codes', async () => {
+    await Counter.ensureAtLeast('reportId', 1000);
+
+    const allocated = await Promise.all(Array.from({ length: PARALLEL }, () => Report.allocateIds('Zone 1 - Central')));
+
+    assert.equal(new Set(allocated.map(a => a.reportId)).size, PARALLEL);
+    assert.equal(new Set(allocated.map(a => a.reportCode)).size, PARALLEL);
+    assert.ok(allocated.every(a => a.reportId > 1000));
+  });
+});
+
+const uri = process.env.MONGODB_TEST_URI;
+const skip = uri ? false : 'set MONGODB_TEST_URI to run';
+const PARALLEL = 200;
+const sequence = `test:${Date.now()}`;
+
+before(async () => {
+  if (uri) await mongoose.connect(uri);
+});
+
+after(async () => {
+  if (!uri) return;
+  await Counter.deleteMany({ _id: { $regex: `^${sequence}` } });
+  await mongoose.disconnect();
+});
+
+test('parallel Counter.next calls never hand out the same value', { skip }, async () => {
+  const values = await Promise.all(Array.from({ length: PARALLEL }, () => Counter.next(sequence)));
+
+  assert.equal(new Set(values).size, PARALLEL);
+  assert.deepEqual([...values].sort((a, b) => a - b), Array.from({ length: PARALLEL }, (_, i) => i + 1));
+});
+
+test('Counter.next continues above ensureAtLeast', { skip }, async () => {
+  const name = `${sequence}:floor`;
+  await Counter.ensureAtLeast(name, 1000);
+  const values = await Promise.all(Array.from({ length: 20 }, () => Counter.next(name)));
+
+  assert.equal(new Set(values).size, 20);
+  assert.ok(values.every(value => value > 1000));
+});
+
+test('parallel Report.allocateIds gives unique report ids and codes', { skip }, async () => {
+  const zone = `Zone 9 - ${sequence}`;
+  const before = (await Counter.findById('reportId').lean())?.seq || 0;
+
+  const allocated = await Promise.all(Array.from({ length: PARALLEL }, () => Report.allocateIds(zone)));
+
+  assert.equal(new Set(allocated.map(a => a.reportId)).size, PARALLEL);
+  assert.equal(new Set(allocated.map(a => a.reportCode)).size, PARALLEL);
+  assert.ok(allocated.every(a => a.reportId > before));
+});
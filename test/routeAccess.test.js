@@ -0,0 +1,140 @@
+// Every guarded route, requested as every kind of caller. ROUTES is written
+// out by hand: each route's guard, action and who gets through. Route
+// handlers are swapped for a stub answering 200, so only the guards run.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import mongoose from 'mongoose';
+import { serveApp } from './helpers.js';
+import app from '../app.js';
+import Admin from '../models/Admin.js';
+import Worker from '../models/Worker.js';
+import User from '../models/User.js';
+import { DEFAULT_PERMISSIONS, ROLES } from '../config/permissions.js';
+
+const S = ROLES.SUPER_ADMIN;
+const M = ROLES.MUNICIPALITY_OFFICER;
+const Z = ROLES.ZONE_OFFICER;
+const W = 'approved worker';
+const OFFICERS = [S, M, Z];
+
+// [method, path, guard, action, callers let through]
+const ROUTES = [
+  ['GET', '/api/super-admin/me', 'authorize', 'view-system', [S]],
+  ['GET', '/api/super-admin/stats', 'authorize', 'view-system', [S]],
+  ['GET', '/api/super-admin/reports', 'authorize', 'view-system', [S]],
+  ['GET', '/api/admin/me', 'authorize', 'view-dashboard', OFFICERS],
+  ['GET', '/api/admin/reports', 'authorize', 'view-reports', OFFICERS],
+  ['POST', '/api/admin/reports/:id/status', 'authorize', 'update-report-status', OFFICERS],
+  ['GET', '/api/admin/reports/:id/history', 'authorize', 'view-reports', OFFICERS],
+  ['POST', '/api/admin/reports/:id/review', 'authorize', 'review-cleanup', OFFICERS],
+  ['GET', '/api/admin/reports/:id/nearby', 'authorize', 'view-reports', OFFICERS],
+  ['POST', '/api/admin/reports/:id/merge', 'authorize', 'merge-reports', OFFICERS],
+  ['GET', '/api/admin/stats', 'authorize', 'view-dashboard', OFFICERS],
+  ['POST', '/api/admin/reports/:id/assign', 'authorize', 'assign-work', OFFICERS],
+  ['GET', '/api/admin/fraud/queue', 'authorize', 'review-fraud', OFFICERS],
+  ['POST', '/api/admin/fraud/reports/:id/review', 'authorize', 'review-fraud', OFFICERS],
+  ['POST', '/api/super-admin/create-officer', 'authorize', 'manage-officers', [S]],
+  ['GET', '/api/super-admin/officers', 'authorize', 'manage-officers', [S]],
+  ['DELETE', '/api/super-admin/officers/:id', 'authorize', 'manage-officers', [S]],
+  ['GET', '/api/admin/locked-accounts', 'authorize', 'unlock-accounts', [S, M]],
+  ['POST', '/api/admin/locked-accounts/:kind/:id/unlock', 'authorize', 'unlock-accounts', [S, M]],
+  ['GET', '/api/super-admin/zones', 'authorize', 'manage-zones', [S]],
+  ['POST', '/api/super-admin/zones', 'authorize', 'manage-zones', [S]],
+  ['PUT', '/api/super-admin/zones/:id', 'authorize', 'manage-zones', [S]],
+  ['POST', '/api/super-admin/zones/:id/merge', 'authorize', 'manage-zones', [S]],
+  ['POST', '/api/super-admin/zones/:id/split', 'authorize', 'manage-zones', [S]],
+  ['DELETE', '/api/super-admin/zones/:id', 'authorize', 'manage-zones', [S]],
+  ['GET', '/api/super-admin/rewards', 'authorize', 'manage-rewards', [S]],
+  ['POST', '/api/super-admin/rewards', 'authorize', 'manage-rewards', [S]],
+  ['PUT', '/api/super-admin/rewards/:id', 'authorize', 'manage-rewards', [S]],
+  ['DELETE', '/api/super-admin/rewards/:id', 'authorize', 'manage-rewards', [S]],
+  ['GET', '/api/super-admin/redemptions', 'authorize', 'manage-redemptions', [S, M]],
+  ['POST', '/api/super-admin/rewards/:id/codes', 'authorize', 'manage-rewards', [S]],
+  ['GET', '/api/super-admin/rewards/:id/codes', 'authorize', 'manage-rewards', [S]],
+  ['GET', '/api/super-admin/voucher-alerts', 'authorize', 'manage-rewards', [S]],
+  ['POST', '/api/super-admin/voucher-codes/:id/void', 'authorize', 'manage-rewards', [S]],
+  ['POST', '/api/super-admin/redemptions/:id/reissue', 'authorize', 'manage-redemptions', [S, M]],
+  ['POST', '/api/super-admin/redemptions/:id/status', 'authorize', 'manage-redemptions', [S, M]],
+  ['GET', '/api/super-admin/credit-rules', 'authorize', 'manage-credit-rules', [S]],
+  ['GET', '/api/super-admin/credit-rules/:version', 'authorize', 'manage-credit-rules', [S]],
+  ['POST', '/api/super-admin/credit-rules', 'authorize', 'manage-credit-rules', [S]],
+  ['GET', '/api/super-admin/campaigns', 'authorize', 'manage-campaigns', [S]],
+  ['POST', '/api/super-admin/campaigns', 'authorize', 'manage-campaigns', [S]],
+  ['PUT', '/api/super-admin/campaigns/:id', 'authorize', 'manage-campaigns', [S]],
+  ['DELETE', '/api/super-admin/campaigns/:id', 'authorize', 'manage-campaigns', [S]],
+  ['GET', '/api/super-admin/achievements', 'authorize', 'manage-achievements', [S]],
+  ['POST', '/api/super-admin/achievements', 'authorize', 'manage-achievements', [S]],
+  ['PUT', '/api/super-admin/achievements/:id', 'authorize', 'manage-achievements', [S]],
+  ['POST', '/api/super-admin/achievements/:id/backfill', 'authorize', 'manage-achievements', [S]],
+  ['POST', '/api/worker/logout-all', 'requireWorker', null, [W]],
+  ['GET', '/api/worker/check-auth', 'requireWorker', null, [W]],
+  ['GET', '/api/admin/worker-applications', 'authorize', 'view-workers', OFFICERS],
+  ['POST', '/api/admin/worker-applications/:id/approve', 'authorize', 'approve-worker', OFFICERS],
+  ['POST', '/api/admin/worker-applications/:id/reject', 'authorize', 'approve-worker', OFFICERS],
+  ['GET', '/api/admin/workers', 'authorize', 'view-workers', OFFICERS],
+  ['GET', '/api/worker/reports', 'requireWorker', 'worker:view-assignments', [W]],
+  ['POST', '/api/worker/reports/:id/accept', 'requireWorker', 'worker:accept-report', [W]],
+  ['POST', '/api/worker/reports/:id/complete', 'requireWorker', 'worker:complete-report', [W]],
+  ['POST', '/api/super-admin/maintenance/:task', 'authorize', 'run-maintenance', [S]]
+];
+
+const api = serveApp();
+const officer = (role, extra = {}) => new Admin({
+  name: role, email: `${role}@example.com`, password: 'x', role, isActive: true, permissions: DEFAULT_PERMISSIONS[role], ...extra
+});
+const worker = (status) => new Worker({ name: 'Worker', email: `${status}@example.com`, password: 'x', mobile: '9876543210', status });
+
+// Caller -> request options, filled in once the server is up
+const callers = {};
+const answered = new Map();
+
+before(async () => {
+  process.env.ENABLE_MAINTENANCE_ROUTES = 'true';
+  callers[S] = await api.asAdmin(officer(S));
+  callers[M] = await api.asAdmin(officer(M));
+  callers[Z] = await api.asAdmin(officer(Z, { assignedZones: ['Zone 1 - Central'] }));
+  callers[W] = api.asWorker(worker('approved'));
+  callers['pending worker'] = api.asWorker(worker('pending'));
+  callers.citizen = api.asUser(new User({ name: 'Citizen', email: 'citizen@example.com', password: 'x' }));
+  callers.anonymous = {};
+
+  // Each route's handler - always the last function on the route - answers
+  // 200 instead of running
+  for (const layer of app._router.stack) {
+    const handlers = layer.route?.stack;
+    if (!handlers) continue;
+    const last = handlers[handlers.length - 1];
+    answered.set(last, last.handle);
+    last.handle = (req, res) => res.json({ success: true, reached: true });
+  }
+});
+
+after(() => {
+  delete process.env.ENABLE_MAINTENANCE_ROUTES;
+  for (const [layer, handle] of answered) layer.handle = handle;
+});
+
+test('ROUTES matches every guarded route in app.js', () => {
+  const source = fs.readFileSync(new URL('../app.js', import.meta.url), 'utf8');
+  const guarded = [...source.matchAll(/^app\.(get|post|put|delete|patch)\('([^']+)',(?: \w+,)? (authorize|requireWorker)\((?:'([^']+)')?\)/gm)]
+    .map(([, method, path, guard, action]) => [method.toUpperCase(), path, guard, action || null]);
+
+  assert.deepEqual(ROUTES.map(([method, path, guard, action]) => [method, path, guard, action]), guarded);
+});
+
+const PARAMS = { id: new mongoose.Types.ObjectId().toString(), kind: 'user', version: '1', task: 'fix-zones' };
+const urlOf = (path) => path.replace(/:(\w+)/g, (_, name) => PARAMS[name]);
+
+for (const [method, path, guard, action, allowed] of ROUTES) {
+  test(`${method} ${path}`, async () => {
+    for (const caller of [S, M, Z, W, 'pending worker', 'citizen', 'anonymous']) {
+      const { status } = await api.request(method, urlOf(path), { as: callers[caller] });
+
+      // Callers of the other kind aren't signed in as far as the guard is concerned
+      const sameKind = guard === 'authorize' ? OFFICERS.includes(caller) : caller.endsWith('worker');
+      const expected = allowed.includes(caller) ? 200 : sameKind ? 403 : 401;
+      assert.equal(status, expected, `${caller}${action ? ` (${action})` : ''}`);
+    }
+  });
+}
@@ -0,0 +1,39 @@
+// Submitting a report without a credit account, with the Credit and Report
+// calls stubbed.
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { serveApp, stub } from './helpers.js';
+import User from '../models/User.js';
+import Credit from '../models/Credit.js';
+import Report from '../models/Report.js';
+
+const api = serveApp();
+const citizen = new User({ name: 'Citizen', email: 'citizen@example.com', password: 'x' });
+let reportWrites;
+
+stub(Credit, { exists: async () => null });
+stub(Report, {
+  allocateIds: async (zone) => {
+    reportWrites.push(['allocateIds', zone]);
+    return { reportId: 100001, reportCode: 'Z1-0001' };
+  },
+  updateOne: async (filter, update) => {
+    reportWrites.push(['updateOne', filter, update]);
+    return { matchedCount: 1, modifiedCount: 1 };
+  }
+});
+
+beforeEach(() => {
+  reportWrites = [];
+});
+
+test('a citizen without a credit account is refused before the report is saved', async () => {
+  const { body } = await api.request('POST', '/api/report', {
+    body: { description: 'Garbage dumped next to the park gate' },
+    as: api.asUser(citizen)
+  });
+
+  assert.equal(body.success, false);
+  assert.equal(body.error, 'Credit account not found');
+  assert.deepEqual(reportWrites, []);
+});
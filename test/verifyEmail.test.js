@@ -0,0 +1,52 @@
+// Welcome bonus on email verification, with the User, CreditRuleSet and
+// CreditTransaction lookups stubbed.
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { serveApp, stub, query } from './helpers.js';
+import User from '../models/User.js';
+import CreditRuleSet from '../models/CreditRuleSet.js';
+import CreditTransaction from '../models/CreditTransaction.js';
+import { signActionToken } from '../services/tokens.js';
+
+const api = serveApp();
+let user;
+let posted;
+
+stub(User, {
+  findById: async (id) => (user._id.equals(id) ? user : null),
+  findOneAndUpdate: async () => user
+});
+stub(CreditRuleSet, { findOne: () => query(null) });
+stub(CreditTransaction, {
+  create: async (entry) => {
+    posted.push(entry);
+    throw new Error('stop after the ledger write');
+  }
+});
+
+beforeEach(() => {
+  user = new User({ name: 'Citizen', email: 'citizen@example.com', password: 'x', emailVerified: false });
+  posted = [];
+});
+
+const verify = () => api.request('POST', '/api/verify-email', {
+  body: { token: signActionToken('verify-email', { userId: user._id, email: user.email }, '1h') }
+});
+
+test('an account paid a welcome bonus at signup is not paid again', async () => {
+  user.signupBonusPaid = true;
+
+  const { body } = await verify();
+
+  assert.equal(body.success, true, body.error);
+  assert.equal(body.bonus, 0);
+  assert.deepEqual(posted, []);
+});
+
+test('an account without a signup bonus is paid the welcome bonus', async () => {
+  await verify();
+
+  assert.equal(posted.length, 1);
+  assert.equal(posted[0].idempotencyKey, `signup-bonus:${user._id}`);
+  assert.equal(posted[0].type, 'bonus');
+});
@@ -0,0 +1,81 @@
+// Worker completes a geotagged report, with the Report lookup stubbed.
+import { test, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import mongoose from 'mongoose';
+import { serveApp, stub } from './helpers.js';
+import Worker from '../models/Worker.js';
+import Report from '../models/Report.js';
+
+const api = serveApp();
+const worker = new Worker({ name: 'Test Worker', status: 'approved', tokenVersion: 0 });
+let report;
+
+stub(Report, { findById: async (id) => (report._id.equals(id) ? report : null) });
+
+const uploadsDir = path.join(process.cwd(), 'uploads');
+const uploadsBefore = new Set(fs.readdirSync(uploadsDir));
+const newUploads = () => fs.readdirSync(uploadsDir).filter(file => !uploadsBefore.has(file));
+
+beforeEach(() => {
+  report = new Report({
+    userId: new mongoose.Types.ObjectId(),
+    reportId: 1,
+    status: 'in-progress',
+    assignedTo: worker._id,
+    location: { type: 'Point', coordinates: [81.9617, 27.1303] }
+  });
+  report.save = async function() { return this; };
+});
+
+after(() => {
+  for (const file of newUploads()) fs.rmSync(path.join(uploadsDir, file), { force: true });
+});
+
+function proof({ lat, lng, extra } = {}) {
+  const form = new FormData();
+  form.append('photos', new Blob([Buffer.from('after photo')], { type: 'image/jpeg' }), 'after.jpg');
+  if (extra) form.append('photos', extra.blob, extra.name);
+  if (lat !== undefined) form.append('lat', lat);
+  if (lng !== undefined) form.append('lng', lng);
+  form.append('notes', 'Cleared');
+  return form;
+}
+
+const complete = (body) => api.request('POST', `/api/worker/reports/${report._id}/complete`, { body, as: api.asWorker(worker) });
+
+test('completing a geotagged report records the distance and waits for sign-off', async () => {
+  // About 111 m north of the reported spot
+  const { body } = await complete(proof({ lat: '27.1313', lng: '81.9617' }));
+
+  assert.equal(body.success, true, body.error || body.message);
+  assert.ok(Math.abs(body.distanceMeters - 111) <= 1, `distance was ${body.distanceMeters}`);
+  assert.equal(report.status, 'awaiting-verification');
+  assert.equal(report.cleanupPhotos.length, 1);
+  assert.equal(report.cleanupPhotos[0].distanceMeters, body.distanceMeters);
+  assert.deepEqual([...report.cleanupPhotos[0].location.coordinates], [81.9617, 27.1313]);
+  assert.deepEqual(newUploads(), [path.basename(report.cleanupPhotos[0].url)]);
+});
+
+test('files that are not photos are not kept', async () => {
+  const pdf = { blob: new Blob([Buffer.from('%PDF-1.4')], { type: 'application/pdf' }), name: 'notes.pdf' };
+  const before = newUploads();
+
+  const { body } = await complete(proof({ lat: '27.1313', lng: '81.9617', extra: pdf }));
+
+  assert.equal(body.success, true, body.error || body.message);
+  assert.equal(report.cleanupPhotos.length, 1);
+  const added = newUploads().filter(file => !before.includes(file));
+  assert.deepEqual(added, [path.basename(report.cleanupPhotos[0].url)]);
+});
+
+test('completion without a location is refused and its upload removed', async () => {
+  const before = newUploads();
+
+  const { status, body } = await complete(proof());
+
+  assert.equal(status, 400);
+  assert.match(body.message, /geotagged/);
+  assert.deepEqual(newUploads(), before);
+});
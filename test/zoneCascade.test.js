@@ -0,0 +1,178 @@
+// Merging or splitting a zone carries its name to everything stored under
+// it. Zone and the cascaded writes are stubbed.
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { serveApp, stub, query, memoryScores } from './helpers.js';
+import Admin from '../models/Admin.js';
+import Zone from '../models/Zone.js';
+import Report from '../models/Report.js';
+import Worker from '../models/Worker.js';
+import Campaign from '../models/Campaign.js';
+import CreditTransaction from '../models/CreditTransaction.js';
+import { recordScore } from '../services/leaderboard.js';
+import { ROLES } from '../config/permissions.js';
+
+const api = serveApp();
+const superAdmin = new Admin({ name: 'Super', email: 'super@example.com', password: 'x', role: ROLES.SUPER_ADMIN, isActive: true });
+let session;
+let source;
+let target;
+let writes;
+let reports;
+
+const CASCADED = { Report, Worker, Admin, Campaign };
+for (const [name, Model] of Object.entries(CASCADED)) {
+  stub(Model, {
+    updateMany: async (filter, update, options) => {
+      writes.push({ model: name, filter, update, options });
+      return { matchedCount: 1, modifiedCount: 1 };
+    }
+  });
+}
+stub(Zone, {
+  findById: async (id) => [source, target].find(zone => zone?._id.equals(id)) || null,
+  findOne: async () => null,
+  find: () => query([]),
+  create: async (fields) => new Zone(fields)
+});
+stub(Report, { find: () => query(reports) });
+
+const board = memoryScores();
+
+// The ledger, and report zones as the split left them
+let ledger;
+stub(CreditTransaction, { find: (filter) => query(ledger.filter(entry => entry.userId.equals(filter.userId))) });
+stub(Report, {
+  findById: (id) => {
+    const moved = writes.some(write => write.model === 'Report' && write.filter._id?.$in.some(movedId => movedId.equals(id)));
+    return query({ assignedZone: moved ? SPLIT_ZONE : source.name });
+  }
+});
+
+beforeEach(() => {
+  source = new Zone({ name: 'Zone 7 - Old Town', code: 'ZONE-7', color: '#888888', areas: ['Old Town', 'Ghanta Ghar'] });
+  target = new Zone({ name: 'Zone 1 - Central', code: 'ZONE-1', color: '#10b981', areas: ['Civil Lines'] });
+  for (const zone of [source, target]) {
+    zone.save = async function() { return this; };
+    zone.deleteOne = async () => {};
+  }
+  writes = [];
+  board.rows = [];
+  reports = [];
+  ledger = [];
+});
+
+const asSuperAdmin = async () => {
+  session ||= await api.asAdmin(superAdmin);
+  return session;
+};
+
+const merge = async () => (await api.request('POST', `/api/super-admin/zones/${source._id}/merge`, {
+  body: { targetZoneId: target._id },
+  as: await asSuperAdmin()
+})).body;
+
+// Carve a square around (26.95, 81.95) out of the source zone
+const SPLIT_BOUNDARY = {
+  type: 'Polygon',
+  coordinates: [[[81.9, 26.9], [82.0, 26.9], [82.0, 27.0], [81.9, 27.0], [81.9, 26.9]]]
+};
+const SPLIT_ZONE = 'Zone 8 - Ghanta Ghar';
+const split = async () => (await api.request('POST', `/api/super-admin/zones/${source._id}/split`, {
+  body: { name: SPLIT_ZONE, code: 'ZONE-8', areas: ['Ghanta Ghar'], boundary: SPLIT_BOUNDARY },
+  as: await asSuperAdmin()
+})).body;
+const reportAt = (lat, lng) => ({ _id: new mongoose.Types.ObjectId(), location: { coordinates: [lng, lat] } });
+
+test('merging renames the zone in campaign targeting and drops duplicates', async () => {
+  const data = await merge();
+
+  assert.equal(data.success, true, data.error);
+  assert.equal(data.cascaded.campaigns, 1);
+
+  const campaignWrites = writes.filter(write => write.model === 'Campaign');
+  assert.deepEqual(campaignWrites[0].filter, { zones: source.name });
+  assert.deepEqual(campaignWrites[0].update, { $set: { 'zones.$[zone]': target.name } });
+  assert.deepEqual(campaignWrites[0].options, { arrayFilters: [{ zone: source.name }] });
+  assert.deepEqual(campaignWrites[1].filter, { zones: target.name });
+  assert.deepEqual(campaignWrites[1].update, [{ $set: { zones: { $setUnion: ['$zones', []] } } }]);
+});
+
+test('merging still moves reports, workers and officers', async () => {
+  const data = await merge();
+
+  assert.equal(data.success, true, data.error);
+  assert.deepEqual(
+    writes.filter(write => write.filter.assignedZone === source.name).map(write => write.model).sort(),
+    ['Report', 'Worker']
+  );
+  assert.ok(writes.some(write => write.model === 'Admin' && write.filter.assignedZones === source.name));
+});
+
+test('splitting adds the new zone to campaigns aimed at the old one', async () => {
+  const inside = reportAt(26.95, 81.95);
+  reports = [inside, reportAt(27.5, 82.5)];
+
+  const data = await split();
+
+  assert.equal(data.success, true, data.error);
+  assert.deepEqual(data.cascaded, { reports: 1, campaigns: 1, leaderboards: 0 });
+
+  const [reportWrite] = writes.filter(write => write.model === 'Report');
+  assert.deepEqual(reportWrite.filter, { _id: { $in: [inside._id] } });
+  const [campaignWrite] = writes.filter(write => write.model === 'Campaign');
+  assert.deepEqual(campaignWrite.filter, { zones: source.name });
+  assert.deepEqual(campaignWrite.update, { $addToSet: { zones: SPLIT_ZONE } });
+});
+
+test('merging moves leaderboard scores, adding to scores already on the target board', async () => {
+  const both = new mongoose.Types.ObjectId();
+  const onlySource = new mongoose.Types.ObjectId();
+  const score = (userId, zone, points, period = 'week') => ({
+    _id: new mongoose.Types.ObjectId(), userId, period, periodKey: period === 'week' ? '2026-10-12' : 'all', zone, points, hidden: false
+  });
+  board.rows = [
+    score(both, source.name, 40),
+    score(both, target.name, 25),
+    score(both, source.name, 90, 'all'),
+    score(onlySource, source.name, 15),
+    score(onlySource, 'all', 15)
+  ];
+
+  const data = await merge();
+
+  assert.equal(data.success, true, data.error);
+  assert.equal(data.cascaded.leaderboards, 3);
+  assert.equal(board.rows.filter(row => row.zone === source.name).length, 0);
+
+  const pointsOf = (userId, period, zone) => board.rows
+    .filter(row => row.userId.equals(userId) && row.period === period && row.zone === zone)
+    .map(row => row.points);
+  assert.deepEqual(pointsOf(both, 'week', target.name), [65]);
+  assert.deepEqual(pointsOf(both, 'all', target.name), [90]);
+  assert.deepEqual(pointsOf(onlySource, 'week', target.name), [15]);
+  // The city-wide board is untouched
+  assert.deepEqual(pointsOf(onlySource, 'week', 'all'), [15]);
+});
+
+test('splitting moves the points of the moved reports to the new zone\'s board', async () => {
+  const citizen = new mongoose.Types.ObjectId();
+  const inside = { ...reportAt(26.95, 81.95), userId: citizen };
+  const outside = { ...reportAt(27.5, 82.5), userId: citizen };
+  reports = [inside, outside];
+  const earned = (report, amount) => ({
+    _id: new mongoose.Types.ObjectId(), userId: citizen, type: 'earned', amount, createdAt: new Date(), reference: { kind: 'Report', id: report._id }
+  });
+  ledger = [earned(inside, 10), earned(outside, 5)];
+  for (const entry of ledger) await recordScore(entry);
+
+  const data = await split();
+
+  assert.equal(data.success, true, data.error);
+  assert.equal(data.cascaded.leaderboards, 1);
+  const pointsOn = (zone) => board.rows.filter(row => row.zone === zone).map(row => `${row.period}:${row.points}`).sort();
+  assert.deepEqual(pointsOn(source.name), ['all:5', 'month:5', 'week:5']);
+  assert.deepEqual(pointsOn(SPLIT_ZONE), ['all:10', 'month:10', 'week:10']);
+  assert.deepEqual(pointsOn('all'), ['all:15', 'month:15', 'week:15']);
+});
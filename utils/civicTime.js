@@ -0,0 +1,69 @@
+// Calendar days in the city's time zone rather than the server's. A host
+// running in UTC would otherwise split an Indian evening across two days.
+
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-CA', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+function partsOf(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of formatterFor(timeZone).formatToParts(date)) {
+    parts[type] = Number(value);
+  }
+  return parts;
+}
+
+export function isValidTimeZone(timeZone) {
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// 'YYYY-MM-DD' of the given instant in the time zone
+export function civicDay(date, timeZone) {
+  const { year, month, day } = partsOf(new Date(date), timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// Whole days from one 'YYYY-MM-DD' to another
+export function daysBetween(fromDay, toDay) {
+  return Math.round((Date.parse(toDay) - Date.parse(fromDay)) / (24 * 60 * 60 * 1000));
+}
+
+// The instant a civic day ('YYYY-MM-DD') began
+export function dayStart(day, timeZone) {
+  const midnight = Date.parse(day);
+  // Zone offset at that midnight: its wall-clock time read as if it were UTC
+  const wall = partsOf(new Date(midnight), timeZone);
+  const offset = Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second) - midnight;
+  return new Date(midnight - offset);
+}
+
+// The instant the civic day containing `date` began
+export function startOfCivicDay(date, timeZone) {
+  return dayStart(civicDay(date, timeZone), timeZone);
+}
+
+// Monday ('YYYY-MM-DD') of the week a civic day falls in
+export function weekOf(day) {
+  const date = new Date(Date.parse(day));
+  const sinceMonday = (date.getUTCDay() + 6) % 7;
+  return new Date(date.getTime() - sinceMonday * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
@@ -0,0 +1,120 @@
+// Geometry helpers for GeoJSON zone boundaries.
+// All coordinates are GeoJSON order: [lng, lat].
+
+// Ray-casting test against a single linear ring
+function pointInRing(lng, lat, ring) {
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+
+    const crosses = (yi > lat) !== (yj > lat) &&
+      lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi;
+
+    if (crosses) inside = !inside;
+  }
+
+  return inside;
+}
+
+// Polygon coordinates: first ring is the outer boundary, the rest are holes
+function pointInPolygonRings(lng, lat, rings) {
+  if (!rings.length || !pointInRing(lng, lat, rings[0])) return false;
+
+  for (let i = 1; i < rings.length; i++) {
+    if (pointInRing(lng, lat, rings[i])) return false;
+  }
+
+  return true;
+}
+
+// Test a point against a GeoJSON Polygon or MultiPolygon
+export function pointInPolygon(lat, lng, geometry) {
+  if (!geometry || !Array.isArray(geometry.coordinates)) return false;
+
+  if (geometry.type === 'Polygon') {
+    return pointInPolygonRings(lng, lat, geometry.coordinates);
+  }
+
+  if (geometry.type === 'MultiPolygon') {
+    return geometry.coordinates.some(rings => pointInPolygonRings(lng, lat, rings));
+  }
+
+  return false;
+}
+
+// Closed rectangular ring from lat/lng bounds - handy for seeding boundaries
+export function boxRing(south, west, north, east) {
+  return [
+    [west, south],
+    [east, south],
+    [east, north],
+    [west, north],
+    [west, south]
+  ];
+}
+
+function isValidRing(ring) {
+  if (!Array.isArray(ring) || ring.length < 4) return false;
+
+  const valid = ring.every(pos =>
+    Array.isArray(pos) && pos.length >= 2 &&
+    Number.isFinite(pos[0]) && pos[0] >= -180 && pos[0] <= 180 &&
+    Number.isFinite(pos[1]) && pos[1] >= -90 && pos[1] <= 90
+  );
+  if (!valid) return false;
+
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  return first[0] === last[0] && first[1] === last[1];
+}
+
+const isValidPolygonCoords = (rings) =>
+  Array.isArray(rings) && rings.length > 0 && rings.every(isValidRing);
+
+// Check a user-supplied GeoJSON Polygon / MultiPolygon
+export function isValidBoundary(geometry) {
+  if (!geometry || typeof geometry !== 'object') return false;
+
+  if (geometry.type === 'Polygon') {
+    return isValidPolygonCoords(geometry.coordinates);
+  }
+
+  if (geometry.type === 'MultiPolygon') {
+    return Array.isArray(geometry.coordinates) &&
+      geometry.coordinates.length > 0 &&
+      geometry.coordinates.every(isValidPolygonCoords);
+  }
+
+  return false;
+}
+
+// Flatten Polygon/MultiPolygon into a list of polygon coordinate arrays
+function toPolygonList(geometry) {
+  if (!geometry) return [];
+  if (geometry.type === 'Polygon') return [geometry.coordinates];
+  if (geometry.type === 'MultiPolygon') return geometry.coordinates;
+  return [];
+}
+
+// Combine two boundaries into one MultiPolygon (used when merging zones)
+export function mergeBoundaries(a, b) {
+  const polygons = [...toPolygonList(a), ...toPolygonList(b)];
+  if (!polygons.length) return undefined;
+  if (polygons.length === 1) return { type: 'Polygon', coordinates: polygons[0] };
+  return { type: 'MultiPolygon', coordinates: polygons };
+}
+
+// Great-circle distance in metres between two lat/lng points
+export function distanceMeters(a, b) {
+  const R = 6371000;
+  const toRad = (deg) => (deg * Math.PI) / 180;
+
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * R * Math.asin(Math.sqrt(h));
+}
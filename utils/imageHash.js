@@ -0,0 +1,74 @@
+// Perceptual hashing of uploaded photos. A difference hash (dHash) survives
+// re-compression, resizing and small crops, so the same picture uploaded
+// twice gets hashes only a few bits apart even when the files differ.
+import jpeg from 'jpeg-js';
+import { PNG } from 'pngjs';
+
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+// Source pixels sampled per axis in each hash cell - plenty for an average
+const SAMPLES = 8;
+
+// RGBA pixels, or null for formats we can't decode (gif, webp, pdf)
+function decode(buffer, mimetype) {
+  if (/jpe?g/.test(mimetype)) {
+    return jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true, maxMemoryUsageInMB: 256 });
+  }
+  if (/png/.test(mimetype)) {
+    return PNG.sync.read(buffer);
+  }
+  return null;
+}
+
+// Average brightness of each cell in a HASH_WIDTH x HASH_HEIGHT grid
+function shrinkToGray({ width, height, data }) {
+  const cells = [];
+  for (let cy = 0; cy < HASH_HEIGHT; cy++) {
+    for (let cx = 0; cx < HASH_WIDTH; cx++) {
+      let sum = 0;
+      for (let sy = 0; sy < SAMPLES; sy++) {
+        const y = Math.min(height - 1, Math.floor(((cy + (sy + 0.5) / SAMPLES) * height) / HASH_HEIGHT));
+        for (let sx = 0; sx < SAMPLES; sx++) {
+          const x = Math.min(width - 1, Math.floor(((cx + (sx + 0.5) / SAMPLES) * width) / HASH_WIDTH));
+          const i = (y * width + x) * 4;
+          sum += 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+        }
+      }
+      cells.push(sum / (SAMPLES * SAMPLES));
+    }
+  }
+  return cells;
+}
+
+// 64-bit dHash as 16 hex characters, or null if the image can't be read
+export function perceptualHash(buffer, mimetype) {
+  let image;
+  try {
+    image = decode(buffer, mimetype);
+  } catch (error) {
+    return null;
+  }
+  if (!image || !image.width || !image.height) return null;
+
+  const cells = shrinkToGray(image);
+  let bits = '';
+  for (let y = 0; y < HASH_HEIGHT; y++) {
+    for (let x = 0; x < HASH_WIDTH - 1; x++) {
+      const left = cells[y * HASH_WIDTH + x];
+      const right = cells[y * HASH_WIDTH + x + 1];
+      bits += left < right ? '1' : '0';
+    }
+  }
+  return BigInt(`0b${bits}`).toString(16).padStart(16, '0');
+}
+
+// Number of differing bits between two hashes (0 = same picture)
+export function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+}
@@ -0,0 +1,92 @@
+// Input validation helpers shared by API routes
+
+export const WASTE_CATEGORIES = ['plastic', 'paper', 'metal', 'glass', 'organic', 'ewaste', 'hazardous', 'construction', 'other'];
+
+// Parse lat/lng from a request body. Both missing is fine (no GPS),
+// anything else must be a real coordinate inside WGS84 bounds.
+export function parseCoordinates(lat, lng) {
+  const hasLat = lat !== undefined && lat !== null && lat !== '';
+  const hasLng = lng !== undefined && lng !== null && lng !== '';
+
+  if (!hasLat && !hasLng) {
+    return { valid: true, point: null };
+  }
+
+  if (!hasLat || !hasLng) {
+    return { valid: false, error: 'Both latitude and longitude are required' };
+  }
+
+  const latNum = Number(lat);
+  const lngNum = Number(lng);
+
+  if (!Number.isFinite(latNum) || !Number.isFinite(lngNum)) {
+    return { valid: false, error: 'Coordinates must be numbers' };
+  }
+
+  if (latNum < -90 || latNum > 90) {
+    return { valid: false, error: 'Latitude must be between -90 and 90' };
+  }
+
+  if (lngNum < -180 || lngNum > 180) {
+    return { valid: false, error: 'Longitude must be between -180 and 180' };
+  }
+
+  // [0, 0] is what the old schema stored when GPS was missing - never a real report
+  if (latNum === 0 && lngNum === 0) {
+    return { valid: false, error: 'Invalid location' };
+  }
+
+  return { valid: true, point: { lat: latNum, lng: lngNum } };
+}
+
+// Build a GeoJSON point (note: GeoJSON order is [lng, lat])
+export function toGeoPoint(point) {
+  if (!point) return undefined;
+  return { type: 'Point', coordinates: [point.lng, point.lat] };
+}
+
+// Indian mobile numbers: +91 / 0 prefixes, spaces and dashes are dropped,
+// leaving the 10 digits we store
+export function parseMobile(value) {
+  let digits = String(value || '').replace(/[\s()-]/g, '').replace(/^\+/, '');
+  if (digits.length === 12 && digits.startsWith('91')) digits = digits.slice(2);
+  if (digits.length === 11 && digits.startsWith('0')) digits = digits.slice(1);
+
+  if (!/^[6-9]\d{9}$/.test(digits)) {
+    return { valid: false, error: 'Enter a valid 10-digit mobile number' };
+  }
+  return { valid: true, mobile: digits };
+}
+
+// Normalize the waste category sent by the report form
+export function parseWasteCategory(value) {
+  if (!value) return { valid: true, category: 'other' };
+
+  const category = String(value).trim().toLowerCase();
+  if (!WASTE_CATEGORIES.includes(category)) {
+    return { valid: false, error: `Unknown waste category: ${value}` };
+  }
+
+  return { valid: true, category };
+}
+
+// Validate everything /api/report accepts in one pass
+export function validateReportInput(body) {
+  const { description, lat, lng, wasteCategory } = body;
+
+  if (!description || description.trim().length < 10) {
+    return { valid: false, error: 'Description must be at least 10 characters' };
+  }
+
+  const coords = parseCoordinates(lat, lng);
+  if (!coords.valid) return coords;
+
+  const category = parseWasteCategory(wasteCategory);
+  if (!category.valid) return category;
+
+  return {
+    valid: true,
+    point: coords.point,
+    category: category.category
+  };
+}
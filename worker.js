@@ -13,6 +13,25 @@ function showPreview(input, previewId) {
     }
 }
 
+// Load zone options from the server
+async function loadZoneOptions() {
+    const select = document.getElementById('workerZone');
+    if (!select || select.tagName !== 'SELECT') return;
+    
+    try {
+        const response = await fetch('/api/zones');
+        const data = await response.json();
+        
+        if (data.success) {
+            select.innerHTML = '<option value="">Select Zone</option>' + data.zones.map(zone => `
+                <option value="${zone.name}">${zone.name}</option>
+            `).join('');
+        }
+    } catch (error) {
+        console.error('Load zones error:', error);
+    }
+}
+
 // Worker Registration
 document.getElementById('workerRegisterForm')?.addEventListener('submit', async (e) => {
     e.preventDefault();
@@ -21,7 +40,7 @@ document.getElementById('workerRegisterForm')?.addEventListener('submit', async
     formData.append('name', document.getElementById('workerName').value);
     formData.append('mobile', document.getElementById('workerMobile').value);
     formData.append('aadhaar', document.getElementById('workerAadhaar').value);
-    formData.append('preferredZone', document.getElementById('workerZone').value);
+    formData.append('assignedZone', document.getElementById('workerZone').value);
     formData.append('address', document.getElementById('workerAddress').value);
     formData.append('photo', document.getElementById('workerPhoto').files[0]);
     formData.append('idProof', document.getElementById('workerIdProof').files[0]);
@@ -35,7 +54,7 @@ document.getElementById('workerRegisterForm')?.addEventListener('submit', async
         const data = await response.json();
         
         if (data.success) {
-            alert(`✅ Application submitted successfully!\n\nApplication ID: ${data.applicationId}\n\nYou will receive login credentials via SMS once approved by an officer.`);
+            alert(`✅ Application submitted successfully!\n\nApplication ID: ${data.applicationId}\n\nOnce an officer approves you, log in with your mobile number and the code we send by SMS.`);
             document.getElementById('workerRegisterForm').reset();
             document.querySelectorAll('.file-preview').forEach(el => el.style.display = 'none');
         } else {
@@ -59,7 +78,7 @@ async function checkWorkerAuth() {
             window.location.href = '/worker-login.html';
         } else {
             document.getElementById('workerName').textContent = data.worker.name;
-            document.getElementById('workerZone').textContent = data.worker.assignedZone;
+            document.getElementById('workerZone').textContent = data.worker.zone;
             document.getElementById('workerId').textContent = data.worker.id;
             loadWorkerDashboard();
         }
@@ -72,7 +91,7 @@ async function checkWorkerAuth() {
 // Load Worker Dashboard
 async function loadWorkerDashboard() {
     try {
-        const response = await fetch('/api/worker/assigned-reports', {
+        const response = await fetch('/api/worker/reports', {
             credentials: 'include'
         });
         const data = await response.json();
@@ -100,42 +119,45 @@ function loadWorkerReports(reports) {
         return;
     }
     
-    container.innerHTML = reports.map(report => `
+    container.innerHTML = reports.map(report => {
+        const coords = report.location?.coordinates;
+        return `
         <div class="report-card ${report.status}">
             <div class="report-header">
-                <h3>${report.title}</h3>
+                <h3>Report #${report.reportId}</h3>
                 <span class="status-badge ${report.status}">${report.status}</span>
             </div>
             <div class="report-details">
-                <p><strong>📍 Location:</strong> ${report.location}</p>
+                <p><strong>📍 Location:</strong> ${report.address || (coords ? `${coords[1]}, ${coords[0]}` : 'Not provided')}</p>
                 <p><strong>📋 Description:</strong> ${report.description}</p>
-                <p><strong>📅 Reported:</strong> ${new Date(report.reportedAt).toLocaleString()}</p>
-                <p><strong>👤 Reported by:</strong> ${report.userName}</p>
+                <p><strong>📅 Reported:</strong> ${new Date(report.createdAt).toLocaleString()}</p>
+                <p><strong>👤 Reported by:</strong> ${report.userId?.name || 'Citizen'}</p>
+                ${report.review?.decision === 'sent-back' ? `<p><strong>↩️ Sent back:</strong> ${report.review.notes}</p>` : ''}
             </div>
-            ${report.image ? `<img src="${report.image}" alt="Report" class="report-image">` : ''}
+            ${report.photo ? `<img src="${report.photo}" alt="Report" class="report-image">` : ''}
             <div class="report-actions">
-                ${report.status === 'pending' ? `
-                    <button class="btn-primary" onclick="acceptReport('${report.id}')">
+                ${report.status === 'verified' ? `
+                    <button class="btn-primary" onclick="acceptReport('${report._id}')">
                         ✅ Accept & Start Work
                     </button>
                 ` : report.status === 'in-progress' ? `
-                    <button class="btn-success" onclick="markResolved('${report.id}')">
-                        ✔️ Mark as Resolved
-                    </button>
-                    <button class="btn-secondary" onclick="addUpdate('${report.id}')">
-                        💬 Add Update
+                    <button class="btn-success" onclick="markResolved('${report._id}')">
+                        📸 Upload Cleanup Proof
                     </button>
                 ` : `
                     <button class="btn-disabled" disabled>
-                        ✅ Completed
+                        ⏳ Awaiting officer verification
                     </button>
                 `}
-                <button class="btn-secondary" onclick="viewOnMap('${report.lat}', '${report.lng}')">
-                    🗺️ View on Map
-                </button>
+                ${coords ? `
+                    <button class="btn-secondary" onclick="viewOnMap('${coords[1]}', '${coords[0]}')">
+                        🗺️ View on Map
+                    </button>
+                ` : ''}
             </div>
         </div>
-    `).join('');
+    `;
+    }).join('');
 }
 
 // Accept Report
@@ -143,11 +165,9 @@ async function acceptReport(reportId) {
     if (!confirm('Accept this report and start working on it?')) return;
     
     try {
-        const response = await fetch('/api/worker/accept-report', {
+        const response = await fetch(`/api/worker/reports/${reportId}/accept`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            credentials: 'include',
-            body: JSON.stringify({ reportId })
+            credentials: 'include'
         });
         
         const data = await response.json();
@@ -156,7 +176,7 @@ async function acceptReport(reportId) {
             alert('✅ Report accepted! Status updated to In Progress.');
             loadWorkerDashboard();
         } else {
-            alert('❌ ' + (data.message || 'Failed to accept report'));
+            alert('❌ ' + (data.message || data.error || 'Failed to accept report'));
         }
     } catch (error) {
         console.error('Accept report error:', error);
@@ -164,30 +184,57 @@ async function acceptReport(reportId) {
     }
 }
 
-// Mark Resolved
-async function markResolved(reportId) {
-    if (!confirm('Mark this report as resolved?')) return;
+// Current GPS position as a promise
+function getCurrentPosition() {
+    return new Promise((resolve, reject) => {
+        if (!navigator.geolocation) return reject(new Error('Location not supported'));
+        navigator.geolocation.getCurrentPosition(resolve, reject, { enableHighAccuracy: true, timeout: 15000 });
+    });
+}
+
+// Upload after photos and send the report for officer verification
+function markResolved(reportId) {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'image/*';
+    input.multiple = true;
+    input.capture = 'environment';
     
-    try {
-        const response = await fetch('/api/worker/mark-resolved', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            credentials: 'include',
-            body: JSON.stringify({ reportId })
-        });
+    input.addEventListener('change', async () => {
+        if (input.files.length === 0) return;
         
-        const data = await response.json();
+        const notes = prompt('Completion notes (optional):') || '';
         
-        if (data.success) {
-            alert('✅ Report marked as resolved!');
-            loadWorkerDashboard();
-        } else {
-            alert('❌ ' + (data.message || 'Failed to mark as resolved'));
+        try {
+            const position = await getCurrentPosition();
+            
+            const formData = new FormData();
+            Array.from(input.files).slice(0, 5).forEach(file => formData.append('photos', file));
+            formData.append('notes', notes);
+            formData.append('lat', position.coords.latitude);
+            formData.append('lng', position.coords.longitude);
+            
+            const response = await fetch(`/api/worker/reports/${reportId}/complete`, {
+                method: 'POST',
+                credentials: 'include',
+                body: formData
+            });
+            
+            const data = await response.json();
+            
+            if (data.success) {
+                alert('✅ Cleanup proof submitted! Waiting for officer verification.');
+                loadWorkerDashboard();
+            } else {
+                alert('❌ ' + (data.message || data.error || 'Failed to submit proof'));
+            }
+        } catch (error) {
+            console.error('Submit proof error:', error);
+            alert('❌ Could not submit proof. Make sure location is turned on.');
         }
-    } catch (error) {
-        console.error('Mark resolved error:', error);
-        alert('❌ Failed to mark as resolved. Please try again.');
-    }
+    });
+    
+    input.click();
 }
 
 // View on Map
@@ -211,3 +258,7 @@ function workerLogout() {
 if (window.location.pathname.includes('worker-dashboard')) {
     checkWorkerAuth();
 }
+
+if (window.location.pathname.includes('worker-register')) {
+    loadZoneOptions();
+}